@@ -0,0 +1,12 @@
+// Response cache settings, overridable from the environment.
+//
+// CACHE_ENABLED=false turns the cache off. CACHE_MAX_ENTRIES and
+// CACHE_MAX_MB bound its memory use. CACHE_TTL_SECONDS is how long an
+// entry lives at most, which also limits how stale a page can get after a
+// change made outside this process (an import, or a second server).
+module.exports = {
+  enabled: process.env.CACHE_ENABLED !== 'false',
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500,
+  maxBytes: (parseFloat(process.env.CACHE_MAX_MB) || 32) * 1024 * 1024,
+  ttlSeconds: parseInt(process.env.CACHE_TTL_SECONDS, 10) || 600
+};
@@ -0,0 +1,121 @@
+require('dotenv').config();
+const fs = require('fs');
+const { exportContent, readSource, importContent, READERS, CONFLICT_POLICIES } = require('../services/contentTransfer');
+
+const USAGE = `Usage: node config/content.js <command> [options]
+
+Commands:
+  export                     Write users, posts and comments as JSON
+  import <path>              Import a JSON export, a WordPress export (WXR) or
+                             Markdown files with YAML front-matter
+
+Export options:
+  --out <file>               Write to a file instead of standard output
+
+Import options:
+  --format <format>          ${Object.keys(READERS).join(', ')} (default: guessed from the path)
+  --author <username>        Credit posts by authors the blog doesn't know to this user
+  --on-conflict <policy>     ${CONFLICT_POLICIES.join(' or ')} posts whose slug is taken (default: skip)
+  --dry-run                  Show what would be imported without saving anything`;
+
+const parseArgs = (argv) => {
+  const options = { command: argv[0], onConflict: 'skip', dryRun: false };
+  const values = { '--out': 'out', '--format': 'format', '--author': 'author', '--on-conflict': 'onConflict' };
+
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    if (values[arg] && argv[i + 1]) {
+      options[values[arg]] = argv[++i];
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.command = 'help';
+    } else if (!arg.startsWith('-') && options.command === 'import' && !options.source) {
+      options.source = arg;
+    } else {
+      throw new Error(`Unknown option "${arg}"`);
+    }
+  }
+
+  if (options.command === 'import' && !options.source) {
+    throw new Error('Give the file or directory to import');
+  }
+  return options;
+};
+
+const printReport = (report) => {
+  const { created } = report;
+  const verb = report.dryRun ? 'Would import' : 'Imported';
+  console.log(
+    `${verb} ${created.posts} post(s), ${created.comments} comment(s), ${created.users} new user(s), ` +
+    `${created.categories} categor${created.categories === 1 ? 'y' : 'ies'} and ${created.tags} tag(s)`
+  );
+  if (report.matchedUsers > 0) {
+    console.log(`${report.matchedUsers} user(s) matched existing accounts by email`);
+  }
+
+  if (report.renamedUsers.length > 0) {
+    console.log('\nUsernames already taken:');
+    report.renamedUsers.forEach(({ from, to }) => console.log(`  ${from} -> ${to}`));
+  }
+
+  if (report.conflicts.length > 0) {
+    console.log(`\nSlug conflicts (${report.conflicts.length}):`);
+    report.conflicts.forEach(conflict => {
+      const outcome = conflict.action === 'renamed' ? `imported as ${conflict.newSlug}` : 'skipped';
+      console.log(`  ${conflict.slug}  "${conflict.title}" (${conflict.source})`);
+      console.log(`    ${conflict.reason}; ${outcome}`);
+    });
+  }
+
+  if (report.skipped.length > 0) {
+    console.log(`\nNot imported (${report.skipped.length}):`);
+    report.skipped.forEach(item => {
+      const title = item.title ? ` "${item.title}"` : '';
+      console.log(`  ${item.source}${title}: ${item.reason}`);
+    });
+  }
+};
+
+const commands = {
+  export({ out }) {
+    const json = JSON.stringify(exportContent(), null, 2) + '\n';
+    if (!out) {
+      process.stdout.write(json);
+      return;
+    }
+    // The export holds password hashes
+    fs.writeFileSync(out, json, { mode: 0o600 });
+    console.log(`Exported content to ${out}`);
+  },
+
+  import({ source, format, author, onConflict, dryRun }) {
+    if (!fs.existsSync(source)) {
+      throw new Error(`${source} does not exist`);
+    }
+    const bundle = readSource(source, format);
+    printReport(importContent(bundle, { onConflict, defaultAuthor: author, dryRun }));
+  },
+
+  help() {
+    console.log(USAGE);
+  }
+};
+
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+  if (!Object.prototype.hasOwnProperty.call(commands, options.command)) {
+    throw new Error(options.command ? `Unknown command "${options.command}"` : 'Give a command');
+  }
+} catch (error) {
+  console.error(`${error.message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+try {
+  commands[options.command](options);
+} catch (error) {
+  console.error(`${options.command === 'export' ? 'Export' : 'Import'} failed: ${error.message}`);
+  process.exit(1);
+}
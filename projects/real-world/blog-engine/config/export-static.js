@@ -0,0 +1,69 @@
+require('dotenv').config();
+const path = require('path');
+const { exportSite } = require('../services/staticExport');
+
+const USAGE = `Usage: node config/export-static.js [--out <dir>] [--site-url <url>]
+
+  --out <dir>        Where to write the site (default: STATIC_EXPORT_DIR or ./dist)
+  --site-url <url>   Public URL the site will be served from, used in feeds
+                     (default: SITE_URL)`;
+
+const parseArgs = (argv) => {
+  const options = {
+    outDir: process.env.STATIC_EXPORT_DIR || path.join(__dirname, '..', 'dist'),
+    siteUrl: process.env.SITE_URL
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out' && argv[i + 1]) {
+      options.outDir = argv[++i];
+    } else if (arg === '--site-url' && argv[i + 1]) {
+      options.siteUrl = argv[++i];
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else {
+      throw new Error(`Unknown option "${arg}"`);
+    }
+  }
+
+  if (!options.help && !/^https?:\/\//.test(options.siteUrl || '')) {
+    throw new Error('Set SITE_URL or pass --site-url with the address the site will be published at');
+  }
+  return options;
+};
+
+const run = async () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const result = await exportSite(options);
+  const total = result.written.length + result.unchanged;
+
+  console.log(`Exported ${total} files to ${path.resolve(options.outDir)}`);
+  console.log(`  ${result.written.length} written, ${result.unchanged} unchanged, ${result.removed.length} removed`);
+
+  if (result.unresolved.length > 0) {
+    console.warn('Links to pages that are not part of the export (left unchanged):');
+    result.unresolved.forEach(link => console.warn(`  ${link}`));
+  }
+  if (result.refused.length > 0) {
+    console.warn('Pages whose path would fall outside the output directory (not written):');
+    result.refused.forEach(file => console.warn(`  ${file}`));
+  }
+};
+
+run().catch(error => {
+  console.error('Export failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,27 @@
+const path = require('path');
+
+// Media library settings, overridable from the environment.
+//
+// MEDIA_MAX_MB caps the size of one upload; MEDIA_DIR is where the local
+// storage adapter keeps files.
+module.exports = {
+  maxFileSize: (parseFloat(process.env.MEDIA_MAX_MB) || 5) * 1024 * 1024,
+
+  // Raster formats only: SVG can carry scripts
+  allowedTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+
+  // Images that would decode to more pixels than this are refused
+  maxPixels: 40 * 1000 * 1000,
+
+  // Resized copies made for every upload, saved as WebP
+  sizes: {
+    thumb: { width: 320, height: 320, fit: 'cover' },
+    medium: { width: 1200, height: 1200, fit: 'inside' }
+  },
+
+  storage: {
+    adapter: process.env.MEDIA_STORAGE || 'local',
+    root: process.env.MEDIA_DIR || path.join(__dirname, '..', 'uploads'),
+    baseUrl: '/uploads'
+  }
+};
@@ -0,0 +1,122 @@
+require('dotenv').config();
+const { db } = require('./database');
+const migrator = require('./migrator');
+
+const USAGE = `Usage: node config/migrate.js <command> [options]
+
+Commands:
+  up        Apply pending migrations (default)
+  down      Roll back the last migration
+  status    List migrations and whether they have been applied
+
+Options:
+  --to <version>   up: stop after this version; down: roll back to it (0 for all)
+  --steps <n>      down: roll back the last n migrations
+  --dry-run        Print the SQL without running it`;
+
+const label = ({ version, name }) => `${String(version).padStart(3, '0')} ${name || '(file missing)'}`;
+
+const parseArgs = (argv) => {
+  const options = { command: 'up', dryRun: false };
+  const number = (flag, value) => {
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+      throw new Error(`${flag} needs a whole number`);
+    }
+    return parsed;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--to') {
+      options.to = number(arg, argv[++i]);
+    } else if (arg === '--steps') {
+      options.steps = number(arg, argv[++i]);
+    } else if (arg === '--help' || arg === '-h') {
+      options.command = 'help';
+    } else if (!arg.startsWith('-') && i === 0) {
+      options.command = arg;
+    } else {
+      throw new Error(`Unknown option "${arg}"`);
+    }
+  }
+  return options;
+};
+
+const printSql = (sql) => {
+  sql.forEach(statement => console.log(statement));
+};
+
+const commands = {
+  up({ to, dryRun }) {
+    const result = migrator.migrate({ to, dryRun });
+
+    if (result.adopted.length > 0) {
+      const verb = dryRun ? 'Would record' : 'Recorded';
+      console.log(`${verb} ${result.adopted.length} migration(s) this existing database already has:`);
+      result.adopted.forEach(migration => console.log(`  ${label(migration)}`));
+    }
+
+    if (dryRun) {
+      printSql(result.sql);
+    } else {
+      result.migrations.forEach(migration => console.log(`Applied ${label(migration)}`));
+    }
+
+    if (result.migrations.length === 0) {
+      console.log('Database is up to date');
+    }
+  },
+
+  down({ to, steps, dryRun }) {
+    const result = migrator.rollback({ to: to === undefined ? null : to, steps, dryRun });
+
+    if (dryRun) {
+      printSql(result.sql);
+    } else {
+      result.migrations.forEach(migration => console.log(`Rolled back ${label(migration)}`));
+    }
+
+    if (result.migrations.length === 0) {
+      console.log('Nothing to roll back');
+    }
+  },
+
+  status() {
+    const rows = migrator.status();
+    const width = Math.max(0, ...rows.map(row => label(row).length));
+    console.log(`Database: ${db.name}\n`);
+    rows.forEach(row => {
+      const state = row.applied ? 'applied' : 'pending';
+      const when = row.appliedAt ? `  ${row.appliedAt}` : '';
+      console.log(`  ${state.padEnd(8)} ${label(row).padEnd(width)}${when}`.trimEnd());
+    });
+
+    const waiting = rows.filter(row => !row.applied).length;
+    console.log(`\n${waiting} pending`);
+  },
+
+  help() {
+    console.log(USAGE);
+  }
+};
+
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+  if (!commands[options.command]) {
+    throw new Error(`Unknown command "${options.command}"`);
+  }
+} catch (error) {
+  console.error(`${error.message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+try {
+  commands[options.command](options);
+} catch (error) {
+  console.error(`Migration failed: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const { db } = require('./database');
+
+// Versioned schema migrations. Each file in migrations/ is named
+// NNN_description.js and exports SQL strings:
+//   up      applies the change
+//   down    undoes it
+//   detect  optional query that returns a row when a database created
+//           before migrations existed already has the change
+// Applied versions are recorded in schema_migrations.
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_(\w+)\.js$/;
+
+// Strip the indentation template literals pick up from the source
+const dedent = (sql) => {
+  const lines = sql.replace(/^\s*\n/, '').trimEnd().split('\n');
+  const indent = Math.min(...lines.filter(line => line.trim()).map(line => line.match(/^ */)[0].length));
+  return lines.map(line => line.slice(indent)).join('\n');
+};
+
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  const migrations = fs.readdirSync(dir)
+    .map(file => ({ file, match: FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const { up, down, detect } = require(path.join(dir, file));
+      if (typeof up !== 'string' || typeof down !== 'string') {
+        throw new Error(`Migration ${file} must export "up" and "down" SQL strings`);
+      }
+      return { version: parseInt(match[1], 10), name: match[2], file, up: dedent(up), down: dedent(down), detect };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migrations[i - 1].version === migration.version) {
+      throw new Error(`Migrations ${migrations[i - 1].file} and ${migration.file} share version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+};
+
+const tableExists = (name) =>
+  Boolean(db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name));
+
+const ensureMigrationsTable = () => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+// Map of version -> applied_at
+const appliedVersions = () => {
+  if (!tableExists('schema_migrations')) {
+    return new Map();
+  }
+  const rows = db.prepare('SELECT version, applied_at FROM schema_migrations').all();
+  return new Map(rows.map(row => [row.version, row.applied_at]));
+};
+
+// Databases set up by the old initDB have tables but no schema_migrations.
+// Their existing changes are recorded as applied instead of being rerun.
+const legacyMigrations = (migrations) => {
+  if (tableExists('schema_migrations') || !tableExists('users')) {
+    return [];
+  }
+  return migrations.filter(migration => migration.detect && db.prepare(migration.detect).get());
+};
+
+const formatSql = (migration, direction) =>
+  `-- ${String(migration.version).padStart(3, '0')} ${migration.name} (${direction})\n${migration[direction]}\n`;
+
+// Runs each migration in its own transaction with foreign keys off, so
+// tables can be rebuilt without cascading deletes. Any foreign key left
+// dangling rolls that migration back.
+const run = (steps, direction) => {
+  const record = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+  const forget = db.prepare('DELETE FROM schema_migrations WHERE version = ?');
+
+  db.pragma('foreign_keys = OFF');
+  try {
+    steps.forEach(migration => {
+      db.transaction(() => {
+        db.exec(migration[direction]);
+
+        const violations = db.pragma('foreign_key_check');
+        if (violations.length > 0) {
+          throw new Error(
+            `Migration ${migration.file} (${direction}) broke ${violations.length} foreign key(s), ` +
+            `first in table ${violations[0].table}`
+          );
+        }
+
+        if (direction === 'up') {
+          record.run(migration.version, migration.name);
+        } else {
+          forget.run(migration.version);
+        }
+      })();
+    });
+  } finally {
+    db.pragma('foreign_keys = ON');
+  }
+};
+
+// Every migration with whether and when it was applied, plus applied
+// versions whose file is gone
+const status = (migrations = loadMigrations()) => {
+  const applied = appliedVersions();
+  const legacy = new Set(legacyMigrations(migrations).map(migration => migration.version));
+  const known = new Set(migrations.map(migration => migration.version));
+
+  const rows = migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: applied.has(migration.version) || legacy.has(migration.version),
+    appliedAt: applied.get(migration.version) || null
+  }));
+
+  const missing = [...applied.keys()]
+    .filter(version => !known.has(version))
+    .map(version => ({ version, name: null, applied: true, appliedAt: applied.get(version), missing: true }));
+
+  return [...rows, ...missing].sort((a, b) => a.version - b.version);
+};
+
+const pending = (migrations = loadMigrations()) =>
+  status(migrations).filter(row => !row.applied);
+
+// Apply pending migrations up to and including `to` (default: all).
+// With dryRun the SQL is returned and nothing is changed.
+const migrate = ({ to = Infinity, dryRun = false, migrations = loadMigrations() } = {}) => {
+  const legacy = legacyMigrations(migrations);
+  const applied = appliedVersions();
+  legacy.forEach(migration => applied.set(migration.version, null));
+
+  const steps = migrations.filter(migration => !applied.has(migration.version) && migration.version <= to);
+  const result = {
+    adopted: legacy.map(({ version, name }) => ({ version, name })),
+    migrations: steps.map(({ version, name }) => ({ version, name })),
+    sql: steps.map(migration => formatSql(migration, 'up'))
+  };
+
+  if (dryRun) {
+    return result;
+  }
+
+  ensureMigrationsTable();
+  if (legacy.length > 0) {
+    const record = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+    db.transaction(() => legacy.forEach(migration => record.run(migration.version, migration.name)))();
+  }
+  run(steps, 'up');
+
+  return result;
+};
+
+// Undo the last `steps` applied migrations (default 1), or every one
+// above version `to`
+const rollback = ({ steps = 1, to = null, dryRun = false, migrations = loadMigrations() } = {}) => {
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+  const applied = [...appliedVersions().keys()].sort((a, b) => b - a);
+  const versions = to === null ? applied.slice(0, steps) : applied.filter(version => version > to);
+
+  const targets = versions.map(version => {
+    const migration = byVersion.get(version);
+    if (!migration) {
+      throw new Error(`Can't roll back version ${version}: its migration file is missing`);
+    }
+    return migration;
+  });
+
+  const result = {
+    migrations: targets.map(({ version, name }) => ({ version, name })),
+    sql: targets.map(migration => formatSql(migration, 'down'))
+  };
+
+  if (!dryRun) {
+    run(targets, 'down');
+  }
+
+  return result;
+};
+
+module.exports = { MIGRATIONS_DIR, loadMigrations, status, pending, migrate, rollback };
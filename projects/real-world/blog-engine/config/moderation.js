@@ -0,0 +1,31 @@
+// Comment moderation settings, overridable from the environment.
+//
+// COMMENT_MODERATION=hold holds every comment for review; the default
+// (auto) publishes comments straight away unless the spam scorer flags them.
+const list = (value, fallback) => (value || fallback)
+  .split(',')
+  .map(item => item.trim().toLowerCase())
+  .filter(Boolean);
+
+module.exports = {
+  mode: process.env.COMMENT_MODERATION === 'hold' ? 'hold' : 'auto',
+
+  // Scores at or above holdThreshold go to the moderation queue,
+  // at or above spamThreshold straight to spam
+  holdThreshold: parseInt(process.env.SPAM_HOLD_THRESHOLD) || 3,
+  spamThreshold: parseInt(process.env.SPAM_THRESHOLD) || 6,
+
+  blocklist: list(process.env.SPAM_BLOCKLIST, 'viagra,cialis,casino,payday loan,free money,buy now,crypto giveaway,click here'),
+
+  // More than `maxComments` in `windowMinutes` counts as flooding
+  rateLimit: {
+    maxComments: parseInt(process.env.SPAM_RATE_MAX) || 5,
+    windowMinutes: parseInt(process.env.SPAM_RATE_WINDOW_MINUTES) || 10
+  },
+
+  weights: {
+    link: 1,
+    blocklistedWord: 3,
+    rateExceeded: 4
+  }
+};
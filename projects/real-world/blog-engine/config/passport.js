@@ -1,6 +1,8 @@
 const LocalStrategy = require('passport-local').Strategy;
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const { requireEmailVerification } = require('./security');
+const { retryAfter, recordFailure, recordSuccess, throttledMessage, lockedMessage } = require('../services/loginThrottle');
 
 module.exports = function(passport) {
   passport.use(new LocalStrategy(
@@ -12,14 +14,29 @@ module.exports = function(passport) {
         return done(null, false, { message: 'No user with that email' });
       }
 
+      // Refuse without checking the password while throttled or locked
+      const wait = retryAfter(user);
+      if (wait > 0) {
+        return done(null, false, { message: throttledMessage(wait) });
+      }
+
       bcrypt.compare(password, user.password, (err, isMatch) => {
-        if (err) throw err;
+        if (err) return done(err);
         
-        if (isMatch) {
-          return done(null, user);
-        } else {
-          return done(null, false, { message: 'Password incorrect' });
+        if (!isMatch) {
+          const locked = recordFailure(user);
+          return done(null, false, { message: locked ? lockedMessage() : 'Password incorrect' });
+        }
+
+        if (requireEmailVerification && !user.email_verified_at) {
+          return done(null, false, { message: 'Please confirm your email address first. Check your inbox for the link.' });
+        }
+
+        // With two-factor on, failures are only cleared once the code is checked
+        if (!user.totp_enabled_at) {
+          recordSuccess(user);
         }
+        return done(null, user);
       });
     }
   ));
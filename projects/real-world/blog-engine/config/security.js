@@ -0,0 +1,110 @@
+// Account and request security settings, overridable from the environment.
+//
+// REQUIRE_EMAIL_VERIFICATION=false lets new accounts log in before they
+// confirm their email address. SESSION_COOKIE_SECURE defaults to on in
+// production, which needs HTTPS (set TRUST_PROXY when TLS ends at a proxy).
+const production = process.env.NODE_ENV === 'production';
+
+// "img-src https://cdn.example.com; script-src https://stats.example.com"
+// -> { 'img-src': ['https://cdn.example.com'], ... }
+const parseSources = (value) => Object.fromEntries(
+  String(value || '').split(';')
+    .map(part => part.trim().split(/\s+/))
+    .filter(([directive]) => directive)
+    .map(([directive, ...sources]) => [directive, sources])
+);
+
+const cspDirectives = {
+  'default-src': ["'self'"],
+  'script-src': ["'self'"],
+  // Views use style attributes, e.g. for chart bars
+  'style-src': ["'self'", "'unsafe-inline'"],
+  // Posts may embed images from anywhere over HTTPS
+  'img-src': ["'self'", 'data:', 'https:'],
+  'font-src': ["'self'"],
+  'connect-src': ["'self'"],
+  'object-src': ["'none'"],
+  'base-uri': ["'self'"],
+  'form-action': ["'self'"],
+  'frame-ancestors': ["'none'"]
+};
+Object.entries(parseSources(process.env.CSP_EXTRA_SOURCES)).forEach(([directive, sources]) => {
+  cspDirectives[directive] = [...(cspDirectives[directive] || []), ...sources];
+});
+if (process.env.CSP_REPORT_URI) {
+  cspDirectives['report-uri'] = [process.env.CSP_REPORT_URI];
+}
+
+module.exports = {
+  requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION !== 'false',
+
+  // How long emailed links stay valid, by token purpose
+  tokenTtlMinutes: {
+    password_reset: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+    email_verification: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 24 * 60
+  },
+
+  login: {
+    // After `throttleAfter` failures each attempt waits `throttleSeconds`,
+    // doubling with every further failure
+    throttleAfter: 3,
+    throttleSeconds: 5,
+
+    // `maxAttempts` failures within `windowMinutes` lock the account
+    // for `lockMinutes`
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+    windowMinutes: 15,
+    lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 15
+  },
+
+  session: {
+    name: process.env.SESSION_COOKIE_NAME || 'connect.sid',
+    secure: process.env.SESSION_COOKIE_SECURE ? process.env.SESSION_COOKIE_SECURE === 'true' : production,
+    sameSite: process.env.SESSION_COOKIE_SAMESITE || 'lax',
+    maxAgeHours: parseFloat(process.env.SESSION_MAX_AGE_HOURS) || 24
+  },
+
+  // Express "trust proxy" setting, so req.ip and req.secure come from
+  // X-Forwarded-* headers: a hop count, "loopback", or a list of addresses
+  trustProxy: /^\d+$/.test(process.env.TRUST_PROXY || '') ? parseInt(process.env.TRUST_PROXY, 10) : (process.env.TRUST_PROXY || false),
+
+  headers: {
+    contentSecurityPolicy: {
+      enabled: process.env.CSP_ENABLED !== 'false',
+      // Report violations without blocking anything, to try out a policy
+      reportOnly: process.env.CSP_REPORT_ONLY === 'true',
+      directives: cspDirectives
+    },
+    // Only sent when the session cookie is secure, i.e. the site is on HTTPS
+    hstsMaxAgeSeconds: 180 * 24 * 60 * 60
+  },
+
+  // Requests per IP address per window. The login limit counts attempts
+  // on any account, unlike the per-account lockout above.
+  rateLimits: {
+    login: {
+      max: parseInt(process.env.RATE_LIMIT_LOGIN, 10) || 20,
+      windowMinutes: 15,
+      message: 'Too many login attempts from your network. Try again in a few minutes.'
+    },
+    register: {
+      max: parseInt(process.env.RATE_LIMIT_REGISTER, 10) || 5,
+      windowMinutes: 60,
+      message: 'Too many accounts created from your network. Try again later.'
+    },
+    comments: {
+      max: parseInt(process.env.RATE_LIMIT_COMMENTS, 10) || 10,
+      windowMinutes: 10,
+      message: "You're commenting too fast. Wait a few minutes and try again."
+    }
+  },
+
+  twoFactor: {
+    issuer: process.env.TOTP_ISSUER || 'Blog Engine',
+    // Accept codes this many 30-second steps either side of now (clock drift)
+    window: 1,
+    // Time allowed between the password and the code
+    pendingMinutes: 5,
+    recoveryCodeCount: 10
+  }
+};
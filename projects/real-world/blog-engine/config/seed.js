@@ -4,6 +4,9 @@ const { db } = require('./database');
 const User = require('../models/User');
 const Post = require('../models/Post');
 const Comment = require('../models/Comment');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const { toSqlDateTime } = require('../utils/dates');
 
 const seed = async () => {
   console.log('Seeding database...');
@@ -14,7 +17,8 @@ const seed = async () => {
     username: 'admin',
     email: 'admin@blog.com',
     password: hashedPassword,
-    role: 'admin'
+    role: 'admin',
+    email_verified_at: toSqlDateTime(new Date())
   });
 
   // Create regular user
@@ -23,7 +27,8 @@ const seed = async () => {
     username: 'john_doe',
     email: 'john@example.com',
     password: userPassword,
-    role: 'user'
+    role: 'author',
+    email_verified_at: toSqlDateTime(new Date())
   });
 
   // Create sample posts
@@ -66,7 +71,9 @@ server.listen(3000);
 That's it! You now have a basic Node.js server running.`,
       excerpt: 'Learn the basics of Node.js and create your first server application.',
       author_id: adminId,
-      status: 'published'
+      status: 'published',
+      category: 'Node.js',
+      tags: ['node', 'javascript', 'beginner']
     },
     {
       title: 'Express.js Best Practices',
@@ -107,7 +114,9 @@ npm install helmet
 Never hardcode sensitive information. Use environment variables instead.`,
       excerpt: 'Best practices for building robust Express.js applications.',
       author_id: adminId,
-      status: 'published'
+      status: 'published',
+      category: 'Node.js',
+      tags: ['express', 'node', 'best-practices']
     },
     {
       title: 'Understanding Async/Await in JavaScript',
@@ -159,7 +168,9 @@ async function doWork() {
 \`\`\``,
       excerpt: 'Master asynchronous JavaScript with async/await syntax.',
       author_id: userId,
-      status: 'published'
+      status: 'published',
+      category: 'JavaScript',
+      tags: ['javascript', 'async']
     },
     {
       title: 'Building RESTful APIs',
@@ -193,11 +204,17 @@ DELETE /api/posts/:id - Delete post
 - 500: Server Error`,
       excerpt: 'Learn how to design and build RESTful APIs with Node.js.',
       author_id: adminId,
-      status: 'draft'
+      status: 'draft',
+      category: 'APIs',
+      tags: ['api', 'rest', 'node']
     }
   ];
 
-  const postIds = posts.map(post => Post.create(post));
+  const postIds = posts.map(post => {
+    const postId = Post.create({ ...post, category_id: Category.findOrCreate(post.category) });
+    Tag.setForPost(postId, post.tags);
+    return postId;
+  });
 
   // Create comments
   const comments = [
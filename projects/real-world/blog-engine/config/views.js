@@ -0,0 +1,12 @@
+const path = require('path');
+
+// View engine and the helpers every template can use. The server and the
+// static exporter both call this so they render the same pages.
+module.exports = (app) => {
+  app.set('view engine', 'ejs');
+  app.set('views', path.join(__dirname, '..', 'views'));
+  app.locals.formatDateTime = require('../utils/dates').formatDateTime;
+  app.locals.can = require('../utils/permissions').can;
+  // True while rendering the static export: no logins, forms or view counts
+  app.locals.staticSite = false;
+};
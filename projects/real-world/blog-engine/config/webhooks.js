@@ -0,0 +1,20 @@
+// Webhook delivery settings, overridable from the environment.
+//
+// A failed delivery is retried after WEBHOOK_RETRY_BASE_SECONDS, then
+// twice as long after every further failure (capped at six hours), until
+// WEBHOOK_MAX_ATTEMPTS attempts have failed. WEBHOOK_POLL_MS is how often
+// the queue is checked for retries that have come due.
+module.exports = {
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+  retryBaseSeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30,
+  retryMaxSeconds: 6 * 60 * 60,
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000,
+  pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_MS, 10) || 15 * 1000,
+  batchSize: 20,
+
+  // Finished deliveries are kept this long as the delivery log
+  logDays: parseInt(process.env.WEBHOOK_LOG_DAYS, 10) || 30,
+
+  // Receivers' responses are stored up to this many characters
+  maxResponseLength: 4 * 1024
+};
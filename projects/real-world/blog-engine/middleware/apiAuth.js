@@ -0,0 +1,55 @@
+const ApiToken = require('../models/ApiToken');
+const User = require('../models/User');
+
+const unauthorized = (res, message) => {
+  res.set('WWW-Authenticate', 'Bearer realm="api"');
+  res.status(401).json({ success: false, error: message });
+};
+
+module.exports = {
+  // Resolves `Authorization: Bearer <token>` to req.user. Requests without
+  // the header fall through to the session login; a bad token is a 401.
+  authenticateToken: function(req, res, next) {
+    const header = req.get('Authorization');
+    if (!header) {
+      return next();
+    }
+
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    const apiToken = match && ApiToken.findByToken(match[1]);
+    const user = apiToken && User.findById(apiToken.user_id);
+
+    if (!user) {
+      return unauthorized(res, 'Invalid or revoked API token');
+    }
+
+    ApiToken.touch(apiToken.id);
+    req.user = user;
+    req.apiToken = apiToken;
+    next();
+  },
+
+  ensureApiAuthenticated: function(req, res, next) {
+    if (req.user) {
+      return next();
+    }
+    unauthorized(res, 'Authentication required');
+  },
+
+  // Token requests need the scope; browser sessions have every scope
+  requireScope: function(scope) {
+    return function(req, res, next) {
+      if (!req.user) {
+        return unauthorized(res, 'Authentication required');
+      }
+      if (req.apiToken && !req.apiToken.scopes.includes(scope)) {
+        return res.status(403).json({ success: false, error: `This token lacks the "${scope}" scope` });
+      }
+      next();
+    };
+  },
+
+  hasScope: function(req, scope) {
+    return Boolean(req.user) && (!req.apiToken || req.apiToken.scopes.includes(scope));
+  }
+};
@@ -1,3 +1,5 @@
+const { can } = require('../utils/permissions');
+
 module.exports = {
   ensureAuthenticated: function(req, res, next) {
     if (req.isAuthenticated()) {
@@ -7,12 +9,15 @@ module.exports = {
     res.redirect('/auth/login');
   },
   
-  ensureAdmin: function(req, res, next) {
-    if (req.isAuthenticated() && req.user.role === 'admin') {
-      return next();
-    }
-    req.flash('error_msg', 'You do not have permission to access this resource');
-    res.redirect('/');
+  // Only let through users whose role allows `action` (see utils/permissions)
+  ensurePermission: function(action) {
+    return function(req, res, next) {
+      if (req.isAuthenticated() && can(req.user, action)) {
+        return next();
+      }
+      req.flash('error_msg', 'You do not have permission to access this resource');
+      res.redirect('/');
+    };
   },
   
   forwardAuthenticated: function(req, res, next) {
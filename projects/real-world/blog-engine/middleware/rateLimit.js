@@ -0,0 +1,54 @@
+const { rateLimits } = require('../config/security');
+
+// "name:ip" -> { count, resetAt }. Fixed windows kept in memory, so the
+// limits are per server process and start over on restart.
+const windows = new Map();
+
+const sweep = setInterval(() => {
+  const now = Date.now();
+  windows.forEach((entry, key) => {
+    if (entry.resetAt <= now) windows.delete(key);
+  });
+}, 60 * 1000);
+sweep.unref();
+
+module.exports = {
+  // Allow each IP address `max` requests per window for the limit `name`
+  // in config/security rateLimits, then answer 429 until the window ends
+  rateLimit: function(name) {
+    const { max, windowMinutes, message } = rateLimits[name];
+    const windowMs = windowMinutes * 60 * 1000;
+
+    return function(req, res, next) {
+      const key = `${name}:${req.ip}`;
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count++;
+
+      const resetSeconds = Math.ceil((entry.resetAt - now) / 1000);
+      res.set({
+        'RateLimit-Limit': String(max),
+        'RateLimit-Remaining': String(Math.max(max - entry.count, 0)),
+        'RateLimit-Reset': String(resetSeconds)
+      });
+      if (entry.count <= max) {
+        return next();
+      }
+
+      res.set('Retry-After', String(resetSeconds));
+      if (req.originalUrl.startsWith('/api/')) {
+        return res.status(429).json({ success: false, error: message });
+      }
+      res.status(429).render('error', { title: 'Too Many Requests', error: { message } });
+    };
+  },
+
+  // Start the limit `name` over for one IP address
+  resetRateLimit: function(name, ip) {
+    windows.delete(`${name}:${ip}`);
+  }
+};
@@ -0,0 +1,26 @@
+const { session, headers } = require('../config/security');
+
+const { contentSecurityPolicy: csp } = headers;
+const policy = Object.entries(csp.directives)
+  .map(([directive, sources]) => [directive, ...sources].join(' '))
+  .join('; ');
+
+module.exports = {
+  // Browser security headers for every response (see config/security)
+  securityHeaders: function(req, res, next) {
+    if (csp.enabled) {
+      res.set(csp.reportOnly ? 'Content-Security-Policy-Report-Only' : 'Content-Security-Policy', policy);
+    }
+    res.set({
+      'X-Content-Type-Options': 'nosniff',
+      'X-Frame-Options': 'DENY',
+      'Referrer-Policy': 'strict-origin-when-cross-origin',
+      'Cross-Origin-Opener-Policy': 'same-origin',
+      'Permissions-Policy': 'camera=(), microphone=(), geolocation=(), interest-cohort=()'
+    });
+    if (session.secure && req.secure) {
+      res.set('Strict-Transport-Security', `max-age=${headers.hstsMaxAgeSeconds}; includeSubDomains`);
+    }
+    next();
+  }
+};
@@ -0,0 +1,26 @@
+// A copy of a post every time it is saved
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS post_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      post_id INTEGER NOT NULL,
+      author_id INTEGER,
+      title TEXT NOT NULL,
+      slug TEXT NOT NULL,
+      content TEXT NOT NULL,
+      excerpt TEXT,
+      status TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE,
+      FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE SET NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_post_revisions_post ON post_revisions(post_id);
+  `,
+
+  down: `
+    DROP TABLE post_revisions;
+  `,
+
+  detect: "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'post_revisions'"
+};
@@ -0,0 +1,43 @@
+// Full-text index over posts, kept in sync by triggers. Updates that
+// don't touch indexed columns (e.g. view counts) skip reindexing.
+module.exports = {
+  up: `
+    CREATE VIRTUAL TABLE IF NOT EXISTS posts_fts USING fts5(
+      title,
+      content,
+      excerpt,
+      content='posts',
+      content_rowid='id',
+      tokenize='porter unicode61'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS posts_fts_insert AFTER INSERT ON posts BEGIN
+      INSERT INTO posts_fts (rowid, title, content, excerpt)
+      VALUES (new.id, new.title, new.content, new.excerpt);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS posts_fts_delete AFTER DELETE ON posts BEGIN
+      INSERT INTO posts_fts (posts_fts, rowid, title, content, excerpt)
+      VALUES ('delete', old.id, old.title, old.content, old.excerpt);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS posts_fts_update AFTER UPDATE OF title, content, excerpt ON posts BEGIN
+      INSERT INTO posts_fts (posts_fts, rowid, title, content, excerpt)
+      VALUES ('delete', old.id, old.title, old.content, old.excerpt);
+      INSERT INTO posts_fts (rowid, title, content, excerpt)
+      VALUES (new.id, new.title, new.content, new.excerpt);
+    END;
+
+    -- Index the posts that already exist
+    INSERT INTO posts_fts (posts_fts) VALUES ('rebuild');
+  `,
+
+  down: `
+    DROP TRIGGER posts_fts_update;
+    DROP TRIGGER posts_fts_delete;
+    DROP TRIGGER posts_fts_insert;
+    DROP TABLE posts_fts;
+  `,
+
+  detect: "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'posts_fts'"
+};
@@ -0,0 +1,12 @@
+// When a scheduled post should be published
+module.exports = {
+  up: `
+    ALTER TABLE posts ADD COLUMN publish_at DATETIME;
+  `,
+
+  down: `
+    ALTER TABLE posts DROP COLUMN publish_at;
+  `,
+
+  detect: "SELECT 1 FROM pragma_table_info('posts') WHERE name = 'publish_at'"
+};
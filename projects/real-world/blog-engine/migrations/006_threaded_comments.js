@@ -0,0 +1,45 @@
+// Replies, spam scores, and new comments waiting for moderation by default.
+// Column defaults and foreign keys can't be altered in place, so both
+// directions rebuild the table.
+module.exports = {
+  up: `
+    CREATE TABLE comments_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      post_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      parent_id INTEGER,
+      content TEXT NOT NULL,
+      status TEXT DEFAULT 'pending',
+      spam_score INTEGER DEFAULT 0,
+      spam_reasons TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (parent_id) REFERENCES comments(id) ON DELETE CASCADE
+    );
+    INSERT INTO comments_new (id, post_id, user_id, content, status, created_at)
+      SELECT id, post_id, user_id, content, status, created_at FROM comments;
+    DROP TABLE comments;
+    ALTER TABLE comments_new RENAME TO comments;
+  `,
+
+  // Replies become top-level comments
+  down: `
+    CREATE TABLE comments_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      post_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      content TEXT NOT NULL,
+      status TEXT DEFAULT 'approved',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+    INSERT INTO comments_new (id, post_id, user_id, content, status, created_at)
+      SELECT id, post_id, user_id, content, status, created_at FROM comments;
+    DROP TABLE comments;
+    ALTER TABLE comments_new RENAME TO comments;
+  `,
+
+  detect: "SELECT 1 FROM pragma_table_info('comments') WHERE name = 'parent_id'"
+};
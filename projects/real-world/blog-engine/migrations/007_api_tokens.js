@@ -0,0 +1,23 @@
+// Personal API tokens. Only a hash of each token is stored.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      token_prefix TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      last_used_at DATETIME,
+      revoked_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `,
+
+  down: `
+    DROP TABLE api_tokens;
+  `,
+
+  detect: "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'api_tokens'"
+};
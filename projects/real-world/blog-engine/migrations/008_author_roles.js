@@ -0,0 +1,38 @@
+// Admin, editor, author and contributor roles replace "user". New accounts
+// default to author, which needs the users table rebuilt.
+module.exports = {
+  up: `
+    CREATE TABLE users_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL,
+      email TEXT UNIQUE NOT NULL,
+      password TEXT NOT NULL,
+      role TEXT DEFAULT 'author',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    INSERT INTO users_new (id, username, email, password, role, created_at)
+      SELECT id, username, email, password, role, created_at FROM users;
+    DROP TABLE users;
+    ALTER TABLE users_new RENAME TO users;
+
+    UPDATE users SET role = 'author' WHERE role = 'user';
+  `,
+
+  // Everyone but admins goes back to "user"
+  down: `
+    CREATE TABLE users_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL,
+      email TEXT UNIQUE NOT NULL,
+      password TEXT NOT NULL,
+      role TEXT DEFAULT 'user',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    INSERT INTO users_new (id, username, email, password, role, created_at)
+      SELECT id, username, email, password, CASE role WHEN 'admin' THEN 'admin' ELSE 'user' END, created_at FROM users;
+    DROP TABLE users;
+    ALTER TABLE users_new RENAME TO users;
+  `,
+
+  detect: "SELECT 1 FROM pragma_table_info('users') WHERE name = 'role' AND dflt_value = '''author'''"
+};
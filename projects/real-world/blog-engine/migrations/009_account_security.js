@@ -0,0 +1,51 @@
+// Email verification, login lockout and two-factor authentication
+module.exports = {
+  up: `
+    ALTER TABLE users ADD COLUMN email_verified_at DATETIME;
+    ALTER TABLE users ADD COLUMN failed_login_count INTEGER DEFAULT 0;
+    ALTER TABLE users ADD COLUMN last_failed_login_at DATETIME;
+    ALTER TABLE users ADD COLUMN locked_until DATETIME;
+    ALTER TABLE users ADD COLUMN totp_secret TEXT;
+    ALTER TABLE users ADD COLUMN totp_enabled_at DATETIME;
+    ALTER TABLE users ADD COLUMN totp_last_step INTEGER;
+
+    -- Accounts that already exist keep working without confirming their email
+    UPDATE users SET email_verified_at = created_at;
+
+    -- Single-use links sent by email (password reset, email verification)
+    CREATE TABLE IF NOT EXISTS user_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      purpose TEXT NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS recovery_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      code_hash TEXT NOT NULL,
+      used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `,
+
+  down: `
+    DROP TABLE recovery_codes;
+    DROP TABLE user_tokens;
+
+    ALTER TABLE users DROP COLUMN totp_last_step;
+    ALTER TABLE users DROP COLUMN totp_enabled_at;
+    ALTER TABLE users DROP COLUMN totp_secret;
+    ALTER TABLE users DROP COLUMN locked_until;
+    ALTER TABLE users DROP COLUMN last_failed_login_at;
+    ALTER TABLE users DROP COLUMN failed_login_count;
+    ALTER TABLE users DROP COLUMN email_verified_at;
+  `,
+
+  detect: "SELECT 1 FROM pragma_table_info('users') WHERE name = 'totp_last_step'"
+};
@@ -0,0 +1,36 @@
+// Uploaded images, and which posts refer to them (refreshed whenever a
+// post is saved)
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS media (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER,
+      token TEXT UNIQUE NOT NULL,
+      filename TEXT NOT NULL,
+      storage_key TEXT NOT NULL,
+      mime_type TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      width INTEGER,
+      height INTEGER,
+      alt_text TEXT,
+      variants TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS media_usage (
+      media_id INTEGER NOT NULL,
+      post_id INTEGER NOT NULL,
+      PRIMARY KEY (media_id, post_id),
+      FOREIGN KEY (media_id) REFERENCES media(id) ON DELETE CASCADE,
+      FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE
+    );
+  `,
+
+  down: `
+    DROP TABLE media_usage;
+    DROP TABLE media;
+  `,
+
+  detect: "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'media_usage'"
+};
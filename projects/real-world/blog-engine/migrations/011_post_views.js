@@ -0,0 +1,24 @@
+// One row per post, visitor and day, so analytics can count views over
+// time. visitor_hash is a salted hash that changes daily, never an IP.
+module.exports = {
+  up: `
+    CREATE TABLE post_views (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      post_id INTEGER NOT NULL,
+      day DATE NOT NULL,
+      visitor_hash TEXT NOT NULL,
+      path TEXT,
+      referrer TEXT,
+      referrer_host TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (post_id, visitor_hash, day),
+      FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX idx_post_views_day ON post_views(day, post_id);
+  `,
+
+  down: `
+    DROP TABLE post_views;
+  `
+};
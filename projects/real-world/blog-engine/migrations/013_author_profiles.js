@@ -0,0 +1,30 @@
+// Public author profiles, and co-authors credited on a post alongside its
+// author. avatar_media_id points at a media library upload; it has no
+// foreign key so the column can be dropped again.
+module.exports = {
+  up: `
+    ALTER TABLE users ADD COLUMN display_name TEXT;
+    ALTER TABLE users ADD COLUMN bio TEXT;
+    ALTER TABLE users ADD COLUMN links TEXT;
+    ALTER TABLE users ADD COLUMN avatar_media_id INTEGER;
+
+    CREATE TABLE IF NOT EXISTS post_authors (
+      post_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      position INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (post_id, user_id),
+      FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_post_authors_user ON post_authors(user_id);
+  `,
+
+  down: `
+    DROP TABLE post_authors;
+
+    ALTER TABLE users DROP COLUMN avatar_media_id;
+    ALTER TABLE users DROP COLUMN links;
+    ALTER TABLE users DROP COLUMN bio;
+    ALTER TABLE users DROP COLUMN display_name;
+  `
+};
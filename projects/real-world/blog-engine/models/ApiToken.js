@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const { db } = require('../config/database');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class ApiToken {
+  // Creates a token and returns it in plain text. Only the hash is stored,
+  // so this is the only time the caller can see the token.
+  static create(tokenData) {
+    const token = `blog_${crypto.randomBytes(24).toString('hex')}`;
+    const scopes = tokenData.scopes.filter(scope => ApiToken.SCOPES.includes(scope));
+
+    const stmt = db.prepare(`
+      INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(
+      tokenData.user_id,
+      tokenData.name,
+      hashToken(token),
+      token.slice(0, 12),
+      scopes.join(',')
+    );
+    return { id: result.lastInsertRowid, token };
+  }
+
+  // Look up an active token by its plain-text value
+  static findByToken(token) {
+    const stmt = db.prepare(`
+      SELECT * FROM api_tokens
+      WHERE token_hash = ? AND revoked_at IS NULL
+    `);
+    const row = stmt.get(hashToken(token));
+    return row ? { ...row, scopes: row.scopes ? row.scopes.split(',') : [] } : undefined;
+  }
+
+  static getByUserId(userId) {
+    const stmt = db.prepare(`
+      SELECT id, name, token_prefix, scopes, last_used_at, revoked_at, created_at
+      FROM api_tokens
+      WHERE user_id = ?
+      ORDER BY revoked_at IS NOT NULL, created_at DESC
+    `);
+    return stmt.all(userId).map(row => ({ ...row, scopes: row.scopes ? row.scopes.split(',') : [] }));
+  }
+
+  static touch(id) {
+    const stmt = db.prepare('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?');
+    return stmt.run(id);
+  }
+
+  static revoke(id, userId) {
+    const stmt = db.prepare(`
+      UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+    `);
+    return stmt.run(id, userId);
+  }
+}
+
+// read: read unpublished posts the user can access; posts:write: create,
+// update and delete posts; comments:write: post comments
+ApiToken.SCOPES = ['read', 'posts:write', 'comments:write'];
+
+module.exports = ApiToken;
@@ -0,0 +1,58 @@
+const { db } = require('../config/database');
+const slugify = require('../utils/slugify');
+const responseCache = require('../services/responseCache');
+
+class Category {
+  static create(categoryData) {
+    const stmt = db.prepare(`
+      INSERT INTO categories (name, slug)
+      VALUES (?, ?)
+    `);
+    const result = stmt.run(categoryData.name, categoryData.slug || slugify(categoryData.name));
+    return result.lastInsertRowid;
+  }
+
+  static findById(id) {
+    const stmt = db.prepare('SELECT * FROM categories WHERE id = ?');
+    return stmt.get(id);
+  }
+
+  static findBySlug(slug) {
+    const stmt = db.prepare('SELECT * FROM categories WHERE slug = ?');
+    return stmt.get(slug);
+  }
+
+  // Returns the id of the category matching `name`, creating it if needed.
+  // Blank names mean "no category" and return null.
+  static findOrCreate(name) {
+    const trimmed = (name || '').trim();
+    const slug = slugify(trimmed);
+    if (!slug) return null;
+
+    const existing = Category.findBySlug(slug);
+    if (existing) return existing.id;
+
+    return Category.create({ name: trimmed, slug });
+  }
+
+  static getAll() {
+    const stmt = db.prepare(`
+      SELECT categories.*, COUNT(posts.id) as post_count
+      FROM categories
+      LEFT JOIN posts ON posts.category_id = categories.id
+      GROUP BY categories.id
+      ORDER BY categories.name
+    `);
+    return stmt.all();
+  }
+
+  static delete(id) {
+    const posts = db.prepare('SELECT id FROM posts WHERE category_id = ?').all(id);
+    const stmt = db.prepare('DELETE FROM categories WHERE id = ?');
+    const result = stmt.run(id);
+    responseCache.invalidate(posts.map(post => responseCache.cacheTags.post(post.id)));
+    return result;
+  }
+}
+
+module.exports = Category;
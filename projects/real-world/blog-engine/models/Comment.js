@@ -1,25 +1,58 @@
 const { db } = require('../config/database');
+const { keysetCondition } = require('../utils/pagination');
+const responseCache = require('../services/responseCache');
+const webhooks = require('../services/webhooks');
+
+// Cached pages showing the posts these comments belong to
+const commentsChanged = (ids) => {
+  if (ids.length === 0) return;
+  const stmt = db.prepare(`SELECT DISTINCT post_id FROM comments WHERE id IN (${ids.map(() => '?').join(', ')})`);
+  responseCache.invalidate(stmt.all(...ids).map(row => responseCache.cacheTags.post(row.post_id)));
+};
+
+// What public listings show of a comment: no commenter email or spam scores
+const PUBLIC_COLUMNS = `
+  comments.id, comments.post_id, comments.user_id, comments.parent_id,
+  comments.content, comments.status, comments.created_at, users.username
+`;
+
+// Webhook subscribers hear about a comment once it is approved, when it is
+// posted or when a moderator lets it through; held and spam comments are
+// never sent
+const notifyCommentVisible = (id) => {
+  webhooks.emit('comment.created', { comment: webhooks.commentData(Comment.findById(id)) });
+};
 
 class Comment {
   static create(commentData) {
     const stmt = db.prepare(`
-      INSERT INTO comments (post_id, user_id, content, status)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO comments (post_id, user_id, parent_id, content, status, spam_score, spam_reasons, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
     `);
     const result = stmt.run(
       commentData.post_id,
       commentData.user_id,
+      commentData.parent_id || null,
       commentData.content,
-      commentData.status || 'approved'
+      commentData.status || 'pending',
+      commentData.spam_score || 0,
+      commentData.spam_reasons || null,
+      commentData.created_at || null
     );
+    responseCache.invalidate(responseCache.cacheTags.post(commentData.post_id));
+    if (commentData.status === 'approved') {
+      notifyCommentVisible(result.lastInsertRowid);
+    }
     return result.lastInsertRowid;
   }
 
   static findById(id) {
     const stmt = db.prepare(`
-      SELECT comments.*, users.username, users.email
+      SELECT comments.*, users.username, users.email,
+        posts.title as post_title, posts.slug as post_slug
       FROM comments
       JOIN users ON comments.user_id = users.id
+      JOIN posts ON comments.post_id = posts.id
       WHERE comments.id = ?
     `);
     return stmt.get(id);
@@ -27,24 +60,132 @@ class Comment {
 
   static getByPostId(postId, status = 'approved') {
     const stmt = db.prepare(`
-      SELECT comments.*, users.username, users.email
+      SELECT ${PUBLIC_COLUMNS}
       FROM comments
       JOIN users ON comments.user_id = users.id
       WHERE comments.post_id = ? AND comments.status = ?
-      ORDER BY comments.created_at DESC
+      ORDER BY comments.created_at DESC, comments.id DESC
     `);
     return stmt.all(postId, status);
   }
 
-  static getAll() {
+  // Comments on one post, oldest or newest first, with optional cursor
+  // pagination (options.after from a decoded cursor)
+  static list(options) {
+    const conditions = ['comments.post_id = ?', 'comments.status = ?'];
+    const params = [options.postId, options.status || 'approved'];
+    const direction = options.direction === 'asc' ? 'ASC' : 'DESC';
+
+    if (options.after) {
+      const keyset = keysetCondition('comments.created_at', 'comments.id', options);
+      conditions.push(keyset.sql);
+      params.push(...keyset.params);
+    }
+
+    let query = `
+      SELECT ${PUBLIC_COLUMNS}
+      FROM comments
+      JOIN users ON comments.user_id = users.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY comments.created_at ${direction}, comments.id ${direction}
+    `;
+
+    if (options.limit) {
+      query += ' LIMIT ?';
+      params.push(options.limit);
+    }
+
+    const stmt = db.prepare(query);
+    return stmt.all(...params);
+  }
+
+  // Approved comments for several posts at once, grouped by post id
+  static getByPostIds(postIds) {
+    const grouped = new Map(postIds.map(id => [id, []]));
+    if (postIds.length === 0) return grouped;
+
     const stmt = db.prepare(`
-      SELECT comments.*, users.username, posts.title as post_title
+      SELECT ${PUBLIC_COLUMNS}
+      FROM comments
+      JOIN users ON comments.user_id = users.id
+      WHERE comments.post_id IN (${postIds.map(() => '?').join(', ')})
+      AND comments.status = 'approved'
+      ORDER BY comments.created_at DESC, comments.id DESC
+    `);
+    stmt.all(...postIds).forEach(comment => grouped.get(comment.post_id).push(comment));
+    return grouped;
+  }
+
+  // Approved comments arranged as a tree: top-level comments newest first,
+  // replies oldest first under their parent. Replies whose parent isn't
+  // visible are shown at the top level.
+  static getThreadByPostId(postId) {
+    const comments = Comment.getByPostId(postId).map(comment => ({ ...comment, replies: [] }));
+    const byId = new Map(comments.map(comment => [comment.id, comment]));
+    const roots = [];
+
+    comments.forEach(comment => {
+      const parent = comment.parent_id && byId.get(comment.parent_id);
+      if (parent) {
+        parent.replies.unshift(comment);
+      } else {
+        roots.push(comment);
+      }
+    });
+
+    return roots;
+  }
+
+  static getAll(options = {}) {
+    let query = `
+      SELECT comments.*, users.username, posts.title as post_title, posts.slug as post_slug
       FROM comments
       JOIN users ON comments.user_id = users.id
       JOIN posts ON comments.post_id = posts.id
-      ORDER BY comments.created_at DESC
+    `;
+    const params = [];
+
+    if (options.status) {
+      query += ' WHERE comments.status = ?';
+      params.push(options.status);
+    }
+
+    query += ' ORDER BY comments.created_at DESC, comments.id DESC';
+
+    if (options.limit) {
+      query += ' LIMIT ?';
+      params.push(options.limit);
+    }
+
+    const stmt = db.prepare(query);
+    return stmt.all(...params);
+  }
+
+  static countByStatus() {
+    const stmt = db.prepare('SELECT status, COUNT(*) as count FROM comments GROUP BY status');
+    const counts = Object.fromEntries(Comment.STATUSES.map(status => [status, 0]));
+    stmt.all().forEach(row => { counts[row.status] = row.count; });
+    return counts;
+  }
+
+  // [{ day, status, count }] for comments written between two UTC days
+  static countByDay(from, to) {
+    const stmt = db.prepare(`
+      SELECT date(created_at) as day, status, COUNT(*) as count
+      FROM comments
+      WHERE created_at >= ? AND created_at < date(?, '+1 day')
+      GROUP BY day, status
+      ORDER BY day
+    `);
+    return stmt.all(from, to);
+  }
+
+  static countRecentByUser(userId, minutes) {
+    const stmt = db.prepare(`
+      SELECT COUNT(*) as count FROM comments
+      WHERE user_id = ? AND created_at >= datetime('now', '-' || ? || ' minutes')
     `);
-    return stmt.all();
+    return stmt.get(userId, minutes).count;
   }
 
   static update(id, commentData) {
@@ -53,18 +194,40 @@ class Comment {
       SET content = ?, status = ?
       WHERE id = ?
     `);
+    commentsChanged([id]);
     return stmt.run(commentData.content, commentData.status, id);
   }
 
   static delete(id) {
     const stmt = db.prepare('DELETE FROM comments WHERE id = ?');
+    commentsChanged([id]);
     return stmt.run(id);
   }
 
   static updateStatus(id, status) {
     const stmt = db.prepare('UPDATE comments SET status = ? WHERE id = ?');
-    return stmt.run(status, id);
+    const previous = Comment.findById(id);
+    commentsChanged([id]);
+    const result = stmt.run(status, id);
+    if (previous && previous.status !== 'approved' && status === 'approved') {
+      notifyCommentVisible(id);
+    }
+    return result;
+  }
+
+  static updateStatusBulk(ids, status) {
+    const update = db.transaction(() => ids.forEach(id => Comment.updateStatus(id, status)));
+    update();
+  }
+
+  static deleteBulk(ids) {
+    const remove = db.transaction(() => ids.forEach(id => Comment.delete(id)));
+    remove();
   }
 }
 
+// pending: waiting in the moderation queue; approved: visible on the post;
+// rejected: hidden by a moderator; spam: flagged by the scorer or a moderator
+Comment.STATUSES = ['pending', 'approved', 'rejected', 'spam'];
+
 module.exports = Comment;
@@ -0,0 +1,100 @@
+const { db } = require('../config/database');
+
+// Every stored file name starts with its upload's token, so references in
+// post content can be traced back whatever URL the storage adapter uses,
+// e.g. /uploads/2026/05/3f2a8c01d9e4b7a6-medium.webp
+const TOKEN_PATTERN = /\b([0-9a-f]{16})(?:-[a-z]+)?\.(?:jpg|png|gif|webp)\b/g;
+
+const parse = (row) => row && { ...row, variants: JSON.parse(row.variants || '{}') };
+
+class Media {
+  static create(mediaData) {
+    const stmt = db.prepare(`
+      INSERT INTO media (user_id, token, filename, storage_key, mime_type, size, width, height, alt_text, variants)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(
+      mediaData.user_id,
+      mediaData.token,
+      mediaData.filename,
+      mediaData.storage_key,
+      mediaData.mime_type,
+      mediaData.size,
+      mediaData.width,
+      mediaData.height,
+      mediaData.alt_text || '',
+      JSON.stringify(mediaData.variants || {})
+    );
+    return result.lastInsertRowid;
+  }
+
+  static findById(id) {
+    const stmt = db.prepare(`
+      SELECT media.*, users.username as owner_name,
+        (SELECT COUNT(*) FROM media_usage WHERE media_usage.media_id = media.id) as usage_count
+      FROM media
+      LEFT JOIN users ON media.user_id = users.id
+      WHERE media.id = ?
+    `);
+    return parse(stmt.get(id));
+  }
+
+  // Newest first; options.userId limits to one owner
+  static getAll(options = {}) {
+    let query = `
+      SELECT media.*, users.username as owner_name,
+        (SELECT COUNT(*) FROM media_usage WHERE media_usage.media_id = media.id) as usage_count
+      FROM media
+      LEFT JOIN users ON media.user_id = users.id
+    `;
+    const params = [];
+
+    if (options.userId) {
+      query += ' WHERE media.user_id = ?';
+      params.push(options.userId);
+    }
+
+    query += ' ORDER BY media.created_at DESC, media.id DESC';
+
+    if (options.limit) {
+      query += ' LIMIT ?';
+      params.push(options.limit);
+    }
+
+    const stmt = db.prepare(query);
+    return stmt.all(...params).map(parse);
+  }
+
+  // Posts whose content refers to this media
+  static getUsage(id) {
+    const stmt = db.prepare(`
+      SELECT posts.id, posts.title, posts.slug, posts.status
+      FROM media_usage
+      JOIN posts ON media_usage.post_id = posts.id
+      WHERE media_usage.media_id = ?
+      ORDER BY posts.title COLLATE NOCASE
+    `);
+    return stmt.all(id);
+  }
+
+  // Record which uploads a post's content refers to
+  static syncUsage(postId, content) {
+    const tokens = [...new Set([...String(content || '').matchAll(TOKEN_PATTERN)].map(match => match[1]))];
+
+    db.prepare('DELETE FROM media_usage WHERE post_id = ?').run(postId);
+    if (tokens.length === 0) return;
+
+    db.prepare(`
+      INSERT INTO media_usage (media_id, post_id)
+      SELECT id, ? FROM media WHERE token IN (${tokens.map(() => '?').join(', ')})
+    `).run(postId, ...tokens);
+  }
+
+  static delete(id) {
+    db.prepare('UPDATE users SET avatar_media_id = NULL WHERE avatar_media_id = ?').run(id);
+    const stmt = db.prepare('DELETE FROM media WHERE id = ?');
+    return stmt.run(id);
+  }
+}
+
+module.exports = Media;
@@ -1,27 +1,116 @@
 const { db } = require('../config/database');
+const Revision = require('./Revision');
+const Media = require('./Media');
+const { createExcerpt } = require('../utils/markdown');
+const { keysetCondition } = require('../utils/pagination');
+const { MATCH_START, MATCH_END, buildMatchQuery, highlightHtml } = require('../utils/search');
+const responseCache = require('../services/responseCache');
+const webhooks = require('../services/webhooks');
+
+// Cached pages showing the post and every post listing
+const postChanged = (id) => responseCache.invalidate(responseCache.cacheTags.post(id), responseCache.cacheTags.postLists);
+
+const isPublic = (status) => Post.PUBLIC_STATUSES.includes(status);
+
+// What webhook subscribers see of a post: its text only once readers can
+const hookData = (post) => {
+  const data = webhooks.postData(post);
+  return isPublic(post.status) ? data : { ...data, excerpt: null, content: null };
+};
+
+// Tell webhook subscribers about a post that was just saved: published if
+// it went live, updated for other changes to a post readers can see (or
+// just stopped seeing). Drafts and scheduled posts are never sent.
+const notifyPostSaved = (id, previousStatus) => {
+  const post = Post.findById(id);
+  if (post.status === 'published' && previousStatus !== 'published') {
+    webhooks.emit('post.published', { post: hookData(post) });
+  } else if (previousStatus && (isPublic(post.status) || isPublic(previousStatus))) {
+    webhooks.emit('post.updated', { post: hookData(post) });
+  }
+};
+
+// WHERE conditions for the getAll() and count() filters. authorId matches
+// posts the user wrote or is credited on as a co-author.
+const filterConditions = (options) => {
+  const conditions = [];
+  const params = [];
+
+  if (options.status) {
+    conditions.push('posts.status = ?');
+    params.push(options.status);
+  }
+
+  if (options.authorId) {
+    conditions.push(`(posts.author_id = ? OR EXISTS (
+      SELECT 1 FROM post_authors
+      WHERE post_authors.post_id = posts.id AND post_authors.user_id = ?
+    ))`);
+    params.push(options.authorId, options.authorId);
+  }
+
+  if (options.category) {
+    conditions.push('categories.slug = ?');
+    params.push(options.category);
+  }
+
+  if (options.tag) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM post_tags
+      JOIN tags ON tags.id = post_tags.tag_id
+      WHERE post_tags.post_id = posts.id AND tags.slug = ?
+    )`);
+    params.push(options.tag);
+  }
+
+  return { conditions, params };
+};
+
+// Columns getAll() can sort by
+const SORT_COLUMNS = {
+  created_at: 'posts.created_at',
+  updated_at: 'posts.updated_at',
+  views: 'posts.views'
+};
 
 class Post {
+  // created_at and updated_at default to now; imports pass the originals
   static create(postData) {
     const stmt = db.prepare(`
-      INSERT INTO posts (title, slug, content, excerpt, author_id, status)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO posts (title, slug, content, excerpt, author_id, status, category_id, publish_at, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), COALESCE(?, ?, CURRENT_TIMESTAMP))
     `);
-    const result = stmt.run(
-      postData.title,
-      postData.slug,
-      postData.content,
-      postData.excerpt || '',
-      postData.author_id,
-      postData.status || 'draft'
-    );
-    return result.lastInsertRowid;
+    const create = db.transaction(() => {
+      const result = stmt.run(
+        postData.title,
+        postData.slug,
+        postData.content,
+        postData.excerpt || createExcerpt(postData.content),
+        postData.author_id,
+        postData.status || 'draft',
+        postData.category_id || null,
+        postData.publish_at || null,
+        postData.created_at || null,
+        postData.updated_at || null,
+        postData.created_at || null
+      );
+      Revision.record(result.lastInsertRowid, postData.author_id);
+      Media.syncUsage(result.lastInsertRowid, postData.content);
+      return result.lastInsertRowid;
+    });
+    const id = create();
+    postChanged(id);
+    notifyPostSaved(id, null);
+    return id;
   }
 
   static findById(id) {
     const stmt = db.prepare(`
-      SELECT posts.*, users.username as author_name, users.email as author_email
+      SELECT posts.*, users.username as author_name, users.display_name as author_display_name,
+        users.email as author_email, categories.name as category_name, categories.slug as category_slug
       FROM posts
       JOIN users ON posts.author_id = users.id
+      LEFT JOIN categories ON posts.category_id = categories.id
       WHERE posts.id = ?
     `);
     return stmt.get(id);
@@ -29,9 +118,11 @@ class Post {
 
   static findBySlug(slug) {
     const stmt = db.prepare(`
-      SELECT posts.*, users.username as author_name, users.email as author_email
+      SELECT posts.*, users.username as author_name, users.display_name as author_display_name,
+        users.email as author_email, categories.name as category_name, categories.slug as category_slug
       FROM posts
       JOIN users ON posts.author_id = users.id
+      LEFT JOIN categories ON posts.category_id = categories.id
       WHERE posts.slug = ?
     `);
     return stmt.get(slug);
@@ -39,82 +130,261 @@ class Post {
 
   static getAll(options = {}) {
     let query = `
-      SELECT posts.*, users.username as author_name
+      SELECT posts.*, users.username as author_name, users.display_name as author_display_name,
+        categories.name as category_name, categories.slug as category_slug
       FROM posts
       JOIN users ON posts.author_id = users.id
+      LEFT JOIN categories ON posts.category_id = categories.id
     `;
-    
-    const conditions = [];
-    const params = [];
 
-    if (options.status) {
-      conditions.push('posts.status = ?');
-      params.push(options.status);
-    }
+    const { conditions, params } = filterConditions(options);
 
-    if (options.authorId) {
-      conditions.push('posts.author_id = ?');
-      params.push(options.authorId);
+    const sortColumn = SORT_COLUMNS[options.sort] || SORT_COLUMNS.created_at;
+    const direction = options.direction === 'asc' ? 'ASC' : 'DESC';
+
+    // Cursor pagination: continue after the last row of the previous page
+    if (options.after) {
+      const keyset = keysetCondition(sortColumn, 'posts.id', options);
+      conditions.push(keyset.sql);
+      params.push(...keyset.params);
     }
 
     if (conditions.length > 0) {
       query += ' WHERE ' + conditions.join(' AND ');
     }
 
-    query += ' ORDER BY posts.created_at DESC';
+    query += ` ORDER BY ${sortColumn} ${direction}, posts.id ${direction}`;
 
     if (options.limit) {
-      query += ' LIMIT ?';
-      params.push(options.limit);
+      query += ' LIMIT ? OFFSET ?';
+      params.push(options.limit, options.offset || 0);
     }
 
     const stmt = db.prepare(query);
     return stmt.all(...params);
   }
 
+  // Number of posts matching the same filters as getAll()
+  static count(options = {}) {
+    const { conditions, params } = filterConditions(options);
+    let query = `
+      SELECT COUNT(*) as count
+      FROM posts
+      LEFT JOIN categories ON posts.category_id = categories.id
+    `;
+
+    if (conditions.length > 0) {
+      query += ' WHERE ' + conditions.join(' AND ');
+    }
+
+    return db.prepare(query).get(...params).count;
+  }
+
+  // Everyone credited on each post, its author first and then its
+  // co-authors, as post.authors = [{ id, username, display_name }]
+  static withAuthors(posts) {
+    if (posts.length === 0) return posts;
+
+    const stmt = db.prepare(`
+      SELECT post_authors.post_id, users.id, users.username, users.display_name
+      FROM post_authors
+      JOIN users ON post_authors.user_id = users.id
+      WHERE post_authors.post_id IN (${posts.map(() => '?').join(', ')})
+      ORDER BY post_authors.position
+    `);
+    const coAuthors = new Map();
+    stmt.all(...posts.map(post => post.id)).forEach(({ post_id: postId, ...author }) => {
+      if (!coAuthors.has(postId)) coAuthors.set(postId, []);
+      coAuthors.get(postId).push(author);
+    });
+
+    return posts.map(post => ({
+      ...post,
+      authors: [
+        { id: post.author_id, username: post.author_name, display_name: post.author_display_name },
+        ...(coAuthors.get(post.id) || [])
+      ]
+    }));
+  }
+
+  // Replace the co-authors credited on a post, in the given order. The
+  // post's own author is never listed as a co-author.
+  static setCoAuthors(postId, userIds) {
+    const post = db.prepare('SELECT author_id FROM posts WHERE id = ?').get(postId);
+    const ids = [...new Set(userIds)].filter(id => id !== post.author_id);
+    const insert = db.prepare('INSERT INTO post_authors (post_id, user_id, position) VALUES (?, ?, ?)');
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM post_authors WHERE post_id = ?').run(postId);
+      ids.forEach((id, position) => insert.run(postId, id, position));
+    })();
+    postChanged(postId);
+  }
+
   static update(id, postData) {
     const stmt = db.prepare(`
       UPDATE posts 
-      SET title = ?, slug = ?, content = ?, excerpt = ?, status = ?, updated_at = CURRENT_TIMESTAMP
+      SET title = ?, slug = ?, content = ?, excerpt = ?, status = ?, category_id = ?,
+        publish_at = ?, updated_at = CURRENT_TIMESTAMP
       WHERE id = ?
     `);
-    return stmt.run(
-      postData.title,
-      postData.slug,
-      postData.content,
-      postData.excerpt,
-      postData.status,
-      id
-    );
+    const previous = Post.findById(id);
+    const update = db.transaction(() => {
+      // Posts created before revisions existed get their pre-edit state
+      // recorded first so the very first edit can still be rolled back.
+      if (Revision.countByPostId(id) === 0) {
+        Revision.record(id);
+      }
+
+      const result = stmt.run(
+        postData.title,
+        postData.slug,
+        postData.content,
+        postData.excerpt || createExcerpt(postData.content),
+        postData.status,
+        postData.category_id || null,
+        postData.publish_at || null,
+        id
+      );
+      Revision.record(id, postData.editor_id);
+      Media.syncUsage(id, postData.content);
+      return result;
+    });
+    const result = update();
+    postChanged(id);
+    if (previous) notifyPostSaved(id, previous.status);
+    return result;
+  }
+
+  // Slug and status stay as they are so a restore never breaks links
+  // or changes who can see the post.
+  static restoreRevision(id, revision, editorId) {
+    const post = Post.findById(id);
+    return Post.update(id, {
+      title: revision.title,
+      slug: post.slug,
+      content: revision.content,
+      excerpt: revision.excerpt,
+      status: post.status,
+      category_id: post.category_id,
+      publish_at: post.publish_at,
+      editor_id: editorId
+    });
   }
 
   static delete(id) {
+    const post = Post.findById(id);
     const stmt = db.prepare('DELETE FROM posts WHERE id = ?');
-    return stmt.run(id);
+    const result = stmt.run(id);
+    postChanged(id);
+    if (post && result.changes > 0) {
+      webhooks.emit('post.deleted', { post: hookData(post) });
+    }
+    return result;
+  }
+
+  static updateStatus(id, status, publishAt = null) {
+    const stmt = db.prepare(`
+      UPDATE posts
+      SET status = ?, publish_at = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+    const previous = Post.findById(id);
+    const result = stmt.run(status, publishAt, id);
+    postChanged(id);
+    if (previous) notifyPostSaved(id, previous.status);
+    return result;
+  }
+
+  // Flip scheduled posts whose publish time has passed to published.
+  // Returns the ids of the posts that were published.
+  static publishDue() {
+    const due = db.prepare(`
+      SELECT id FROM posts
+      WHERE status = 'scheduled' AND publish_at <= CURRENT_TIMESTAMP
+    `);
+    const publish = db.prepare(`
+      UPDATE posts
+      SET status = 'published', updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'scheduled'
+    `);
+
+    const run = db.transaction(() => {
+      const ids = due.all().map(row => row.id);
+      ids.forEach(id => publish.run(id));
+      return ids;
+    });
+    const ids = run();
+    ids.forEach(id => {
+      postChanged(id);
+      notifyPostSaved(id, 'scheduled');
+    });
+    return ids;
   }
 
-  static incrementViews(id) {
-    const stmt = db.prepare('UPDATE posts SET views = views + 1 WHERE id = ?');
-    return stmt.run(id);
+  static countByStatus() {
+    const stmt = db.prepare('SELECT status, COUNT(*) as count FROM posts GROUP BY status');
+    const counts = Object.fromEntries(Post.STATUSES.map(status => [status, 0]));
+    stmt.all().forEach(row => { counts[row.status] = row.count; });
+    return counts;
   }
 
   static getCommentCount(postId) {
-    const stmt = db.prepare('SELECT COUNT(*) as count FROM comments WHERE post_id = ?');
+    const stmt = db.prepare(`SELECT COUNT(*) as count FROM comments WHERE post_id = ? AND status = 'approved'`);
     return stmt.get(postId).count;
   }
 
-  static search(searchTerm) {
+  // Ranked full-text search over published posts. Title matches weigh
+  // ten times as much as content matches, excerpt matches twice as much.
+  static search(searchTerm, options = {}) {
+    const match = buildMatchQuery(searchTerm);
+    if (!match) return [];
+
     const stmt = db.prepare(`
-      SELECT posts.*, users.username as author_name
-      FROM posts
+      SELECT posts.*, users.username as author_name, users.display_name as author_display_name,
+        highlight(posts_fts, 0, ?, ?) as title_highlight,
+        snippet(posts_fts, 1, ?, ?, '…', 32) as snippet
+      FROM posts_fts
+      JOIN posts ON posts.id = posts_fts.rowid
       JOIN users ON posts.author_id = users.id
-      WHERE posts.status = 'published' 
-      AND (posts.title LIKE ? OR posts.content LIKE ?)
-      ORDER BY posts.created_at DESC
+      WHERE posts_fts MATCH ?
+      AND posts.status = 'published'
+      ORDER BY bm25(posts_fts, 10.0, 1.0, 2.0), posts.created_at DESC
+      LIMIT ? OFFSET ?
     `);
-    const term = `%${searchTerm}%`;
-    return stmt.all(term, term);
+
+    return stmt.all(
+      MATCH_START, MATCH_END,
+      MATCH_START, MATCH_END,
+      match,
+      options.limit || -1,
+      options.offset || 0
+    ).map(post => ({
+      ...post,
+      titleHtml: highlightHtml(post.title_highlight),
+      snippetHtml: highlightHtml(post.snippet)
+    }));
+  }
+
+  static searchCount(searchTerm) {
+    const match = buildMatchQuery(searchTerm);
+    if (!match) return 0;
+
+    const stmt = db.prepare(`
+      SELECT COUNT(*) as count
+      FROM posts_fts
+      JOIN posts ON posts.id = posts_fts.rowid
+      WHERE posts_fts MATCH ?
+      AND posts.status = 'published'
+    `);
+    return stmt.get(match).count;
   }
 }
 
+// draft: only visible to its author; scheduled: published automatically at
+// publish_at; published: listed everywhere; archived: hidden from listings
+// but still reachable by slug.
+Post.STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+Post.PUBLIC_STATUSES = ['published', 'archived'];
+
 module.exports = Post;
@@ -0,0 +1,79 @@
+const { db } = require('../config/database');
+
+// View events behind the analytics page. Days are UTC "YYYY-MM-DD" and
+// every range is inclusive at both ends.
+class PostView {
+  // Records a view unless this visitor already viewed the post today.
+  // posts.views only counts recorded views. Returns whether it was new.
+  static record(view) {
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO post_views (post_id, day, visitor_hash, path, referrer, referrer_host)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const bump = db.prepare('UPDATE posts SET views = views + 1 WHERE id = ?');
+
+    const run = db.transaction(() => {
+      const result = insert.run(
+        view.post_id,
+        view.day,
+        view.visitor_hash,
+        view.path || null,
+        view.referrer || null,
+        view.referrer_host || null
+      );
+      if (result.changes === 0) return false;
+      bump.run(view.post_id);
+      return true;
+    });
+    return run();
+  }
+
+  static countBetween(from, to) {
+    const stmt = db.prepare(`
+      SELECT COUNT(*) as views, COUNT(DISTINCT post_id) as posts
+      FROM post_views
+      WHERE day BETWEEN ? AND ?
+    `);
+    return stmt.get(from, to);
+  }
+
+  // [{ day, views }] for days that had any views
+  static countByDay(from, to, postId = null) {
+    const stmt = db.prepare(`
+      SELECT day, COUNT(*) as views
+      FROM post_views
+      WHERE day BETWEEN ? AND ? ${postId ? 'AND post_id = ?' : ''}
+      GROUP BY day
+      ORDER BY day
+    `);
+    return postId ? stmt.all(from, to, postId) : stmt.all(from, to);
+  }
+
+  static topPosts(from, to, limit = 10) {
+    const stmt = db.prepare(`
+      SELECT posts.id, posts.title, posts.slug, posts.status, COUNT(*) as views
+      FROM post_views
+      JOIN posts ON post_views.post_id = posts.id
+      WHERE post_views.day BETWEEN ? AND ?
+      GROUP BY posts.id
+      ORDER BY views DESC, posts.id DESC
+      LIMIT ?
+    `);
+    return stmt.all(from, to, limit);
+  }
+
+  // Other sites that sent readers; views without one count as direct
+  static topReferrers(from, to, limit = 10) {
+    const stmt = db.prepare(`
+      SELECT referrer_host as host, COUNT(*) as views
+      FROM post_views
+      WHERE day BETWEEN ? AND ? AND referrer_host IS NOT NULL
+      GROUP BY referrer_host
+      ORDER BY views DESC, host
+      LIMIT ?
+    `);
+    return stmt.all(from, to, limit);
+  }
+}
+
+module.exports = PostView;
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const { db } = require('../config/database');
+
+// Codes are shown as "xxxxx-xxxxx" but compared without the dash or case
+const normalize = (code) => String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+const hashCode = (code) => crypto.createHash('sha256').update(normalize(code)).digest('hex');
+
+class RecoveryCode {
+  // Replace a user's recovery codes with `count` new ones. Returns the
+  // plain-text codes; only their hashes are stored.
+  static replaceForUser(userId, count) {
+    const codes = Array.from({ length: count }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    const insert = db.prepare('INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)');
+    db.transaction(() => {
+      RecoveryCode.deleteForUser(userId);
+      codes.forEach(code => insert.run(userId, hashCode(code)));
+    })();
+
+    return codes;
+  }
+
+  // Use up one code. Returns true if it was valid.
+  static consume(userId, code) {
+    const stmt = db.prepare(`
+      UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP
+      WHERE id = (
+        SELECT id FROM recovery_codes
+        WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+        LIMIT 1
+      )
+    `);
+    return stmt.run(userId, hashCode(code)).changes > 0;
+  }
+
+  static countRemaining(userId) {
+    const stmt = db.prepare('SELECT COUNT(*) as count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL');
+    return stmt.get(userId).count;
+  }
+
+  static deleteForUser(userId) {
+    const stmt = db.prepare('DELETE FROM recovery_codes WHERE user_id = ?');
+    return stmt.run(userId);
+  }
+}
+
+module.exports = RecoveryCode;
@@ -0,0 +1,44 @@
+const { db } = require('../config/database');
+
+class Revision {
+  // Snapshot the current state of a post. Falls back to the post's own
+  // author when no editor is given (e.g. the initial revision).
+  static record(postId, authorId) {
+    const stmt = db.prepare(`
+      INSERT INTO post_revisions (post_id, author_id, title, slug, content, excerpt, status)
+      SELECT id, COALESCE(?, author_id), title, slug, content, excerpt, status
+      FROM posts
+      WHERE id = ?
+    `);
+    const result = stmt.run(authorId || null, postId);
+    return result.lastInsertRowid;
+  }
+
+  static findById(id) {
+    const stmt = db.prepare(`
+      SELECT post_revisions.*, users.username as author_name
+      FROM post_revisions
+      LEFT JOIN users ON post_revisions.author_id = users.id
+      WHERE post_revisions.id = ?
+    `);
+    return stmt.get(id);
+  }
+
+  static getByPostId(postId) {
+    const stmt = db.prepare(`
+      SELECT post_revisions.*, users.username as author_name
+      FROM post_revisions
+      LEFT JOIN users ON post_revisions.author_id = users.id
+      WHERE post_revisions.post_id = ?
+      ORDER BY post_revisions.id DESC
+    `);
+    return stmt.all(postId);
+  }
+
+  static countByPostId(postId) {
+    const stmt = db.prepare('SELECT COUNT(*) as count FROM post_revisions WHERE post_id = ?');
+    return stmt.get(postId).count;
+  }
+}
+
+module.exports = Revision;
@@ -0,0 +1,108 @@
+const { db } = require('../config/database');
+const slugify = require('../utils/slugify');
+const responseCache = require('../services/responseCache');
+
+class Tag {
+  static create(tagData) {
+    const stmt = db.prepare(`
+      INSERT INTO tags (name, slug)
+      VALUES (?, ?)
+    `);
+    const result = stmt.run(tagData.name, tagData.slug || slugify(tagData.name));
+    return result.lastInsertRowid;
+  }
+
+  static findById(id) {
+    const stmt = db.prepare('SELECT * FROM tags WHERE id = ?');
+    return stmt.get(id);
+  }
+
+  static findBySlug(slug) {
+    const stmt = db.prepare('SELECT * FROM tags WHERE slug = ?');
+    return stmt.get(slug);
+  }
+
+  static findOrCreate(name) {
+    const slug = slugify(name);
+    const existing = Tag.findBySlug(slug);
+    if (existing) return existing.id;
+
+    return Tag.create({ name, slug });
+  }
+
+  // Accepts "a, b, c" from a form or ['a', 'b'] from the API and returns
+  // unique, non-empty tag names.
+  static parseNames(input) {
+    const names = Array.isArray(input) ? input : String(input || '').split(',');
+    const seen = new Set();
+
+    return names
+      .map(name => String(name).trim())
+      .filter(name => {
+        const slug = slugify(name);
+        if (!slug || seen.has(slug)) return false;
+        seen.add(slug);
+        return true;
+      });
+  }
+
+  static getByPostId(postId) {
+    const stmt = db.prepare(`
+      SELECT tags.*
+      FROM tags
+      JOIN post_tags ON post_tags.tag_id = tags.id
+      WHERE post_tags.post_id = ?
+      ORDER BY tags.name COLLATE NOCASE
+    `);
+    return stmt.all(postId);
+  }
+
+  // Replace the tags on a post with the given names
+  static setForPost(postId, input) {
+    const names = Tag.parseNames(input);
+    const unlink = db.prepare('DELETE FROM post_tags WHERE post_id = ?');
+    const link = db.prepare('INSERT OR IGNORE INTO post_tags (post_id, tag_id) VALUES (?, ?)');
+
+    const save = db.transaction(() => {
+      unlink.run(postId);
+      names.forEach(name => link.run(postId, Tag.findOrCreate(name)));
+    });
+    save();
+    responseCache.invalidate(responseCache.cacheTags.post(postId));
+  }
+
+  static getAll(options = {}) {
+    let query = `
+      SELECT tags.*, COUNT(posts.id) as post_count
+      FROM tags
+      LEFT JOIN post_tags ON post_tags.tag_id = tags.id
+      LEFT JOIN posts ON posts.id = post_tags.post_id
+    `;
+    const params = [];
+
+    if (options.status) {
+      query += ' AND posts.status = ?';
+      params.push(options.status);
+    }
+
+    query += ' GROUP BY tags.id ORDER BY post_count DESC, tags.name';
+
+    if (options.limit) {
+      query += ' LIMIT ?';
+      params.push(options.limit);
+    }
+
+    const stmt = db.prepare(query);
+    return stmt.all(...params);
+  }
+
+  static delete(id) {
+    const posts = db.prepare('SELECT post_id FROM post_tags WHERE tag_id = ?').all(id);
+    const stmt = db.prepare('DELETE FROM tags WHERE id = ?');
+    const result = stmt.run(id);
+    responseCache.invalidate(posts.map(row => responseCache.cacheTags.post(row.post_id)));
+    return result;
+  }
+}
+
+module.exports = Tag;
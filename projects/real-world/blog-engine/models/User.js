@@ -1,16 +1,22 @@
 const { db } = require('../config/database');
+const responseCache = require('../services/responseCache');
 
 class User {
   static create(userData) {
     const stmt = db.prepare(`
-      INSERT INTO users (username, email, password, role)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO users (username, email, password, role, email_verified_at, display_name, bio, links, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
     `);
     const result = stmt.run(
       userData.username,
       userData.email,
       userData.password,
-      userData.role || 'user'
+      userData.role || 'author',
+      userData.email_verified_at || null,
+      userData.display_name || null,
+      userData.bio || null,
+      userData.links ? JSON.stringify(userData.links) : null,
+      userData.created_at || null
     );
     return result.lastInsertRowid;
   }
@@ -30,23 +36,147 @@ class User {
     return stmt.get(username);
   }
 
+  // Public author details for several users at once, keyed by id
+  static getAuthorsByIds(ids) {
+    const unique = [...new Set(ids)];
+    if (unique.length === 0) return new Map();
+
+    const stmt = db.prepare(`
+      SELECT id, username, display_name, role, created_at FROM users
+      WHERE id IN (${unique.map(() => '?').join(', ')})
+    `);
+    return new Map(stmt.all(...unique).map(user => [user.id, user]));
+  }
+
   static getAll() {
     const stmt = db.prepare('SELECT id, username, email, role, created_at FROM users');
     return stmt.all();
   }
 
+  // Everything needed to recreate the accounts elsewhere, password hashes
+  // included. Only for content exports.
+  static getAllForExport() {
+    const stmt = db.prepare(`
+      SELECT id, username, email, password, role, email_verified_at, display_name, bio, links, created_at
+      FROM users
+      ORDER BY id
+    `);
+    return stmt.all();
+  }
+
+  static count() {
+    return db.prepare('SELECT COUNT(*) as count FROM users').get().count;
+  }
+
   static update(id, userData) {
     const stmt = db.prepare(`
       UPDATE users 
       SET username = ?, email = ?, role = ?
       WHERE id = ?
     `);
-    return stmt.run(userData.username, userData.email, userData.role, id);
+    const result = stmt.run(userData.username, userData.email, userData.role, id);
+    // Usernames appear in bylines and roles change what pages offer, so
+    // any cached page may be out of date
+    responseCache.clear();
+    return result;
+  }
+
+  // Public profile: display name, bio and links ([{ label, url }])
+  static updateProfile(id, profile) {
+    const stmt = db.prepare('UPDATE users SET display_name = ?, bio = ?, links = ? WHERE id = ?');
+    const result = stmt.run(
+      profile.display_name || null,
+      profile.bio || null,
+      JSON.stringify(profile.links || []),
+      id
+    );
+    // Display names appear in bylines
+    responseCache.clear();
+    return result;
+  }
+
+  static setAvatar(id, mediaId) {
+    const stmt = db.prepare('UPDATE users SET avatar_media_id = ? WHERE id = ?');
+    return stmt.run(mediaId || null, id);
+  }
+
+  static updateRole(id, role) {
+    const stmt = db.prepare('UPDATE users SET role = ? WHERE id = ?');
+    const result = stmt.run(role, id);
+    responseCache.clear();
+    return result;
+  }
+
+  static markEmailVerified(id) {
+    const stmt = db.prepare(`
+      UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+      WHERE id = ?
+    `);
+    return stmt.run(id);
+  }
+
+  // A new password also lifts any lockout
+  static updatePassword(id, passwordHash) {
+    const stmt = db.prepare(`
+      UPDATE users
+      SET password = ?, failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+      WHERE id = ?
+    `);
+    return stmt.run(passwordHash, id);
+  }
+
+  static recordLoginFailure(id, { count, lockedUntil }) {
+    const stmt = db.prepare(`
+      UPDATE users
+      SET failed_login_count = ?, last_failed_login_at = CURRENT_TIMESTAMP, locked_until = ?
+      WHERE id = ?
+    `);
+    return stmt.run(count, lockedUntil, id);
+  }
+
+  static clearLoginFailures(id) {
+    const stmt = db.prepare(`
+      UPDATE users SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+      WHERE id = ?
+    `);
+    return stmt.run(id);
+  }
+
+  static enableTotp(id, secret, step) {
+    const stmt = db.prepare(`
+      UPDATE users SET totp_secret = ?, totp_enabled_at = CURRENT_TIMESTAMP, totp_last_step = ?
+      WHERE id = ?
+    `);
+    return stmt.run(secret, step, id);
+  }
+
+  static disableTotp(id) {
+    const stmt = db.prepare(`
+      UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL
+      WHERE id = ?
+    `);
+    return stmt.run(id);
+  }
+
+  // Remember the last accepted time step so a code can't be used twice
+  static setTotpLastStep(id, step) {
+    const stmt = db.prepare('UPDATE users SET totp_last_step = ? WHERE id = ?');
+    return stmt.run(step, id);
   }
 
   static delete(id) {
+    // Takes the user's posts and comments with it
     const stmt = db.prepare('DELETE FROM users WHERE id = ?');
-    return stmt.run(id);
+    const result = stmt.run(id);
+    responseCache.clear();
+    return result;
+  }
+
+  // Users for a list of usernames, in the same order; unknown names are
+  // left out
+  static findByUsernames(usernames) {
+    const stmt = db.prepare('SELECT id, username, display_name FROM users WHERE username = ?');
+    return usernames.map(username => stmt.get(username)).filter(Boolean);
   }
 
   static getPostCount(userId) {
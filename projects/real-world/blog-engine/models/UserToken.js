@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const { db } = require('../config/database');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class UserToken {
+  // Issue a single-use token for `purpose`, replacing any earlier unused
+  // ones so only the newest emailed link works. Returns the plain-text token.
+  static create(userId, purpose, ttlMinutes) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM user_tokens WHERE user_id = ? AND purpose = ? AND used_at IS NULL')
+        .run(userId, purpose);
+      db.prepare(`
+        INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+        VALUES (?, ?, ?, datetime('now', ?))
+      `).run(userId, purpose, hashToken(token), `+${ttlMinutes} minutes`);
+    })();
+
+    return token;
+  }
+
+  // An unused, unexpired token, without using it up
+  static find(token, purpose) {
+    const stmt = db.prepare(`
+      SELECT * FROM user_tokens
+      WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    `);
+    return stmt.get(hashToken(String(token)), purpose);
+  }
+
+  // Use up a token. Returns the user id it was issued to, or null.
+  static consume(token, purpose) {
+    const stmt = db.prepare(`
+      UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP
+      WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      RETURNING user_id
+    `);
+    const row = stmt.get(hashToken(String(token)), purpose);
+    return row ? row.user_id : null;
+  }
+}
+
+UserToken.PURPOSES = ['password_reset', 'email_verification'];
+
+module.exports = UserToken;
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { db } = require('../config/database');
+
+const parseRow = (row) => row && {
+  ...row,
+  events: row.events ? row.events.split(',') : [],
+  active: Boolean(row.active)
+};
+
+const validEvents = (events) => (events || []).filter(event => Webhook.EVENTS.includes(event));
+
+class Webhook {
+  static generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  static create(webhookData) {
+    const stmt = db.prepare(`
+      INSERT INTO webhooks (url, description, secret, events, active, created_by)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(
+      webhookData.url,
+      webhookData.description || null,
+      Webhook.generateSecret(),
+      validEvents(webhookData.events).join(','),
+      webhookData.active === false ? 0 : 1,
+      webhookData.created_by || null
+    );
+    return result.lastInsertRowid;
+  }
+
+  static findById(id) {
+    const stmt = db.prepare('SELECT * FROM webhooks WHERE id = ?');
+    return parseRow(stmt.get(id));
+  }
+
+  // Every webhook with the outcome of its latest delivery
+  static getAll() {
+    const stmt = db.prepare(`
+      SELECT webhooks.*, users.username AS created_by_name,
+        (SELECT COUNT(*) FROM webhook_deliveries WHERE webhook_id = webhooks.id AND status = 'pending') AS pending_count,
+        (SELECT status FROM webhook_deliveries WHERE webhook_id = webhooks.id ORDER BY id DESC LIMIT 1) AS last_status,
+        (SELECT created_at FROM webhook_deliveries WHERE webhook_id = webhooks.id ORDER BY id DESC LIMIT 1) AS last_delivery_at
+      FROM webhooks
+      LEFT JOIN users ON webhooks.created_by = users.id
+      ORDER BY webhooks.created_at DESC, webhooks.id DESC
+    `);
+    return stmt.all().map(parseRow);
+  }
+
+  static getActiveForEvent(event) {
+    const stmt = db.prepare(`
+      SELECT * FROM webhooks
+      WHERE active = 1 AND ',' || events || ',' LIKE '%,' || ? || ',%'
+    `);
+    return stmt.all(event).map(parseRow);
+  }
+
+  static update(id, webhookData) {
+    const stmt = db.prepare(`
+      UPDATE webhooks
+      SET url = ?, description = ?, events = ?, active = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+    return stmt.run(
+      webhookData.url,
+      webhookData.description || null,
+      validEvents(webhookData.events).join(','),
+      webhookData.active ? 1 : 0,
+      id
+    );
+  }
+
+  // Replaces the signing secret and returns the new one
+  static rotateSecret(id) {
+    const secret = Webhook.generateSecret();
+    const stmt = db.prepare('UPDATE webhooks SET secret = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+    stmt.run(secret, id);
+    return secret;
+  }
+
+  static delete(id) {
+    const stmt = db.prepare('DELETE FROM webhooks WHERE id = ?');
+    return stmt.run(id);
+  }
+}
+
+// post.published fires when a post goes live (directly or on its scheduled
+// time), post.updated for any other change to a post
+Webhook.EVENTS = ['post.published', 'post.updated', 'post.deleted', 'comment.created'];
+
+module.exports = Webhook;
@@ -0,0 +1,97 @@
+const { db } = require('../config/database');
+
+class WebhookDelivery {
+  static create(deliveryData) {
+    const stmt = db.prepare(`
+      INSERT INTO webhook_deliveries (webhook_id, event, payload, redelivery_of)
+      VALUES (?, ?, ?, ?)
+    `);
+    const result = stmt.run(
+      deliveryData.webhook_id,
+      deliveryData.event,
+      deliveryData.payload,
+      deliveryData.redelivery_of || null
+    );
+    return result.lastInsertRowid;
+  }
+
+  static findById(id) {
+    const stmt = db.prepare(`
+      SELECT webhook_deliveries.*, webhooks.url
+      FROM webhook_deliveries
+      JOIN webhooks ON webhook_deliveries.webhook_id = webhooks.id
+      WHERE webhook_deliveries.id = ?
+    `);
+    return stmt.get(id);
+  }
+
+  static getByWebhookId(webhookId, limit = 50) {
+    const stmt = db.prepare(`
+      SELECT * FROM webhook_deliveries
+      WHERE webhook_id = ?
+      ORDER BY id DESC
+      LIMIT ?
+    `);
+    return stmt.all(webhookId, limit);
+  }
+
+  // Pending deliveries to active webhooks whose next attempt has come,
+  // with what is needed to send them
+  static getDue(limit) {
+    const stmt = db.prepare(`
+      SELECT webhook_deliveries.*, webhooks.url, webhooks.secret
+      FROM webhook_deliveries
+      JOIN webhooks ON webhook_deliveries.webhook_id = webhooks.id
+      WHERE webhook_deliveries.status = 'pending'
+        AND webhook_deliveries.next_attempt_at <= CURRENT_TIMESTAMP
+        AND webhooks.active = 1
+      ORDER BY webhook_deliveries.next_attempt_at, webhook_deliveries.id
+      LIMIT ?
+    `);
+    return stmt.all(limit);
+  }
+
+  // Store the outcome of one attempt. A delivery that stays pending is
+  // tried again at `next_attempt_at`.
+  static recordAttempt(id, attempt) {
+    const stmt = db.prepare(`
+      UPDATE webhook_deliveries
+      SET status = ?, attempts = attempts + 1, last_attempt_at = CURRENT_TIMESTAMP,
+          next_attempt_at = ?, response_status = ?, response_body = ?, error = ?, duration_ms = ?
+      WHERE id = ?
+    `);
+    return stmt.run(
+      attempt.status,
+      attempt.next_attempt_at || null,
+      attempt.response_status || null,
+      attempt.response_body || null,
+      attempt.error || null,
+      attempt.duration_ms,
+      id
+    );
+  }
+
+  // Give up on everything still queued for a webhook, e.g. when it is
+  // switched off
+  static cancelPending(webhookId, reason) {
+    const stmt = db.prepare(`
+      UPDATE webhook_deliveries
+      SET status = 'failed', next_attempt_at = NULL, error = ?
+      WHERE webhook_id = ? AND status = 'pending'
+    `);
+    return stmt.run(reason, webhookId);
+  }
+
+  // Delete finished deliveries older than `days`
+  static prune(days) {
+    const stmt = db.prepare(`
+      DELETE FROM webhook_deliveries
+      WHERE status != 'pending' AND created_at < datetime('now', ?)
+    `);
+    return stmt.run(`-${days} days`).changes;
+  }
+}
+
+WebhookDelivery.STATUSES = ['pending', 'delivered', 'failed'];
+
+module.exports = WebhookDelivery;
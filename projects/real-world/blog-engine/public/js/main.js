@@ -10,6 +10,149 @@ document.addEventListener('DOMContentLoaded', () => {
     }, 5000);
   });
 
+  // Ask before destructive actions (buttons with data-confirm="Question?")
+  document.addEventListener('click', event => {
+    const button = event.target.closest('[data-confirm]');
+    if (button && !window.confirm(button.dataset.confirm)) {
+      event.preventDefault();
+    }
+  });
+
+  // Requests made from scripts send the page's form token as a header
+  const csrfInput = document.querySelector('input[name="_csrf"]');
+  const csrfHeader = csrfInput ? { 'X-CSRF-Token': csrfInput.value } : {};
+
+  // Only show the publish date when scheduling a post
+  const statusSelect = document.querySelector('.post-form #status');
+  const publishAtGroup = document.getElementById('publish-at-group');
+  if (statusSelect && publishAtGroup) {
+    const togglePublishAt = () => {
+      publishAtGroup.style.display = statusSelect.value === 'scheduled' ? '' : 'none';
+    };
+    statusSelect.addEventListener('change', togglePublishAt);
+    togglePublishAt();
+  }
+
+  // Live Markdown preview, rendered by the server so it matches the post page
+  const contentInput = document.querySelector('.post-form #content');
+  const preview = document.getElementById('content-preview');
+  if (contentInput && preview) {
+    let previewTimer;
+    const renderPreview = () => {
+      fetch('/posts/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...csrfHeader },
+        body: JSON.stringify({ content: contentInput.value })
+      })
+        .then(res => res.json())
+        .then(data => { preview.innerHTML = data.html; })
+        .catch(() => { preview.textContent = 'Preview unavailable'; });
+    };
+    contentInput.addEventListener('input', () => {
+      clearTimeout(previewTimer);
+      previewTimer = setTimeout(renderPreview, 300);
+    });
+    renderPreview();
+  }
+
+  // Image picker on the post forms: choose or upload an image and insert
+  // it into the content as Markdown
+  const picker = document.getElementById('media-picker');
+  const pickerToggle = document.getElementById('media-picker-toggle');
+  if (picker && pickerToggle && contentInput) {
+    const grid = picker.querySelector('.media-picker-grid');
+    const status = picker.querySelector('.media-picker-status');
+    const fileInput = document.getElementById('media-file');
+    const altInput = document.getElementById('media-alt');
+    let loaded = false;
+
+    const insertImage = (media) => {
+      const alt = (media.alt_text || '').replace(/[[\]]/g, '');
+      const markdown = `![${alt}](${media.embedUrl})`;
+      const { selectionStart, selectionEnd, value } = contentInput;
+      contentInput.value = value.slice(0, selectionStart) + markdown + value.slice(selectionEnd);
+      contentInput.focus();
+      contentInput.selectionStart = contentInput.selectionEnd = selectionStart + markdown.length;
+      contentInput.dispatchEvent(new Event('input'));
+    };
+
+    const addToGrid = (media, prepend) => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      const img = document.createElement('img');
+      button.type = 'button';
+      button.className = 'media-picker-item';
+      button.title = media.filename;
+      img.src = media.urls.thumb;
+      img.alt = media.alt_text || media.filename;
+      img.loading = 'lazy';
+      button.appendChild(img);
+      button.addEventListener('click', () => insertImage(media));
+      item.appendChild(button);
+      if (prepend) {
+        grid.prepend(item);
+      } else {
+        grid.appendChild(item);
+      }
+    };
+
+    pickerToggle.addEventListener('click', () => {
+      picker.hidden = !picker.hidden;
+      if (picker.hidden || loaded) return;
+
+      loaded = true;
+      fetch('/media', { headers: { Accept: 'application/json' } })
+        .then(res => res.json())
+        .then(data => {
+          if (!data.success) throw new Error(data.error);
+          data.data.forEach(media => addToGrid(media));
+          if (data.data.length === 0) {
+            status.textContent = 'No images yet. Upload one above.';
+          }
+        })
+        .catch(() => {
+          loaded = false;
+          status.textContent = 'Could not load your images';
+        });
+    });
+
+    document.getElementById('media-upload').addEventListener('click', () => {
+      if (fileInput.files.length === 0) {
+        status.textContent = 'Choose an image first';
+        return;
+      }
+
+      const body = new FormData();
+      body.append('alt', altInput.value);
+      body.append('file', fileInput.files[0]);
+      status.textContent = 'Uploading…';
+
+      fetch('/media', { method: 'POST', body, headers: { Accept: 'application/json', ...csrfHeader } })
+        .then(res => res.json())
+        .then(data => {
+          if (!data.success) throw new Error(data.error);
+          addToGrid(data.data, true);
+          insertImage(data.data);
+          fileInput.value = '';
+          altInput.value = '';
+          status.textContent = 'Uploaded and inserted';
+        })
+        .catch(error => {
+          status.textContent = error.message || 'Upload failed';
+        });
+    });
+  }
+
+  // "Select all" checkbox for bulk actions
+  document.querySelectorAll('.select-all').forEach(selectAll => {
+    selectAll.addEventListener('change', () => {
+      const table = selectAll.closest('table');
+      table.querySelectorAll('tbody input[type="checkbox"]').forEach(box => {
+        box.checked = selectAll.checked;
+      });
+    });
+  });
+
   // Confirm delete actions
   const deleteForms = document.querySelectorAll('form[action*="DELETE"]');
   deleteForms.forEach(form => {
@@ -19,4 +162,48 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     });
   });
+
+  // Search on the static export, which has no server: every word of the
+  // query must appear in a post's title, excerpt, tags or text
+  const staticSearch = document.getElementById('static-search');
+  if (staticSearch) {
+    const query = (new URLSearchParams(window.location.search).get('q') || '').trim();
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const summary = staticSearch.querySelector('.static-search-summary');
+    const results = staticSearch.querySelector('.posts-list');
+    const indexUrl = new URL(staticSearch.dataset.index, window.location.href);
+
+    document.querySelectorAll('.search-bar input[name="q"]').forEach(input => {
+      input.value = query;
+    });
+
+    if (terms.length > 0) {
+      fetch(indexUrl)
+        .then(res => res.json())
+        .then(index => {
+          const matches = index.posts.filter(post => {
+            const text = [post.title, post.excerpt, post.tags.join(' '), post.text].join(' ').toLowerCase();
+            return terms.every(term => text.includes(term));
+          });
+
+          summary.textContent = `Showing ${matches.length} ${matches.length === 1 ? 'result' : 'results'} for: "${query}"`;
+          matches.forEach(post => {
+            const article = document.createElement('article');
+            const heading = document.createElement('h2');
+            const link = document.createElement('a');
+            const excerpt = document.createElement('p');
+            article.className = 'post-item search-result';
+            link.href = new URL(post.url, indexUrl).href;
+            link.textContent = post.title;
+            excerpt.textContent = post.excerpt || post.text.slice(0, 200);
+            heading.appendChild(link);
+            article.append(heading, excerpt);
+            results.appendChild(article);
+          });
+        })
+        .catch(() => {
+          summary.textContent = 'Search is not available right now';
+        });
+    }
+  }
 });
@@ -0,0 +1,292 @@
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const { body, validationResult } = require('express-validator');
+const ApiToken = require('../models/ApiToken');
+const User = require('../models/User');
+const RecoveryCode = require('../models/RecoveryCode');
+const { twoFactor } = require('../config/security');
+const { sendVerificationEmail } = require('../services/accountMail');
+const { UploadError, receiveUpload } = require('../services/media');
+const { PROFILE_LIMITS, presentProfile, replaceAvatar, removeAvatar } = require('../services/profiles');
+const { generateSecret, verifyTotp, otpauthUrl } = require('../utils/totp');
+const { ensureAuthenticated } = require('../middleware/auth');
+
+// All account routes require a logged-in user
+router.use(ensureAuthenticated);
+
+const renderSettings = (req, res, extra = {}) => {
+  res.render('account/settings', {
+    title: 'Account Settings',
+    profile: presentProfile(req.user),
+    profileLimits: PROFILE_LIMITS,
+    tokens: ApiToken.getByUserId(req.user.id),
+    scopes: ApiToken.SCOPES,
+    newToken: null,
+    recoveryCodesLeft: req.user.totp_enabled_at ? RecoveryCode.countRemaining(req.user.id) : 0,
+    ...extra
+  });
+};
+
+// Settings page
+router.get('/', (req, res) => {
+  try {
+    renderSettings(req, res);
+  } catch (error) {
+    console.error(error);
+    res.status(500).render('error', { title: 'Error', error });
+  }
+});
+
+// Profile links arrive as parallel link_label/link_url fields; rows left
+// empty are dropped
+const linkRows = (body) => {
+  const labels = [].concat(body.link_label || []);
+  return [].concat(body.link_url || [])
+    .map((url, index) => ({ label: String(labels[index] || '').trim(), url: String(url).trim() }))
+    .filter(link => link.label || link.url);
+};
+
+const profileRules = [
+  body('display_name').trim().isLength({ max: PROFILE_LIMITS.displayName })
+    .withMessage(`Display name can be at most ${PROFILE_LIMITS.displayName} characters`),
+  body('bio').trim().isLength({ max: PROFILE_LIMITS.bio })
+    .withMessage(`Bio can be at most ${PROFILE_LIMITS.bio} characters`),
+  body('link_url').custom((value, { req }) => {
+    const links = linkRows(req.body);
+    if (links.length > PROFILE_LIMITS.links) {
+      throw new Error(`Add at most ${PROFILE_LIMITS.links} links`);
+    }
+    links.forEach(link => {
+      let url;
+      try {
+        url = new URL(link.url);
+      } catch (error) {
+        throw new Error(`"${link.url || link.label}" needs a full URL, e.g. https://example.com`);
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error('Links must start with http:// or https://');
+      }
+      if (link.label.length > PROFILE_LIMITS.linkLabel) {
+        throw new Error(`Link labels can be at most ${PROFILE_LIMITS.linkLabel} characters`);
+      }
+    });
+    return true;
+  })
+];
+
+// Update the public profile shown on the author page
+router.put('/profile', profileRules, (req, res) => {
+  const errors = validationResult(req);
+  const links = linkRows(req.body);
+
+  if (!errors.isEmpty()) {
+    return renderSettings(req, res, {
+      errors: errors.array(),
+      profile: { ...presentProfile(req.user), display_name: req.body.display_name, bio: req.body.bio, links }
+    });
+  }
+
+  try {
+    User.updateProfile(req.user.id, {
+      display_name: req.body.display_name,
+      bio: req.body.bio,
+      // A link without a label shows its host name
+      links: links.map(link => ({ label: link.label || new URL(link.url).hostname, url: link.url }))
+    });
+    req.flash('success_msg', 'Profile updated');
+    res.redirect('/account');
+  } catch (error) {
+    console.error(error);
+    req.flash('error_msg', 'Error updating profile');
+    res.redirect('/account');
+  }
+});
+
+// Upload a new avatar. The image also goes into the media library.
+router.post('/avatar', async (req, res) => {
+  try {
+    const file = await receiveUpload(req, res);
+    await replaceAvatar(req.user, file);
+    req.flash('success_msg', 'Avatar updated');
+    res.redirect('/account');
+  } catch (error) {
+    if (!(error instanceof UploadError)) {
+      console.error(error);
+    }
+    req.flash('error_msg', error instanceof UploadError ? error.message : 'Error uploading avatar');
+    res.redirect('/account');
+  }
+});
+
+router.delete('/avatar', async (req, res) => {
+  try {
+    await removeAvatar(req.user);
+    req.flash('success_msg', 'Avatar removed');
+    res.redirect('/account');
+  } catch (error) {
+    console.error(error);
+    req.flash('error_msg', 'Error removing avatar');
+    res.redirect('/account');
+  }
+});
+
+// Create API token. The plain-text token is shown once, right here.
+router.post('/tokens', [
+  body('name').trim().notEmpty().withMessage('Token name is required'),
+  body('scopes').custom(value => {
+    const scopes = [].concat(value || []);
+    if (scopes.length === 0 || !scopes.every(scope => ApiToken.SCOPES.includes(scope))) {
+      throw new Error('Choose at least one valid scope');
+    }
+    return true;
+  })
+], (req, res) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return renderSettings(req, res, { errors: errors.array() });
+  }
+
+  try {
+    const { token } = ApiToken.create({
+      user_id: req.user.id,
+      name: req.body.name,
+      scopes: [].concat(req.body.scopes)
+    });
+
+    renderSettings(req, res, { newToken: token });
+  } catch (error) {
+    console.error(error);
+    req.flash('error_msg', 'Error creating token');
+    res.redirect('/account');
+  }
+});
+
+// Revoke API token
+router.delete('/tokens/:id', (req, res) => {
+  try {
+    const result = ApiToken.revoke(parseInt(req.params.id), req.user.id);
+
+    if (result.changes === 0) {
+      req.flash('error_msg', 'Token not found');
+    } else {
+      req.flash('success_msg', 'Token revoked');
+    }
+    res.redirect('/account');
+  } catch (error) {
+    console.error(error);
+    req.flash('error_msg', 'Error revoking token');
+    res.redirect('/account');
+  }
+});
+
+// Send a new email confirmation link
+router.post('/verify-email', async (req, res) => {
+  try {
+    if (!req.user.email_verified_at) {
+      await sendVerificationEmail(req.user);
+      req.flash('success_msg', `We've sent a confirmation link to ${req.user.email}`);
+    }
+    res.redirect('/account');
+  } catch (error) {
+    console.error(error);
+    req.flash('error_msg', 'Error sending confirmation email');
+    res.redirect('/account');
+  }
+});
+
+const renderTwoFactorSetup = (req, res, extra = {}) => {
+  const secret = req.session.totpSetup;
+  res.render('account/two-factor', {
+    title: 'Set Up Two-Factor Authentication',
+    secret,
+    otpauthUrl: otpauthUrl({ secret, account: req.user.email, issuer: twoFactor.issuer }),
+    ...extra
+  });
+};
+
+// Start two-factor enrollment. The secret lives in the session until the
+// user proves their app has it by entering a code.
+router.get('/two-factor', (req, res) => {
+  if (req.user.totp_enabled_at) {
+    return res.redirect('/account');
+  }
+
+  req.session.totpSetup = req.session.totpSetup || generateSecret();
+  renderTwoFactorSetup(req, res);
+});
+
+// Finish enrollment and show the recovery codes once
+router.post('/two-factor', (req, res) => {
+  try {
+    const secret = req.session.totpSetup;
+
+    if (req.user.totp_enabled_at || !secret) {
+      return res.redirect('/account');
+    }
+
+    const step = verifyTotp(secret, req.body.code, { window: twoFactor.window });
+    if (step === null) {
+      return renderTwoFactorSetup(req, res, {
+        errors: [{ msg: "That code didn't match. Check the time on your device and try again." }]
+      });
+    }
+
+    User.enableTotp(req.user.id, secret, step);
+    delete req.session.totpSetup;
+    const codes = RecoveryCode.replaceForUser(req.user.id, twoFactor.recoveryCodeCount);
+
+    res.render('account/recovery-codes', { title: 'Recovery Codes', codes, enabled: true });
+  } catch (error) {
+    console.error(error);
+    req.flash('error_msg', 'Error enabling two-factor authentication');
+    res.redirect('/account/two-factor');
+  }
+});
+
+// Turning two-factor off or replacing recovery codes needs the password
+const confirmPassword = async (req, res, next) => {
+  try {
+    const isMatch = await bcrypt.compare(String(req.body.password || ''), req.user.password);
+    if (!isMatch) {
+      req.flash('error_msg', 'Password incorrect');
+      return res.redirect('/account');
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Replace recovery codes
+router.post('/two-factor/recovery-codes', confirmPassword, (req, res) => {
+  try {
+    if (!req.user.totp_enabled_at) {
+      return res.redirect('/account');
+    }
+
+    const codes = RecoveryCode.replaceForUser(req.user.id, twoFactor.recoveryCodeCount);
+    res.render('account/recovery-codes', { title: 'Recovery Codes', codes, enabled: false });
+  } catch (error) {
+    console.error(error);
+    req.flash('error_msg', 'Error generating recovery codes');
+    res.redirect('/account');
+  }
+});
+
+// Turn two-factor off
+router.delete('/two-factor', confirmPassword, (req, res) => {
+  try {
+    User.disableTotp(req.user.id);
+    RecoveryCode.deleteForUser(req.user.id);
+    req.flash('success_msg', 'Two-factor authentication is off');
+    res.redirect('/account');
+  } catch (error) {
+    console.error(error);
+    req.flash('error_msg', 'Error turning off two-factor authentication');
+    res.redirect('/account');
+  }
+});
+
+module.exports = router;
@@ -3,30 +3,52 @@ const router = express.Router();
 const Post = require('../models/Post');
 const User = require('../models/User');
 const Comment = require('../models/Comment');
-const { ensureAdmin } = require('../middleware/auth');
+const Tag = require('../models/Tag');
+const Media = require('../models/Media');
+const PostView = require('../models/PostView');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { UploadError, receiveUpload, ingest, present, remove } = require('../services/media');
+const analytics = require('../services/analytics');
+const responseCache = require('../services/responseCache');
+const webhooks = require('../services/webhooks');
+const { ROLES, roleOf } = require('../utils/permissions');
+const { ensurePermission } = require('../middleware/auth');
 
-// All routes require admin authentication
-router.use(ensureAdmin);
+// Editors and admins get the admin area; managing users and webhooks is
+// admin-only
+router.use(ensurePermission('access-admin'));
 
 // Admin dashboard
 router.get('/', (req, res) => {
   try {
+    const statusCounts = Post.countByStatus();
+    const commentCounts = Comment.countByStatus();
+    const sum = (counts) => Object.values(counts).reduce((total, count) => total + count, 0);
+    const lastMonth = analytics.parseRange();
     const stats = {
-      totalPosts: Post.getAll().length,
-      publishedPosts: Post.getAll({ status: 'published' }).length,
-      draftPosts: Post.getAll({ status: 'draft' }).length,
-      totalUsers: User.getAll().length,
-      totalComments: Comment.getAll().length
+      totalPosts: sum(statusCounts),
+      publishedPosts: statusCounts.published,
+      draftPosts: statusCounts.draft,
+      scheduledPosts: statusCounts.scheduled,
+      archivedPosts: statusCounts.archived,
+      totalUsers: User.count(),
+      totalComments: sum(commentCounts),
+      pendingComments: commentCounts.pending,
+      recentViews: PostView.countBetween(lastMonth.from, lastMonth.to).views
     };
 
     const recentPosts = Post.getAll({ limit: 5 });
-    const recentComments = Comment.getAll().slice(0, 5);
+    const recentComments = Comment.getAll({ limit: 5 });
+    const tags = Tag.getAll({ limit: 20 });
 
     res.render('admin/dashboard', {
       title: 'Admin Dashboard',
       stats,
+      cache: responseCache.getStats(),
       recentPosts,
-      recentComments
+      recentComments,
+      tags
     });
   } catch (error) {
     console.error(error);
@@ -34,11 +56,58 @@ router.get('/', (req, res) => {
   }
 });
 
+// Empty the response cache, e.g. after editing the database by hand
+router.delete('/cache', (req, res) => {
+  responseCache.clear();
+  req.flash('success_msg', 'Response cache cleared');
+  res.redirect('/admin');
+});
+
+// Views and comments over a date range (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+router.get('/analytics', (req, res) => {
+  try {
+    const range = analytics.parseRange(req.query);
+    res.render('admin/analytics', {
+      title: 'Analytics',
+      report: analytics.report(range),
+      presets: analytics.presetRanges(),
+      exports: Object.keys(analytics.EXPORTS)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).render('error', { title: 'Error', error });
+  }
+});
+
+// Download one analytics report for the same range as CSV
+router.get('/analytics/export/:report', (req, res) => {
+  try {
+    const file = analytics.exportCsv(req.params.report, analytics.parseRange(req.query));
+    if (!file) {
+      return res.status(404).render('404', { title: 'Page Not Found' });
+    }
+
+    res.attachment(file.filename);
+    res.type('text/csv');
+    res.send(file.csv);
+  } catch (error) {
+    console.error(error);
+    res.status(500).render('error', { title: 'Error', error });
+  }
+});
+
 // Manage posts
 router.get('/posts', (req, res) => {
   try {
-    const posts = Post.getAll();
-    res.render('admin/posts', { title: 'Manage Posts', posts });
+    const status = Post.STATUSES.includes(req.query.status) ? req.query.status : null;
+    const posts = Post.getAll({ status });
+    res.render('admin/posts', {
+      title: 'Manage Posts',
+      posts,
+      status,
+      statuses: Post.STATUSES,
+      statusCounts: Post.countByStatus()
+    });
   } catch (error) {
     console.error(error);
     res.status(500).render('error', { title: 'Error', error });
@@ -46,33 +115,154 @@ router.get('/posts', (req, res) => {
 });
 
 // Manage users
-router.get('/users', (req, res) => {
+router.get('/users', ensurePermission('manage-users'), (req, res) => {
   try {
     const users = User.getAll();
     const usersWithStats = users.map(user => ({
       ...user,
+      role: roleOf(user),
       postCount: User.getPostCount(user.id)
     }));
-    res.render('admin/users', { title: 'Manage Users', users: usersWithStats });
+    res.render('admin/users', { title: 'Manage Users', users: usersWithStats, roles: ROLES });
   } catch (error) {
     console.error(error);
     res.status(500).render('error', { title: 'Error', error });
   }
 });
 
-// Manage comments
-router.get('/comments', (req, res) => {
+// Manage comments (moderation queue)
+router.get('/comments', ensurePermission('moderate-comments'), (req, res) => {
   try {
-    const comments = Comment.getAll();
-    res.render('admin/comments', { title: 'Manage Comments', comments });
+    const status = Comment.STATUSES.includes(req.query.status) ? req.query.status : null;
+    const comments = Comment.getAll({ status });
+    res.render('admin/comments', {
+      title: 'Manage Comments',
+      comments,
+      status,
+      statuses: Comment.STATUSES,
+      statusCounts: Comment.countByStatus()
+    });
   } catch (error) {
     console.error(error);
     res.status(500).render('error', { title: 'Error', error });
   }
 });
 
+// Media library
+router.get('/media', ensurePermission('manage-media'), (req, res) => {
+  try {
+    const media = Media.getAll().map(present);
+    res.render('admin/media', { title: 'Media Library', media });
+  } catch (error) {
+    console.error(error);
+    res.status(500).render('error', { title: 'Error', error });
+  }
+});
+
+// Posts that use one upload
+router.get('/media/:id', ensurePermission('manage-media'), (req, res) => {
+  try {
+    const media = Media.findById(parseInt(req.params.id));
+
+    if (!media) {
+      return res.status(404).render('404', { title: 'Media Not Found' });
+    }
+
+    res.render('admin/media-item', {
+      title: media.filename,
+      media: present(media),
+      posts: Media.getUsage(media.id)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).render('error', { title: 'Error', error });
+  }
+});
+
+router.post('/media', ensurePermission('manage-media'), async (req, res) => {
+  try {
+    const file = await receiveUpload(req, res);
+    await ingest(file, { userId: req.user.id, altText: (req.body.alt || '').trim() });
+    req.flash('success_msg', `Uploaded ${file.originalname}`);
+    res.redirect('/admin/media');
+  } catch (error) {
+    if (!(error instanceof UploadError)) {
+      console.error(error);
+    }
+    req.flash('error_msg', error instanceof UploadError ? error.message : 'Error uploading image');
+    res.redirect('/admin/media');
+  }
+});
+
+router.delete('/media/:id', ensurePermission('manage-media'), async (req, res) => {
+  try {
+    const media = Media.findById(parseInt(req.params.id));
+
+    if (!media) {
+      req.flash('error_msg', 'Media not found');
+      return res.redirect('/admin/media');
+    }
+
+    await remove(media);
+    req.flash('success_msg', `Deleted ${media.filename}`);
+    res.redirect('/admin/media');
+  } catch (error) {
+    console.error(error);
+    req.flash('error_msg', 'Error deleting media');
+    res.redirect('/admin/media');
+  }
+});
+
+// Change post status (publish now, archive, restore to draft)
+router.put('/posts/:id/status', (req, res) => {
+  try {
+    const post = Post.findById(parseInt(req.params.id));
+    const status = req.body.status;
+
+    if (!post || !Post.STATUSES.includes(status) || status === 'scheduled') {
+      req.flash('error_msg', 'Invalid status change');
+      return res.redirect('/admin/posts');
+    }
+
+    Post.updateStatus(post.id, status);
+    req.flash('success_msg', `"${post.title}" is now ${status}`);
+    res.redirect('/admin/posts');
+  } catch (error) {
+    console.error(error);
+    req.flash('error_msg', 'Error updating post status');
+    res.redirect('/admin/posts');
+  }
+});
+
+// Change a user's role
+router.put('/users/:id/role', ensurePermission('manage-users'), (req, res) => {
+  try {
+    const target = User.findById(parseInt(req.params.id));
+    const role = req.body.role;
+
+    if (!target || !ROLES.includes(role)) {
+      req.flash('error_msg', 'Invalid role change');
+      return res.redirect('/admin/users');
+    }
+
+    // Stops admins from locking themselves out of the admin area
+    if (target.id === req.user.id) {
+      req.flash('error_msg', 'You cannot change your own role');
+      return res.redirect('/admin/users');
+    }
+
+    User.updateRole(target.id, role);
+    req.flash('success_msg', `${target.username}'s role is now ${role}`);
+    res.redirect('/admin/users');
+  } catch (error) {
+    console.error(error);
+    req.flash('error_msg', 'Error updating role');
+    res.redirect('/admin/users');
+  }
+});
+
 // Delete user
-router.delete('/users/:id', (req, res) => {
+router.delete('/users/:id', ensurePermission('manage-users'), (req, res) => {
   try {
     const userId = parseInt(req.params.id);
     
@@ -90,8 +280,42 @@ router.delete('/users/:id', (req, res) => {
   }
 });
 
+// Bulk moderation: approve, reject, mark as spam or delete
+const BULK_ACTIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  spam: 'spam'
+};
+
+router.post('/comments/bulk', ensurePermission('moderate-comments'), (req, res) => {
+  const back = `/admin/comments${req.query.status ? `?status=${encodeURIComponent(req.query.status)}` : ''}`;
+
+  try {
+    const ids = [].concat(req.body.ids || []).map(id => parseInt(id)).filter(Boolean);
+    const action = req.body.action;
+
+    if (ids.length === 0 || !(action in BULK_ACTIONS || action === 'delete')) {
+      req.flash('error_msg', 'Select some comments and an action');
+      return res.redirect(back);
+    }
+
+    if (action === 'delete') {
+      Comment.deleteBulk(ids);
+    } else {
+      Comment.updateStatusBulk(ids, BULK_ACTIONS[action]);
+    }
+
+    req.flash('success_msg', `${ids.length} comment${ids.length === 1 ? '' : 's'} updated`);
+    res.redirect(back);
+  } catch (error) {
+    console.error(error);
+    req.flash('error_msg', 'Error updating comments');
+    res.redirect(back);
+  }
+});
+
 // Delete comment
-router.delete('/comments/:id', (req, res) => {
+router.delete('/comments/:id', ensurePermission('moderate-comments'), (req, res) => {
   try {
     Comment.delete(parseInt(req.params.id));
     req.flash('success_msg', 'Comment deleted successfully');
@@ -103,4 +327,171 @@ router.delete('/comments/:id', (req, res) => {
   }
 });
 
+// Webhooks
+const readWebhookForm = (body) => {
+  const webhook = {
+    url: (body.url || '').trim(),
+    description: (body.description || '').trim(),
+    events: [].concat(body.events || []).filter(event => Webhook.EVENTS.includes(event)),
+    active: body.active === 'on'
+  };
+
+  const errors = [];
+  try {
+    if (!['http:', 'https:'].includes(new URL(webhook.url).protocol)) {
+      errors.push('Payload URL must use http or https');
+    }
+  } catch (error) {
+    errors.push('Payload URL must be a valid URL');
+  }
+  if (webhook.events.length === 0) {
+    errors.push('Choose at least one event');
+  }
+  return { webhook, errors };
+};
+
+router.get('/webhooks', ensurePermission('manage-webhooks'), (req, res) => {
+  try {
+    res.render('admin/webhooks', {
+      title: 'Webhooks',
+      webhooks: Webhook.getAll(),
+      events: Webhook.EVENTS
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).render('error', { title: 'Error', error });
+  }
+});
+
+// Settings, secret and recent deliveries of one webhook
+router.get('/webhooks/:id', ensurePermission('manage-webhooks'), (req, res) => {
+  try {
+    const webhook = Webhook.findById(parseInt(req.params.id));
+
+    if (!webhook) {
+      return res.status(404).render('404', { title: 'Webhook Not Found' });
+    }
+
+    res.render('admin/webhook', {
+      title: 'Edit Webhook',
+      webhook,
+      events: Webhook.EVENTS,
+      deliveries: WebhookDelivery.getByWebhookId(webhook.id)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).render('error', { title: 'Error', error });
+  }
+});
+
+router.post('/webhooks', ensurePermission('manage-webhooks'), (req, res) => {
+  try {
+    const { webhook, errors } = readWebhookForm({ ...req.body, active: 'on' });
+
+    if (errors.length > 0) {
+      req.flash('error_msg', errors.join('. '));
+      return res.redirect('/admin/webhooks');
+    }
+
+    const id = Webhook.create({ ...webhook, created_by: req.user.id });
+    req.flash('success_msg', 'Webhook added. Use its secret to verify the signature of each delivery.');
+    res.redirect(`/admin/webhooks/${id}`);
+  } catch (error) {
+    console.error(error);
+    req.flash('error_msg', 'Error adding webhook');
+    res.redirect('/admin/webhooks');
+  }
+});
+
+router.put('/webhooks/:id', ensurePermission('manage-webhooks'), (req, res) => {
+  const back = `/admin/webhooks/${parseInt(req.params.id)}`;
+
+  try {
+    const existing = Webhook.findById(parseInt(req.params.id));
+    if (!existing) {
+      req.flash('error_msg', 'Webhook not found');
+      return res.redirect('/admin/webhooks');
+    }
+
+    const { webhook, errors } = readWebhookForm(req.body);
+    if (errors.length > 0) {
+      req.flash('error_msg', errors.join('. '));
+      return res.redirect(back);
+    }
+
+    Webhook.update(existing.id, webhook);
+    // Deliveries queued for a disabled webhook would otherwise all go out,
+    // stale, whenever it is switched back on
+    if (existing.active && !webhook.active) {
+      WebhookDelivery.cancelPending(existing.id, 'Webhook was disabled');
+    }
+    req.flash('success_msg', 'Webhook updated');
+    res.redirect(back);
+  } catch (error) {
+    console.error(error);
+    req.flash('error_msg', 'Error updating webhook');
+    res.redirect(back);
+  }
+});
+
+// The old secret stops working immediately
+router.post('/webhooks/:id/secret', ensurePermission('manage-webhooks'), (req, res) => {
+  const back = `/admin/webhooks/${parseInt(req.params.id)}`;
+
+  try {
+    const webhook = Webhook.findById(parseInt(req.params.id));
+    if (!webhook) {
+      req.flash('error_msg', 'Webhook not found');
+      return res.redirect('/admin/webhooks');
+    }
+
+    Webhook.rotateSecret(webhook.id);
+    req.flash('success_msg', 'New secret generated. Update it on the receiving end.');
+    res.redirect(back);
+  } catch (error) {
+    console.error(error);
+    req.flash('error_msg', 'Error generating a new secret');
+    res.redirect(back);
+  }
+});
+
+// Queue a delivery's payload again, e.g. after fixing the receiver
+router.post('/webhooks/:id/deliveries/:deliveryId/redeliver', ensurePermission('manage-webhooks'), (req, res) => {
+  const back = `/admin/webhooks/${parseInt(req.params.id)}`;
+
+  try {
+    const delivery = WebhookDelivery.findById(parseInt(req.params.deliveryId));
+    if (!delivery || delivery.webhook_id !== parseInt(req.params.id)) {
+      req.flash('error_msg', 'Delivery not found');
+      return res.redirect(back);
+    }
+
+    const webhook = Webhook.findById(delivery.webhook_id);
+    if (!webhook.active) {
+      req.flash('error_msg', 'Enable the webhook before redelivering');
+      return res.redirect(back);
+    }
+
+    const id = webhooks.redeliver(delivery.id);
+    req.flash('success_msg', `Delivery #${delivery.id} queued again as #${id}`);
+    res.redirect(back);
+  } catch (error) {
+    console.error(error);
+    req.flash('error_msg', 'Error redelivering');
+    res.redirect(back);
+  }
+});
+
+router.delete('/webhooks/:id', ensurePermission('manage-webhooks'), (req, res) => {
+  try {
+    Webhook.delete(parseInt(req.params.id));
+    req.flash('success_msg', 'Webhook deleted');
+    res.redirect('/admin/webhooks');
+  } catch (error) {
+    console.error(error);
+    req.flash('error_msg', 'Error deleting webhook');
+    res.redirect('/admin/webhooks');
+  }
+});
+
 module.exports = router;
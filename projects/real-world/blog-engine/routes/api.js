@@ -2,13 +2,118 @@ const express = require('express');
 const router = express.Router();
 const Post = require('../models/Post');
 const Comment = require('../models/Comment');
-const { ensureAuthenticated } = require('../middleware/auth');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const User = require('../models/User');
+const { moderate } = require('../services/spam');
+const { cacheTags, cacheResponse, dependsOn } = require('../services/responseCache');
+const { toSqlDateTime } = require('../utils/dates');
+const { buildOpenApiSpec } = require('../utils/openapi');
+const { siteUrl } = require('../utils/url');
+const { parseListQuery, paginate, selectFields, linkHeader } = require('../utils/pagination');
+const { can } = require('../utils/permissions');
+const { authenticateToken, requireScope, hasScope } = require('../middleware/apiAuth');
+const { rateLimit } = require('../middleware/rateLimit');
 
-// GET /api/posts - Get all published posts
-router.get('/posts', (req, res) => {
+// Every API route accepts a bearer token in place of a session cookie
+router.use(authenticateToken);
+
+// Returns an error message if the status/publish_at pair is invalid
+const validateLifecycle = (status, publishAt) => {
+  if (status && !Post.STATUSES.includes(status)) {
+    return `Status must be one of: ${Post.STATUSES.join(', ')}`;
+  }
+  if (status === 'scheduled' && !toSqlDateTime(publishAt)) {
+    return 'publish_at is required for scheduled posts';
+  }
+  return null;
+};
+
+// What list endpoints accept in ?sort=, ?fields= and ?include=
+const POST_LIST = {
+  sortable: ['created_at', 'updated_at', 'views'],
+  defaultSort: '-created_at',
+  fields: [
+    'id', 'title', 'slug', 'content', 'excerpt', 'author_id', 'author_name', 'author_display_name', 'status',
+    'views', 'category_id', 'category_name', 'category_slug', 'publish_at',
+    'created_at', 'updated_at'
+  ],
+  includes: ['comments', 'author']
+};
+
+const COMMENT_LIST = {
+  sortable: ['created_at'],
+  defaultSort: '-created_at',
+  fields: ['id', 'post_id', 'user_id', 'username', 'parent_id', 'content', 'status', 'created_at'],
+  includes: ['author']
+};
+
+// Attach ?include= expansions to a page of rows
+const expand = (items, include, { authorKey }) => {
+  const authors = include.includes('author')
+    ? User.getAuthorsByIds(items.map(item => item[authorKey]))
+    : null;
+  const comments = include.includes('comments')
+    ? Comment.getByPostIds(items.map(item => item.id))
+    : null;
+
+  return items.map(item => ({
+    ...item,
+    ...(authors && { author: authors.get(item[authorKey]) || null }),
+    ...(comments && { comments: comments.get(item.id) })
+  }));
+};
+
+// Send a page of results with a Link header and pagination metadata
+const sendPage = (req, res, rows, options, { authorKey }) => {
+  const { items, nextCursor } = paginate(rows, options);
+  const data = expand(items, options.include, { authorKey })
+    .map(item => selectFields(item, options));
+
+  res.set('Link', linkHeader(req, nextCursor));
+  res.json({
+    success: true,
+    data,
+    pagination: {
+      limit: options.limit,
+      sort: `${options.direction === 'desc' ? '-' : ''}${options.sort}`,
+      next_cursor: nextCursor
+    }
+  });
+};
+
+// Unpublished posts are only visible to users who may edit them,
+// and token clients additionally need the "read" scope
+const canViewPost = (req, post) => {
+  const isPublic = post.status === 'published' || post.status === 'archived';
+  return can(req.user, 'view-post', post) && (isPublic || hasScope(req, 'read'));
+};
+
+// GET /api/openapi.json - OpenAPI 3 description of this API
+router.get('/openapi.json', (req, res) => {
+  res.json(buildOpenApiSpec({ serverUrl: `${siteUrl(req)}/api` }));
+});
+
+// GET /api/posts - Page through published posts, optionally filtered by
+// ?tag= or ?category=. Supports ?limit, ?cursor, ?sort, ?fields and ?include.
+router.get('/posts', cacheResponse(), (req, res) => {
   try {
-    const posts = Post.getAll({ status: 'published' });
-    res.json({ success: true, data: posts });
+    const { options, error } = parseListQuery(req.query, POST_LIST);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const posts = Post.getAll({
+      status: 'published',
+      tag: req.query.tag,
+      category: req.query.category,
+      sort: options.sort,
+      direction: options.direction,
+      after: options.after,
+      limit: options.limit + 1
+    });
+    dependsOn(res, [cacheTags.postLists, ...posts.map(post => cacheTags.post(post.id))]);
+    sendPage(req, res, posts, options, { authorKey: 'author_id' });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -18,27 +123,37 @@ router.get('/posts', (req, res) => {
 router.get('/posts/:id', (req, res) => {
   try {
     const post = Post.findById(parseInt(req.params.id));
-    
-    if (!post) {
+
+    if (!post || !canViewPost(req, post)) {
       return res.status(404).json({ success: false, error: 'Post not found' });
     }
 
     const comments = Comment.getByPostId(post.id);
-    res.json({ success: true, data: { ...post, comments } });
+    const tags = Tag.getByPostId(post.id);
+    res.json({ success: true, data: { ...post, tags, comments } });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // POST /api/posts - Create new post (authenticated)
-router.post('/posts', ensureAuthenticated, (req, res) => {
+router.post('/posts', requireScope('posts:write'), (req, res) => {
   try {
-    const { title, content, excerpt, status } = req.body;
+    const { title, content, excerpt, status, category, tags, publish_at } = req.body;
     
     if (!title || !content) {
       return res.status(400).json({ success: false, error: 'Title and content are required' });
     }
 
+    const lifecycleError = validateLifecycle(status, publish_at);
+    if (lifecycleError) {
+      return res.status(400).json({ success: false, error: lifecycleError });
+    }
+
+    if (!can(req.user, 'set-status', status || 'draft')) {
+      return res.status(403).json({ success: false, error: 'Your role may only save drafts' });
+    }
+
     const slug = title
       .toLowerCase()
       .replace(/[^a-z0-9]+/g, '-')
@@ -50,8 +165,11 @@ router.post('/posts', ensureAuthenticated, (req, res) => {
       content,
       excerpt: excerpt || '',
       author_id: req.user.id,
-      status: status || 'draft'
+      status: status || 'draft',
+      category_id: Category.findOrCreate(category),
+      publish_at: status === 'scheduled' ? toSqlDateTime(publish_at) : null
     });
+    Tag.setForPost(postId, tags);
 
     const post = Post.findById(postId);
     res.status(201).json({ success: true, data: post });
@@ -61,7 +179,7 @@ router.post('/posts', ensureAuthenticated, (req, res) => {
 });
 
 // PUT /api/posts/:id - Update post (authenticated)
-router.put('/posts/:id', ensureAuthenticated, (req, res) => {
+router.put('/posts/:id', requireScope('posts:write'), (req, res) => {
   try {
     const post = Post.findById(parseInt(req.params.id));
     
@@ -69,11 +187,23 @@ router.put('/posts/:id', ensureAuthenticated, (req, res) => {
       return res.status(404).json({ success: false, error: 'Post not found' });
     }
 
-    if (post.author_id !== req.user.id && req.user.role !== 'admin') {
+    if (!can(req.user, 'edit-post', post)) {
       return res.status(403).json({ success: false, error: 'Permission denied' });
     }
 
-    const { title, content, excerpt, status } = req.body;
+    const { title, content, excerpt, status, category, tags, publish_at } = req.body;
+    const newStatus = status || post.status;
+    const publishAt = publish_at !== undefined ? publish_at : post.publish_at;
+
+    const lifecycleError = validateLifecycle(newStatus, publishAt);
+    if (lifecycleError) {
+      return res.status(400).json({ success: false, error: lifecycleError });
+    }
+
+    if (!can(req.user, 'set-status', newStatus)) {
+      return res.status(403).json({ success: false, error: 'Your role may only save drafts' });
+    }
+
     const slug = title
       .toLowerCase()
       .replace(/[^a-z0-9]+/g, '-')
@@ -84,9 +214,16 @@ router.put('/posts/:id', ensureAuthenticated, (req, res) => {
       slug,
       content,
       excerpt: excerpt || '',
-      status: status || post.status
+      status: newStatus,
+      publish_at: newStatus === 'scheduled' ? toSqlDateTime(publishAt) : null,
+      category_id: category !== undefined ? Category.findOrCreate(category) : post.category_id,
+      editor_id: req.user.id
     });
 
+    if (tags !== undefined) {
+      Tag.setForPost(post.id, tags);
+    }
+
     const updatedPost = Post.findById(post.id);
     res.json({ success: true, data: updatedPost });
   } catch (error) {
@@ -95,7 +232,7 @@ router.put('/posts/:id', ensureAuthenticated, (req, res) => {
 });
 
 // DELETE /api/posts/:id - Delete post (authenticated)
-router.delete('/posts/:id', ensureAuthenticated, (req, res) => {
+router.delete('/posts/:id', requireScope('posts:write'), (req, res) => {
   try {
     const post = Post.findById(parseInt(req.params.id));
     
@@ -103,7 +240,7 @@ router.delete('/posts/:id', ensureAuthenticated, (req, res) => {
       return res.status(404).json({ success: false, error: 'Post not found' });
     }
 
-    if (post.author_id !== req.user.id && req.user.role !== 'admin') {
+    if (!can(req.user, 'delete-post', post)) {
       return res.status(403).json({ success: false, error: 'Permission denied' });
     }
 
@@ -114,38 +251,68 @@ router.delete('/posts/:id', ensureAuthenticated, (req, res) => {
   }
 });
 
-// GET /api/posts/:id/comments - Get comments for a post
+// GET /api/posts/:id/comments - Page through approved comments on a post.
+// Supports ?limit, ?cursor, ?sort, ?fields and ?include=author.
 router.get('/posts/:id/comments', (req, res) => {
   try {
-    const comments = Comment.getByPostId(parseInt(req.params.id));
-    res.json({ success: true, data: comments });
+    const { options, error } = parseListQuery(req.query, COMMENT_LIST);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const post = Post.findById(parseInt(req.params.id));
+    if (!post || !canViewPost(req, post)) {
+      return res.status(404).json({ success: false, error: 'Post not found' });
+    }
+
+    const comments = Comment.list({
+      postId: post.id,
+      direction: options.direction,
+      after: options.after,
+      limit: options.limit + 1
+    });
+    sendPage(req, res, comments, options, { authorKey: 'user_id' });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // POST /api/posts/:id/comments - Add comment (authenticated)
-router.post('/posts/:id/comments', ensureAuthenticated, (req, res) => {
+router.post('/posts/:id/comments', requireScope('comments:write'), rateLimit('comments'), (req, res) => {
   try {
-    const { content } = req.body;
+    const { content, parent_id } = req.body;
     
     if (!content) {
       return res.status(400).json({ success: false, error: 'Content is required' });
     }
 
     const post = Post.findById(parseInt(req.params.id));
-    if (!post) {
+    if (!post || !canViewPost(req, post)) {
       return res.status(404).json({ success: false, error: 'Post not found' });
     }
 
+    let parentId = null;
+    if (parent_id) {
+      const parent = Comment.findById(parseInt(parent_id));
+      if (!parent || parent.post_id !== post.id) {
+        return res.status(400).json({ success: false, error: 'parent_id must be a comment on this post' });
+      }
+      parentId = parent.id;
+    }
+
+    const { status, score, reasons } = moderate({ content, user: req.user });
+
     const commentId = Comment.create({
       post_id: post.id,
       user_id: req.user.id,
+      parent_id: parentId,
       content,
-      status: 'approved'
+      status,
+      spam_score: score,
+      spam_reasons: reasons.join('; ')
     });
 
-    const comment = Comment.findById(commentId);
+    const comment = selectFields(Comment.findById(commentId), { fields: COMMENT_LIST.fields, include: [] });
     res.status(201).json({ success: true, data: comment });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
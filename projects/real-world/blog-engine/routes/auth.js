@@ -4,38 +4,135 @@ const passport = require('passport');
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const UserToken = require('../models/UserToken');
+const RecoveryCode = require('../models/RecoveryCode');
+const { requireEmailVerification, twoFactor } = require('../config/security');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/accountMail');
+const { retryAfter, recordFailure, recordSuccess, throttledMessage, lockedMessage } = require('../services/loginThrottle');
+const { verifyTotp } = require('../utils/totp');
+const { DEFAULT_ROLE } = require('../utils/permissions');
 const { forwardAuthenticated } = require('../middleware/auth');
+const { rateLimit, resetRateLimit } = require('../middleware/rateLimit');
+
+const passwordRules = [
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('password2').custom((value, { req }) => {
+    if (value !== req.body.password) {
+      throw new Error('Passwords do not match');
+    }
+    return true;
+  })
+];
 
 // Login page
 router.get('/login', forwardAuthenticated, (req, res) => {
   res.render('auth/login', { title: 'Login' });
 });
 
-// Login handler
-router.post('/login', (req, res, next) => {
-  passport.authenticate('local', {
-    successRedirect: '/',
-    failureRedirect: '/auth/login',
-    failureFlash: true
+// Login handler. Accounts with two-factor authentication stop halfway:
+// the password checked out, but the session isn't logged in until a code
+// is entered at /auth/two-factor.
+router.post('/login', rateLimit('login'), (req, res, next) => {
+  passport.authenticate('local', (err, user, info) => {
+    if (err) return next(err);
+
+    if (!user) {
+      req.flash('error', (info && info.message) || 'Invalid email or password');
+      return res.redirect('/auth/login');
+    }
+
+    if (user.totp_enabled_at) {
+      req.session.twoFactor = { userId: user.id, startedAt: Date.now() };
+      return res.redirect('/auth/two-factor');
+    }
+
+    req.logIn(user, (loginErr) => {
+      if (loginErr) return next(loginErr);
+      res.redirect('/');
+    });
   })(req, res, next);
 });
 
+// The user who passed the password step, if it hasn't expired
+const pendingTwoFactorUser = (req) => {
+  const pending = req.session.twoFactor;
+  if (!pending || Date.now() - pending.startedAt > twoFactor.pendingMinutes * 60 * 1000) {
+    return null;
+  }
+  return User.findById(pending.userId) || null;
+};
+
+// Two-factor code page
+router.get('/two-factor', forwardAuthenticated, (req, res) => {
+  if (!pendingTwoFactorUser(req)) {
+    req.flash('error_msg', 'Please log in again');
+    return res.redirect('/auth/login');
+  }
+  res.render('auth/two-factor', { title: 'Two-Factor Authentication' });
+});
+
+// Accepts an authenticator code or a recovery code
+router.post('/two-factor', forwardAuthenticated, rateLimit('login'), (req, res, next) => {
+  const user = pendingTwoFactorUser(req);
+
+  if (!user || !user.totp_enabled_at) {
+    delete req.session.twoFactor;
+    req.flash('error_msg', 'Please log in again');
+    return res.redirect('/auth/login');
+  }
+
+  const wait = retryAfter(user);
+  if (wait > 0) {
+    req.flash('error_msg', throttledMessage(wait));
+    return res.redirect('/auth/two-factor');
+  }
+
+  const code = String(req.body.code || '').trim();
+  let usedRecoveryCode = false;
+
+  const step = verifyTotp(user.totp_secret, code, {
+    window: twoFactor.window,
+    lastStep: user.totp_last_step
+  });
+
+  if (step !== null) {
+    User.setTotpLastStep(user.id, step);
+  } else if (RecoveryCode.consume(user.id, code)) {
+    usedRecoveryCode = true;
+  } else {
+    if (recordFailure(user)) {
+      delete req.session.twoFactor;
+      req.flash('error_msg', lockedMessage());
+      return res.redirect('/auth/login');
+    }
+    req.flash('error_msg', 'Invalid code');
+    return res.redirect('/auth/two-factor');
+  }
+
+  recordSuccess(user);
+  delete req.session.twoFactor;
+
+  req.logIn(user, (err) => {
+    if (err) return next(err);
+
+    if (usedRecoveryCode) {
+      const remaining = RecoveryCode.countRemaining(user.id);
+      req.flash('success_msg', `Logged in with a recovery code. You have ${remaining} left; generate new ones on the Settings page if you're running low.`);
+    }
+    res.redirect('/');
+  });
+});
+
 // Register page
 router.get('/register', forwardAuthenticated, (req, res) => {
   res.render('auth/register', { title: 'Register' });
 });
 
 // Register handler
-router.post('/register', [
+router.post('/register', rateLimit('register'), [
   body('username').trim().isLength({ min: 3 }).withMessage('Username must be at least 3 characters'),
   body('email').isEmail().withMessage('Invalid email address'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('password2').custom((value, { req }) => {
-    if (value !== req.body.password) {
-      throw new Error('Passwords do not match');
-    }
-    return true;
-  })
+  ...passwordRules
 ], async (req, res) => {
   const errors = validationResult(req);
   
@@ -73,14 +170,22 @@ router.post('/register', [
     const hashedPassword = await bcrypt.hash(password, 10);
 
     // Create user
-    User.create({
+    const userId = User.create({
       username,
       email,
       password: hashedPassword,
-      role: 'user'
+      role: DEFAULT_ROLE
     });
 
-    req.flash('success_msg', 'You are now registered and can log in');
+    try {
+      await sendVerificationEmail(User.findById(userId));
+    } catch (mailError) {
+      console.error(mailError);
+    }
+
+    req.flash('success_msg', requireEmailVerification
+      ? 'You are now registered. Check your email for a link to confirm your address, then log in.'
+      : 'You are now registered and can log in');
     res.redirect('/auth/login');
   } catch (error) {
     console.error(error);
@@ -89,8 +194,133 @@ router.post('/register', [
   }
 });
 
-// Logout
-router.get('/logout', (req, res) => {
+// Confirm an email address from the emailed link
+router.get('/verify/:token', (req, res) => {
+  try {
+    const userId = UserToken.consume(req.params.token, 'email_verification');
+
+    if (!userId) {
+      req.flash('error_msg', 'That confirmation link is invalid or has expired. Request a new one below.');
+      return res.redirect('/auth/verify');
+    }
+
+    User.markEmailVerified(userId);
+    req.flash('success_msg', 'Your email address is confirmed');
+    res.redirect(req.user ? '/account' : '/auth/login');
+  } catch (error) {
+    console.error(error);
+    req.flash('error_msg', 'Error confirming email address');
+    res.redirect('/auth/login');
+  }
+});
+
+// Ask for a new confirmation link
+router.get('/verify', (req, res) => {
+  res.render('auth/resend-verification', { title: 'Confirm Your Email' });
+});
+
+router.post('/verify', [
+  body('email').isEmail().withMessage('Invalid email address')
+], async (req, res) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return res.render('auth/resend-verification', { title: 'Confirm Your Email', errors: errors.array() });
+  }
+
+  try {
+    const user = User.findByEmail(req.body.email);
+    if (user && !user.email_verified_at) {
+      await sendVerificationEmail(user);
+    }
+
+    // Same answer either way so this can't be used to discover accounts
+    req.flash('success_msg', 'If that address needs confirming, a new link is on its way.');
+    res.redirect('/auth/login');
+  } catch (error) {
+    console.error(error);
+    req.flash('error_msg', 'Error sending confirmation email');
+    res.redirect('/auth/verify');
+  }
+});
+
+// Forgot password page
+router.get('/forgot', forwardAuthenticated, (req, res) => {
+  res.render('auth/forgot', { title: 'Forgot Password' });
+});
+
+router.post('/forgot', forwardAuthenticated, [
+  body('email').isEmail().withMessage('Invalid email address')
+], async (req, res) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return res.render('auth/forgot', { title: 'Forgot Password', errors: errors.array() });
+  }
+
+  try {
+    const user = User.findByEmail(req.body.email);
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+
+    // Same answer either way so this can't be used to discover accounts
+    req.flash('success_msg', 'If an account uses that address, we have emailed it a link to reset the password.');
+    res.redirect('/auth/login');
+  } catch (error) {
+    console.error(error);
+    req.flash('error_msg', 'Error sending password reset email');
+    res.redirect('/auth/forgot');
+  }
+});
+
+// Reset password page, reached from the emailed link
+router.get('/reset/:token', forwardAuthenticated, (req, res) => {
+  if (!UserToken.find(req.params.token, 'password_reset')) {
+    req.flash('error_msg', 'That reset link is invalid or has expired. Request a new one below.');
+    return res.redirect('/auth/forgot');
+  }
+  res.render('auth/reset', { title: 'Choose a New Password', token: req.params.token });
+});
+
+router.post('/reset/:token', forwardAuthenticated, passwordRules, async (req, res) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return res.render('auth/reset', {
+      title: 'Choose a New Password',
+      token: req.params.token,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const hashedPassword = await bcrypt.hash(req.body.password, 10);
+    const userId = UserToken.consume(req.params.token, 'password_reset');
+
+    if (!userId) {
+      req.flash('error_msg', 'That reset link is invalid or has expired. Request a new one below.');
+      return res.redirect('/auth/forgot');
+    }
+
+    // Clears the account's failed logins and lockout along with the old
+    // password, and this address's login limit, so they can sign in now
+    User.updatePassword(userId, hashedPassword);
+    resetRateLimit('login', req.ip);
+    // Following the emailed link proves the address works
+    User.markEmailVerified(userId);
+
+    req.flash('success_msg', 'Your password has been changed. You can now log in.');
+    res.redirect('/auth/login');
+  } catch (error) {
+    console.error(error);
+    req.flash('error_msg', 'Error resetting password');
+    res.redirect(`/auth/reset/${encodeURIComponent(req.params.token)}`);
+  }
+});
+
+// Logout. A POST, so another site can't sign people out with a link.
+router.post('/logout', (req, res) => {
   req.logout((err) => {
     if (err) {
       console.error(err);
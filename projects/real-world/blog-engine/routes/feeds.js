@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Tag = require('../models/Tag');
+const { FORMATS } = require('../utils/feeds');
+const { siteFeed, authorFeed, tagFeed, loadFeed, feedEtag, renderFeed } = require('../services/feeds');
+const { siteUrl } = require('../utils/url');
+
+// Build and send a feed of published posts in the format named by `file`.
+// Responds 304 when the client's ETag/Last-Modified still match.
+const sendFeed = (req, res, file, definition) => {
+  const loaded = loadFeed(definition);
+
+  res.set('ETag', `W/"${feedEtag(file, req.originalUrl, loaded)}"`);
+  res.set('Last-Modified', loaded.lastModified.toUTCString());
+  res.type(FORMATS[file].type);
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.send(renderFeed(file, definition, loaded, { base: siteUrl(req), feedPath: req.path }));
+};
+
+Object.keys(FORMATS).forEach(file => {
+  // GET /feed.xml, /atom.xml, /feed.json - Site-wide feeds
+  router.get(`/${file}`, (req, res, next) => {
+    try {
+      sendFeed(req, res, file, siteFeed());
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // GET /authors/:username/feed.xml etc. - Posts by one author
+  router.get(`/authors/:username/${file}`, (req, res, next) => {
+    try {
+      const author = User.findByUsername(req.params.username);
+
+      if (!author) {
+        return res.status(404).render('404', { title: 'Author Not Found' });
+      }
+
+      sendFeed(req, res, file, authorFeed(author));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // GET /tags/:slug/feed.xml etc. - Posts with one tag
+  router.get(`/tags/:slug/${file}`, (req, res, next) => {
+    try {
+      const tag = Tag.findBySlug(req.params.slug);
+
+      if (!tag) {
+        return res.status(404).render('404', { title: 'Tag Not Found' });
+      }
+
+      sendFeed(req, res, file, tagFeed(tag));
+    } catch (error) {
+      next(error);
+    }
+  });
+});
+
+module.exports = router;
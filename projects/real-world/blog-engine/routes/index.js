@@ -2,17 +2,23 @@ const express = require('express');
 const router = express.Router();
 const Post = require('../models/Post');
 const Comment = require('../models/Comment');
+const Tag = require('../models/Tag');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const { cacheTags, cacheResponse, dependsOn } = require('../services/responseCache');
+const { presentProfile } = require('../services/profiles');
 
 // Home page
-router.get('/', (req, res) => {
+router.get('/', cacheResponse(), (req, res) => {
   try {
     const posts = Post.getAll({ status: 'published', limit: 10 });
     
-    const postsWithComments = posts.map(post => ({
+    const postsWithComments = Post.withAuthors(posts).map(post => ({
       ...post,
       commentCount: Post.getCommentCount(post.id)
     }));
     
+    dependsOn(res, [cacheTags.postLists, ...posts.map(post => cacheTags.post(post.id))]);
     res.render('index', { 
       title: 'Home',
       posts: postsWithComments
@@ -26,13 +32,97 @@ router.get('/', (req, res) => {
 // Search
 router.get('/search', (req, res) => {
   try {
-    const query = req.query.q || '';
-    const posts = query ? Post.search(query) : [];
+    const query = (req.query.q || '').trim();
+    const perPage = 10;
+    const total = query ? Post.searchCount(query) : 0;
+    const totalPages = Math.max(Math.ceil(total / perPage), 1);
+    const page = Math.min(Math.max(parseInt(req.query.page) || 1, 1), totalPages);
+
+    const posts = query
+      ? Post.withAuthors(Post.search(query, { limit: perPage, offset: (page - 1) * perPage }))
+      : [];
     
     res.render('search', { 
       title: 'Search Results',
       posts,
-      query
+      query,
+      total,
+      page,
+      totalPages
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).render('error', { title: 'Error', error });
+  }
+});
+
+// Tag archive
+router.get('/tags/:slug', (req, res) => {
+  try {
+    const tag = Tag.findBySlug(req.params.slug);
+
+    if (!tag) {
+      return res.status(404).render('404', { title: 'Tag Not Found' });
+    }
+
+    const posts = Post.withAuthors(Post.getAll({ status: 'published', tag: tag.slug }));
+    res.render('posts/list', {
+      title: `Posts tagged "${tag.name}"`,
+      posts,
+      feedPath: `/tags/${tag.slug}`
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).render('error', { title: 'Error', error });
+  }
+});
+
+// Category archive
+router.get('/categories/:slug', (req, res) => {
+  try {
+    const category = Category.findBySlug(req.params.slug);
+
+    if (!category) {
+      return res.status(404).render('404', { title: 'Category Not Found' });
+    }
+
+    const posts = Post.withAuthors(Post.getAll({ status: 'published', category: category.slug }));
+    res.render('posts/list', { title: `Posts in ${category.name}`, posts });
+  } catch (error) {
+    console.error(error);
+    res.status(500).render('error', { title: 'Error', error });
+  }
+});
+
+// Author profile with their published posts, co-authored ones included
+router.get('/authors/:username', (req, res) => {
+  try {
+    const author = User.findByUsername(req.params.username);
+
+    if (!author) {
+      return res.status(404).render('404', { title: 'Author Not Found' });
+    }
+
+    const perPage = 10;
+    const total = Post.count({ status: 'published', authorId: author.id });
+    const totalPages = Math.max(Math.ceil(total / perPage), 1);
+    const page = Math.min(Math.max(parseInt(req.query.page) || 1, 1), totalPages);
+    const posts = Post.getAll({
+      status: 'published',
+      authorId: author.id,
+      limit: perPage,
+      offset: (page - 1) * perPage
+    });
+    const profile = presentProfile(author);
+
+    res.render('author', {
+      title: profile.name,
+      author: profile,
+      posts: Post.withAuthors(posts),
+      total,
+      page,
+      totalPages,
+      feedPath: `/authors/${encodeURIComponent(author.username)}`
     });
   } catch (error) {
     console.error(error);
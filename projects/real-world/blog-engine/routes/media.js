@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const Media = require('../models/Media');
+const { UploadError, receiveUpload, ingest, present } = require('../services/media');
+const { can } = require('../utils/permissions');
+const { ensureAuthenticated, ensurePermission } = require('../middleware/auth');
+
+// JSON endpoints behind the image picker on the post forms
+router.use(ensureAuthenticated, ensurePermission('upload-media'));
+
+const PICKER_SIZE = 60;
+
+// GET /media - Recent uploads: your own, or everyone's for editors and admins
+router.get('/', (req, res) => {
+  try {
+    const media = Media.getAll({
+      userId: can(req.user, 'manage-media') ? null : req.user.id,
+      limit: PICKER_SIZE
+    });
+    res.json({ success: true, data: media.map(present) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, error: 'Error loading media' });
+  }
+});
+
+// POST /media - Upload one image (multipart field "file", optional "alt")
+router.post('/', async (req, res) => {
+  try {
+    const file = await receiveUpload(req, res);
+    const media = await ingest(file, { userId: req.user.id, altText: (req.body.alt || '').trim() });
+    res.status(201).json({ success: true, data: present(media) });
+  } catch (error) {
+    if (error instanceof UploadError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ success: false, error: 'Error uploading image' });
+  }
+});
+
+module.exports = router;
@@ -1,16 +1,63 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const { marked } = require('marked');
-const sanitizeHtml = require('sanitize-html');
 const Post = require('../models/Post');
 const Comment = require('../models/Comment');
+const Revision = require('../models/Revision');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const User = require('../models/User');
+const { moderate } = require('../services/spam');
+const { recordView } = require('../services/analytics');
+const { cacheTags, cacheResponse, dependsOn } = require('../services/responseCache');
+const { diffRevisions } = require('../utils/diff');
+const { toSqlDateTime, toDateTimeLocal } = require('../utils/dates');
+const { renderMarkdown } = require('../utils/markdown');
+const { can } = require('../utils/permissions');
 const { ensureAuthenticated } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+// Validation shared by the create and update handlers
+const lifecycleRules = [
+  body('status').optional().isIn(Post.STATUSES).withMessage('Invalid status'),
+  body('status').custom((value, { req }) => {
+    if (!can(req.user, 'set-status', value || 'draft')) {
+      throw new Error('You can save drafts, but an editor has to publish them');
+    }
+    return true;
+  }),
+  body('publish_at').custom((value, { req }) => {
+    if (req.body.status === 'scheduled' && !toSqlDateTime(value)) {
+      throw new Error('Scheduled posts need a publish date');
+    }
+    return true;
+  })
+];
+
+// Co-authors are entered as comma-separated usernames
+const parseUsernames = (value) =>
+  [...new Set(String(value || '').split(',').map(name => name.trim()).filter(Boolean))];
+
+const coAuthorRules = [
+  body('coauthors').custom(value => {
+    const names = parseUsernames(value);
+    const found = User.findByUsernames(names).map(user => user.username);
+    const unknown = names.filter(name => !found.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown co-author${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`);
+    }
+    return true;
+  })
+];
+
+const coAuthorIds = (body) => User.findByUsernames(parseUsernames(body.coauthors)).map(user => user.id);
+
+const publishAtFor = (body) => body.status === 'scheduled' ? toSqlDateTime(body.publish_at) : null;
 
 // Get all posts
 router.get('/', (req, res) => {
   try {
-    const posts = Post.getAll({ status: 'published' });
+    const posts = Post.withAuthors(Post.getAll({ status: 'published' }));
     res.render('posts/list', { title: 'All Posts', posts });
   } catch (error) {
     console.error(error);
@@ -20,14 +67,23 @@ router.get('/', (req, res) => {
 
 // New post form
 router.get('/new', ensureAuthenticated, (req, res) => {
-  res.render('posts/new', { title: 'New Post' });
+  res.render('posts/new', { title: 'New Post', categories: Category.getAll() });
+});
+
+// Render Markdown for the live preview on the new/edit forms
+router.post('/preview', ensureAuthenticated, (req, res) => {
+  res.json({ html: renderMarkdown(req.body.content) });
 });
 
 // Create post
 router.post('/', ensureAuthenticated, [
   body('title').trim().notEmpty().withMessage('Title is required'),
   body('content').notEmpty().withMessage('Content is required'),
-  body('excerpt').optional().trim()
+  body('excerpt').optional().trim(),
+  body('category').optional().trim(),
+  body('tags').optional().trim(),
+  ...coAuthorRules,
+  ...lifecycleRules
 ], (req, res) => {
   const errors = validationResult(req);
   
@@ -35,7 +91,8 @@ router.post('/', ensureAuthenticated, [
     return res.render('posts/new', {
       title: 'New Post',
       errors: errors.array(),
-      formData: req.body
+      formData: req.body,
+      categories: Category.getAll()
     });
   }
 
@@ -51,10 +108,14 @@ router.post('/', ensureAuthenticated, [
       content: req.body.content,
       excerpt: req.body.excerpt,
       author_id: req.user.id,
-      status: req.body.status || 'draft'
+      status: req.body.status || 'draft',
+      category_id: Category.findOrCreate(req.body.category),
+      publish_at: publishAtFor(req.body)
     };
 
     const postId = Post.create(postData);
+    Tag.setForPost(postId, req.body.tags);
+    Post.setCoAuthors(postId, coAuthorIds(req.body));
     req.flash('success_msg', 'Post created successfully');
     res.redirect(`/posts/${slug}`);
   } catch (error) {
@@ -64,8 +125,8 @@ router.post('/', ensureAuthenticated, [
   }
 });
 
-// View single post
-router.get('/:slug', (req, res) => {
+// View single post. Views are counted on cached hits too.
+router.get('/:slug', cacheResponse({ onHit: (req, meta) => recordView(req, meta.post) }), (req, res) => {
   try {
     const post = Post.findBySlug(req.params.slug);
     
@@ -73,29 +134,25 @@ router.get('/:slug', (req, res) => {
       return res.status(404).render('404', { title: 'Post Not Found' });
     }
 
-    if (post.status !== 'published' && (!req.user || req.user.id !== post.author_id)) {
+    // Archived posts drop out of listings but their links keep working;
+    // unpublished posts are visible to anyone who may edit them
+    if (!can(req.user, 'view-post', post)) {
       return res.status(403).render('error', { 
         title: 'Access Denied',
         error: { message: 'This post is not published yet' }
       });
     }
 
-    Post.incrementViews(post.id);
-    const comments = Comment.getByPostId(post.id);
-    const htmlContent = marked(post.content);
-    const sanitizedContent = sanitizeHtml(htmlContent, {
-      allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'h1', 'h2', 'h3']),
-      allowedAttributes: {
-        ...sanitizeHtml.defaults.allowedAttributes,
-        img: ['src', 'alt'],
-        a: ['href', 'target']
-      }
-    });
-
+    recordView(req, post);
+    const comments = Comment.getThreadByPostId(post.id);
+    const commentCount = Post.getCommentCount(post.id);
+    dependsOn(res, [cacheTags.post(post.id)], { post: { id: post.id } });
     res.render('posts/view', {
       title: post.title,
-      post: { ...post, htmlContent: sanitizedContent },
-      comments
+      post: { ...Post.withAuthors([post])[0], htmlContent: renderMarkdown(post.content) },
+      comments,
+      commentCount,
+      tags: Tag.getByPostId(post.id)
     });
   } catch (error) {
     console.error(error);
@@ -112,12 +169,25 @@ router.get('/:slug/edit', ensureAuthenticated, (req, res) => {
       return res.status(404).render('404', { title: 'Post Not Found' });
     }
 
-    if (post.author_id !== req.user.id && req.user.role !== 'admin') {
+    if (!can(req.user, 'edit-post', post)) {
       req.flash('error_msg', 'You do not have permission to edit this post');
       return res.redirect(`/posts/${req.params.slug}`);
     }
 
-    res.render('posts/edit', { title: 'Edit Post', post });
+    const tags = Tag.getByPostId(post.id).map(tag => tag.name).join(', ');
+    const coauthors = Post.withAuthors([post])[0].authors.slice(1).map(author => author.username).join(', ');
+
+    res.render('posts/edit', {
+      title: 'Edit Post',
+      post: {
+        ...post,
+        category: post.category_name || '',
+        tags,
+        coauthors,
+        publish_at: toDateTimeLocal(post.publish_at)
+      },
+      categories: Category.getAll()
+    });
   } catch (error) {
     console.error(error);
     res.status(500).render('error', { title: 'Error', error });
@@ -127,7 +197,11 @@ router.get('/:slug/edit', ensureAuthenticated, (req, res) => {
 // Update post
 router.put('/:slug', ensureAuthenticated, [
   body('title').trim().notEmpty().withMessage('Title is required'),
-  body('content').notEmpty().withMessage('Content is required')
+  body('content').notEmpty().withMessage('Content is required'),
+  body('category').optional().trim(),
+  body('tags').optional().trim(),
+  ...coAuthorRules,
+  ...lifecycleRules
 ], (req, res) => {
   const errors = validationResult(req);
   
@@ -135,7 +209,8 @@ router.put('/:slug', ensureAuthenticated, [
     return res.render('posts/edit', {
       title: 'Edit Post',
       errors: errors.array(),
-      post: req.body
+      post: { ...req.body, slug: req.params.slug },
+      categories: Category.getAll()
     });
   }
 
@@ -146,7 +221,7 @@ router.put('/:slug', ensureAuthenticated, [
       return res.status(404).render('404', { title: 'Post Not Found' });
     }
 
-    if (post.author_id !== req.user.id && req.user.role !== 'admin') {
+    if (!can(req.user, 'edit-post', post)) {
       req.flash('error_msg', 'You do not have permission to edit this post');
       return res.redirect(`/posts/${req.params.slug}`);
     }
@@ -161,10 +236,15 @@ router.put('/:slug', ensureAuthenticated, [
       slug,
       content: req.body.content,
       excerpt: req.body.excerpt,
-      status: req.body.status
+      status: req.body.status,
+      category_id: Category.findOrCreate(req.body.category),
+      publish_at: publishAtFor(req.body),
+      editor_id: req.user.id
     };
 
     Post.update(post.id, postData);
+    Tag.setForPost(post.id, req.body.tags);
+    Post.setCoAuthors(post.id, coAuthorIds(req.body));
     req.flash('success_msg', 'Post updated successfully');
     res.redirect(`/posts/${slug}`);
   } catch (error) {
@@ -183,7 +263,7 @@ router.delete('/:slug', ensureAuthenticated, (req, res) => {
       return res.status(404).json({ error: 'Post not found' });
     }
 
-    if (post.author_id !== req.user.id && req.user.role !== 'admin') {
+    if (!can(req.user, 'delete-post', post)) {
       return res.status(403).json({ error: 'Permission denied' });
     }
 
@@ -197,8 +277,77 @@ router.delete('/:slug', ensureAuthenticated, (req, res) => {
   }
 });
 
+// Revision history
+router.get('/:slug/revisions', ensureAuthenticated, (req, res) => {
+  try {
+    const post = Post.findBySlug(req.params.slug);
+
+    if (!post) {
+      return res.status(404).render('404', { title: 'Post Not Found' });
+    }
+
+    if (!can(req.user, 'edit-post', post)) {
+      req.flash('error_msg', 'You do not have permission to view this history');
+      return res.redirect(`/posts/${req.params.slug}`);
+    }
+
+    const revisions = Revision.getByPostId(post.id);
+
+    // Compare the two most recent revisions unless asked otherwise
+    const findRevision = (id, fallback) => {
+      const revision = id ? revisions.find(r => r.id === parseInt(id)) : null;
+      return revision || fallback || null;
+    };
+    const to = findRevision(req.query.to, revisions[0]);
+    const from = findRevision(req.query.from, revisions[1] || revisions[0]);
+    const diff = from && to ? diffRevisions(from, to) : null;
+
+    res.render('posts/revisions', {
+      title: `History: ${post.title}`,
+      post,
+      revisions,
+      from,
+      to,
+      diff
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).render('error', { title: 'Error', error });
+  }
+});
+
+// Restore a revision
+router.post('/:slug/revisions/:id/restore', ensureAuthenticated, (req, res) => {
+  try {
+    const post = Post.findBySlug(req.params.slug);
+
+    if (!post) {
+      return res.status(404).render('404', { title: 'Post Not Found' });
+    }
+
+    if (!can(req.user, 'edit-post', post)) {
+      req.flash('error_msg', 'You do not have permission to edit this post');
+      return res.redirect(`/posts/${req.params.slug}`);
+    }
+
+    const revision = Revision.findById(parseInt(req.params.id));
+
+    if (!revision || revision.post_id !== post.id) {
+      return res.status(404).render('404', { title: 'Revision Not Found' });
+    }
+
+    Post.restoreRevision(post.id, revision, req.user.id);
+    req.flash('success_msg', 'Revision restored successfully');
+    res.redirect(`/posts/${post.slug}/revisions`);
+  } catch (error) {
+    console.error(error);
+    req.flash('error_msg', 'Error restoring revision');
+    res.redirect(`/posts/${req.params.slug}/revisions`);
+  }
+});
+
 // Add comment
-router.post('/:slug/comments', ensureAuthenticated, [
+router.post('/:slug/comments', ensureAuthenticated, rateLimit('comments'), [
   body('content').trim().notEmpty().withMessage('Comment cannot be empty')
 ], (req, res) => {
   const errors = validationResult(req);
@@ -215,15 +364,32 @@ router.post('/:slug/comments', ensureAuthenticated, [
       return res.status(404).render('404', { title: 'Post Not Found' });
     }
 
+    let parentId = null;
+    if (req.body.parent_id) {
+      const parent = Comment.findById(parseInt(req.body.parent_id));
+      if (!parent || parent.post_id !== post.id) {
+        req.flash('error_msg', 'The comment you replied to no longer exists');
+        return res.redirect(`/posts/${req.params.slug}`);
+      }
+      parentId = parent.id;
+    }
+
+    const { status, score, reasons } = moderate({ content: req.body.content, user: req.user });
+
     const commentData = {
       post_id: post.id,
       user_id: req.user.id,
+      parent_id: parentId,
       content: req.body.content,
-      status: 'approved'
+      status,
+      spam_score: score,
+      spam_reasons: reasons.join('; ')
     };
 
     Comment.create(commentData);
-    req.flash('success_msg', 'Comment added successfully');
+    req.flash('success_msg', status === 'approved'
+      ? 'Comment added successfully'
+      : 'Your comment is awaiting moderation');
     res.redirect(`/posts/${req.params.slug}`);
   } catch (error) {
     console.error(error);
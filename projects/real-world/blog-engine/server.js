@@ -7,29 +7,57 @@ const morgan = require('morgan');
 const flash = require('connect-flash');
 const path = require('path');
 
+const security = require('./config/security');
+const { securityHeaders } = require('./middleware/security');
+const { csrfProtection } = require('./middleware/csrf');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+if (process.env.NODE_ENV === 'production' && !process.env.SESSION_SECRET) {
+  console.error('SESSION_SECRET must be set in production');
+  process.exit(1);
+}
+
+// Links in account emails only ever use SITE_URL (see utils/url.js)
+if (!process.env.SITE_URL) {
+  if (process.env.NODE_ENV === 'production') {
+    console.error('SITE_URL must be set in production');
+    process.exit(1);
+  }
+  console.warn('SITE_URL is not set; verification and password reset emails cannot be sent.');
+}
+
+app.disable('x-powered-by');
+app.set('trust proxy', security.trustProxy);
+
 // Passport configuration
 require('./config/passport')(passport);
 
 // Middleware
 app.use(morgan('dev'));
+app.use(securityHeaders);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(methodOverride('_method'));
 app.use(express.static(path.join(__dirname, 'public')));
+app.use(require('./config/media').storage.baseUrl, require('./services/storage').middleware());
 
 // View engine
-app.set('view engine', 'ejs');
-app.set('views', path.join(__dirname, 'views'));
+require('./config/views')(app);
 
 // Session configuration
 app.use(session({
+  name: security.session.name,
   secret: process.env.SESSION_SECRET || 'secret-key',
   resave: false,
   saveUninitialized: false,
-  cookie: { maxAge: 24 * 60 * 60 * 1000 } // 24 hours
+  cookie: {
+    httpOnly: true,
+    secure: security.session.secure,
+    sameSite: security.session.sameSite,
+    maxAge: security.session.maxAgeHours * 60 * 60 * 1000
+  }
 }));
 
 // Passport middleware
@@ -46,11 +74,17 @@ app.use((req, res, next) => {
   next();
 });
 
+// CSRF tokens for forms; rejects POST/PUT/DELETE without one
+app.use(csrfProtection);
+
 // Routes
 app.use('/', require('./routes/index'));
+app.use('/', require('./routes/feeds'));
 app.use('/posts', require('./routes/posts'));
 app.use('/auth', require('./routes/auth'));
 app.use('/admin', require('./routes/admin'));
+app.use('/account', require('./routes/account'));
+app.use('/media', require('./routes/media'));
 app.use('/api', require('./routes/api'));
 
 // 404 handler
@@ -69,4 +103,15 @@ app.use((err, req, res, next) => {
 
 app.listen(PORT, () => {
   console.log(`Blog Engine running on http://localhost:${PORT}`);
+
+  const pending = require('./config/migrator').pending();
+  if (pending.length > 0) {
+    console.warn(`${pending.length} database migration(s) pending. Run "npm run migrate" to apply them.`);
+  }
 });
+
+// Publish scheduled posts, catching up on any that came due while offline
+require('./services/scheduler').start();
+
+// Send queued webhook deliveries and retry failed ones
+require('./services/webhooks').start();
@@ -0,0 +1,49 @@
+const UserToken = require('../models/UserToken');
+const mailer = require('./mailer');
+const { tokenTtlMinutes } = require('../config/security');
+const { publicSiteUrl } = require('../utils/url');
+
+// Email `user` a link to confirm their address. Links use SITE_URL; this
+// throws if it isn't set.
+const sendVerificationEmail = (user) => {
+  const baseUrl = publicSiteUrl();
+  const ttl = tokenTtlMinutes.email_verification;
+  const token = UserToken.create(user.id, 'email_verification', ttl);
+
+  return mailer.send({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Please confirm your email address by opening this link:',
+      '',
+      `${baseUrl}/auth/verify/${token}`,
+      '',
+      `The link expires in ${Math.round(ttl / 60)} hours. If you didn't create an account, you can ignore this email.`
+    ].join('\n')
+  });
+};
+
+// Email `user` a link to choose a new password
+const sendPasswordResetEmail = (user) => {
+  const baseUrl = publicSiteUrl();
+  const ttl = tokenTtlMinutes.password_reset;
+  const token = UserToken.create(user.id, 'password_reset', ttl);
+
+  return mailer.send({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Someone asked to reset the password for your account. To choose a new one, open this link:',
+      '',
+      `${baseUrl}/auth/reset/${token}`,
+      '',
+      `The link expires in ${ttl} minutes. If you didn't ask for this, you can ignore this email.`
+    ].join('\n')
+  });
+};
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail };
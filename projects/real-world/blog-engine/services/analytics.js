@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const PostView = require('../models/PostView');
+const Comment = require('../models/Comment');
+const { toSqlDate, isSqlDate, addDays } = require('../utils/dates');
+const { toCsv } = require('../utils/csv');
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const TOP_LIMIT = 10;
+const EXPORT_LIMIT = 1000;
+
+// Crawlers and link previews aren't readers
+const BOT_PATTERN = /bot|crawler|spider|slurp|facebookexternalhit|embedly|preview/i;
+
+// A visitor is the login session, or for anonymous readers the IP address
+// and browser. Hashed with the session secret and the day, so the stored
+// value can't be traced back or linked across days.
+const visitorHash = (req, day) => {
+  const identity = req.user
+    ? `session:${req.sessionID}`
+    : `anon:${req.ip}|${req.get('User-Agent') || ''}`;
+  return crypto
+    .createHash('sha256')
+    .update(`${process.env.SESSION_SECRET || ''}|${day}|${identity}`)
+    .digest('hex');
+};
+
+// Referrers from other sites, without query strings (which can carry
+// search terms or tokens). Links within the blog count as no referrer.
+const externalReferrer = (req) => {
+  const header = req.get('Referer');
+  if (!header) return {};
+
+  let url;
+  try {
+    url = new URL(header);
+  } catch (error) {
+    return {};
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol) || url.host === req.get('host')) {
+    return {};
+  }
+
+  return {
+    referrer: `${url.origin}${url.pathname}`.slice(0, 500),
+    referrer_host: url.hostname.replace(/^www\./, '')
+  };
+};
+
+// Counts a view of `post`, once per visitor per day. Tracking must never
+// break the page, so failures are only logged.
+const recordView = (req, post) => {
+  try {
+    if (BOT_PATTERN.test(req.get('User-Agent') || '')) {
+      return false;
+    }
+
+    const day = toSqlDate();
+    return PostView.record({
+      post_id: post.id,
+      day,
+      visitor_hash: visitorHash(req, day),
+      path: req.originalUrl.slice(0, 500),
+      ...externalReferrer(req)
+    });
+  } catch (error) {
+    console.error('Analytics error:', error);
+    return false;
+  }
+};
+
+// { from, to, days } from ?from=YYYY-MM-DD&to=YYYY-MM-DD, defaulting to
+// the last 30 days and capped at a year
+const parseRange = (query = {}) => {
+  const today = toSqlDate();
+  let to = isSqlDate(query.to) && query.to <= today ? query.to : today;
+  let from = isSqlDate(query.from) ? query.from : addDays(to, 1 - DEFAULT_RANGE_DAYS);
+
+  if (from > to) {
+    [from, to] = [to, from];
+  }
+  if (from < addDays(to, 1 - MAX_RANGE_DAYS)) {
+    from = addDays(to, 1 - MAX_RANGE_DAYS);
+  }
+
+  const days = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return { from, to, days };
+};
+
+// Quick ranges offered next to the date pickers
+const presetRanges = () => [7, 30, 90].map(count => {
+  const to = toSqlDate();
+  return { label: `Last ${count} days`, from: addDays(to, 1 - count), to };
+});
+
+// One row per day in the range, including days with no activity
+const dailyActivity = (range) => {
+  const views = new Map(PostView.countByDay(range.from, range.to).map(row => [row.day, row.views]));
+  const comments = new Map();
+  Comment.countByDay(range.from, range.to).forEach(row => {
+    const counts = comments.get(row.day) || Object.fromEntries(Comment.STATUSES.map(status => [status, 0]));
+    counts[row.status] = row.count;
+    comments.set(row.day, counts);
+  });
+
+  return range.days.map(day => {
+    const counts = comments.get(day) || Object.fromEntries(Comment.STATUSES.map(status => [status, 0]));
+    return {
+      day,
+      views: views.get(day) || 0,
+      comments: Object.values(counts).reduce((sum, count) => sum + count, 0),
+      ...counts
+    };
+  });
+};
+
+const report = (range) => {
+  const daily = dailyActivity(range);
+  const totals = PostView.countBetween(range.from, range.to);
+
+  return {
+    range,
+    daily,
+    totals: {
+      views: totals.views,
+      postsViewed: totals.posts,
+      comments: daily.reduce((sum, row) => sum + row.comments, 0)
+    },
+    maxViews: Math.max(0, ...daily.map(row => row.views)),
+    maxComments: Math.max(0, ...daily.map(row => row.comments)),
+    topPosts: PostView.topPosts(range.from, range.to, TOP_LIMIT),
+    referrers: PostView.topReferrers(range.from, range.to, TOP_LIMIT)
+  };
+};
+
+// CSV downloads offered on the analytics page
+const EXPORTS = {
+  daily: {
+    columns: [
+      { key: 'day', label: 'Day' },
+      { key: 'views', label: 'Views' },
+      { key: 'comments', label: 'Comments' },
+      ...Comment.STATUSES.map(status => ({ key: status, label: `Comments ${status}` }))
+    ],
+    rows: dailyActivity
+  },
+  posts: {
+    columns: [
+      { key: 'title', label: 'Title' },
+      { key: 'slug', label: 'Slug' },
+      { key: 'status', label: 'Status' },
+      { key: 'views', label: 'Views' }
+    ],
+    rows: (range) => PostView.topPosts(range.from, range.to, EXPORT_LIMIT)
+  },
+  referrers: {
+    columns: [
+      { key: 'host', label: 'Referrer' },
+      { key: 'views', label: 'Views' }
+    ],
+    rows: (range) => PostView.topReferrers(range.from, range.to, EXPORT_LIMIT)
+  }
+};
+
+// { filename, csv } or null for an unknown report
+const exportCsv = (name, range) => {
+  if (!Object.prototype.hasOwnProperty.call(EXPORTS, name)) return null;
+  const definition = EXPORTS[name];
+
+  return {
+    filename: `${name}-${range.from}-to-${range.to}.csv`,
+    csv: toCsv(definition.columns, definition.rows(range))
+  };
+};
+
+module.exports = { recordView, parseRange, presetRanges, report, exportCsv, EXPORTS };
@@ -0,0 +1,442 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { db } = require('../config/database');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const slugify = require('../utils/slugify');
+const { toSqlDateTime } = require('../utils/dates');
+const { parseFrontMatter } = require('../utils/frontMatter');
+const { parseWxr } = require('../utils/wxr');
+const { ROLES, DEFAULT_ROLE, roleOf } = require('../utils/permissions');
+
+// Moves users, posts and comments in and out of the blog. Every source is
+// first read into a bundle, the same shape as the JSON export:
+//
+//   users       [{ username, email, role, password_hash, email_verified_at, created_at }]
+//   categories  [{ name, slug }]
+//   tags        [{ name, slug }]
+//   posts       [{ id, slug, title, content, excerpt, status, author, category, tags,
+//                  publish_at, created_at, updated_at }]
+//   comments    [{ id, parent, post, author, content, status, created_at }]
+//   skipped     [{ source, title, reason }] for things the reader left out
+//
+// Authors are usernames. Comments refer to their post and parent comment by
+// the ids those have in the bundle, which need not match database ids.
+
+const FORMAT = 'blog-engine';
+const FORMAT_VERSION = 1;
+const CONFLICT_POLICIES = ['skip', 'rename'];
+const MARKDOWN_FILE = /\.(md|markdown)$/i;
+
+// Jekyll-style names: "2024-01-31-hello-world.md"
+const DATED_NAME = /^(\d{4}-\d{2}-\d{2})-(.+)$/;
+
+// Thrown to roll back a dry run once the report is complete
+class DryRun extends Error {}
+
+const emptyBundle = () => ({ users: [], categories: [], tags: [], posts: [], comments: [], skipped: [] });
+
+const exportContent = () => ({
+  format: FORMAT,
+  version: FORMAT_VERSION,
+  exported_at: toSqlDateTime(new Date()),
+  users: User.getAllForExport().map(user => ({
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    password_hash: user.password,
+    email_verified_at: user.email_verified_at,
+    display_name: user.display_name,
+    bio: user.bio,
+    links: JSON.parse(user.links || '[]'),
+    created_at: user.created_at
+  })),
+  categories: Category.getAll().map(({ name, slug }) => ({ name, slug })),
+  tags: Tag.getAll()
+    .map(({ name, slug }) => ({ name, slug }))
+    .sort((a, b) => a.name.localeCompare(b.name)),
+  posts: Post.withAuthors(Post.getAll({ direction: 'asc' })).map(post => ({
+    id: post.id,
+    slug: post.slug,
+    title: post.title,
+    content: post.content,
+    excerpt: post.excerpt,
+    status: post.status,
+    author: post.author_name,
+    coauthors: post.authors.slice(1).map(author => author.username),
+    category: post.category_name || null,
+    tags: Tag.getByPostId(post.id).map(tag => tag.name),
+    publish_at: post.publish_at,
+    created_at: post.created_at,
+    updated_at: post.updated_at
+  })),
+  comments: Comment.getAll()
+    .sort((a, b) => a.id - b.id)
+    .map(comment => ({
+      id: comment.id,
+      parent: comment.parent_id,
+      post: comment.post_id,
+      author: comment.username,
+      content: comment.content,
+      status: comment.status,
+      created_at: comment.created_at
+    }))
+});
+
+const readJson = (file) => {
+  let bundle;
+  try {
+    bundle = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON: ${error.message}`);
+  }
+
+  if (!bundle || bundle.format !== FORMAT) {
+    throw new Error(`${file} is not a ${FORMAT} export`);
+  }
+  if (bundle.version > FORMAT_VERSION) {
+    throw new Error(`${file} was exported by a newer version (format ${bundle.version}); this one reads up to ${FORMAT_VERSION}`);
+  }
+  return { ...emptyBundle(), ...bundle };
+};
+
+const listMarkdownFiles = (dir) => fs.readdirSync(dir, { withFileTypes: true })
+  .filter(entry => !entry.name.startsWith('.'))
+  .sort((a, b) => a.name.localeCompare(b.name))
+  .flatMap(entry => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listMarkdownFiles(file);
+    return entry.isFile() && MARKDOWN_FILE.test(entry.name) ? [file] : [];
+  });
+
+// Front-matter keys understood, with the names other generators use:
+// title, slug, date, updated (lastmod), status (or draft: true /
+// published: false), author, category (or the first of categories), tags,
+// excerpt (description, summary). The file name supplies a missing slug,
+// title or date.
+const markdownPost = (data, body, { source, name }) => {
+  const [, fileDate, fileSlug] = DATED_NAME.exec(name) || [null, null, name];
+  const first = (value) => (Array.isArray(value) ? value[0] : value);
+
+  let status = data.status ? String(data.status) : 'published';
+  if (data.draft === true || data.published === false) {
+    status = 'draft';
+  }
+  if (!Post.STATUSES.includes(status)) {
+    return { skip: `unknown status "${status}"` };
+  }
+
+  const createdAt = toSqlDateTime(data.date || fileDate);
+  if (status === 'scheduled' && !createdAt) {
+    return { skip: 'scheduled posts need a date' };
+  }
+
+  const title = String(data.title || fileSlug).trim();
+  const category = first(data.category) || first(data.categories);
+
+  return {
+    post: {
+      id: source,
+      source,
+      slug: slugify(data.slug) || slugify(fileSlug) || slugify(title),
+      title,
+      content: body.trim(),
+      excerpt: data.excerpt || data.description || data.summary || null,
+      status,
+      author: data.author ? String(first(data.author)) : null,
+      category: category ? String(category) : null,
+      tags: Tag.parseNames(data.tags || []),
+      publish_at: status === 'scheduled' ? createdAt : null,
+      created_at: createdAt,
+      updated_at: toSqlDateTime(data.updated || data.lastmod) || createdAt
+    }
+  };
+};
+
+// A directory of Markdown files (searched recursively) or a single file
+const readMarkdown = (target) => {
+  const bundle = emptyBundle();
+  const isDirectory = fs.statSync(target).isDirectory();
+  const files = isDirectory ? listMarkdownFiles(target) : [target];
+
+  files.forEach(file => {
+    const source = isDirectory ? path.relative(target, file) : path.basename(file);
+    let parsed;
+    try {
+      parsed = parseFrontMatter(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      bundle.skipped.push({ source, reason: `invalid front-matter: ${error.message.split('\n')[0]}` });
+      return;
+    }
+
+    const result = markdownPost(parsed.data, parsed.body, {
+      source,
+      name: path.basename(file).replace(MARKDOWN_FILE, '')
+    });
+    if (result.skip) {
+      bundle.skipped.push({ source, title: parsed.data.title, reason: result.skip });
+    } else {
+      bundle.posts.push(result.post);
+    }
+  });
+
+  return bundle;
+};
+
+const READERS = {
+  json: readJson,
+  wxr: (file) => parseWxr(fs.readFileSync(file, 'utf8')),
+  markdown: readMarkdown
+};
+
+const detectFormat = (target) => {
+  if (fs.statSync(target).isDirectory() || MARKDOWN_FILE.test(target)) return 'markdown';
+  if (/\.json$/i.test(target)) return 'json';
+  if (/\.(xml|wxr)$/i.test(target)) return 'wxr';
+  return null;
+};
+
+// Read a file or directory into a bundle. The format is guessed from the
+// path unless given.
+const readSource = (target, format = detectFormat(target)) => {
+  if (!format) {
+    throw new Error(`Can't tell the format of ${target}; pass one of ${Object.keys(READERS).join(', ')}`);
+  }
+  if (!Object.prototype.hasOwnProperty.call(READERS, format)) {
+    throw new Error(`Unknown import format "${format}"; use ${Object.keys(READERS).join(', ')}`);
+  }
+  return READERS[format](target);
+};
+
+// Bundle users are matched to accounts by email address. New accounts keep
+// their password hash when the bundle has one; the rest get a password
+// nobody knows and sign in after resetting it. Usernames already taken by
+// someone else get a number added.
+const importUsers = (users, report) => {
+  const ids = new Map();
+  let unknownPassword = null;
+
+  users.forEach(user => {
+    const email = String(user.email || `${slugify(user.username) || 'user'}@imported.invalid`).trim();
+    const existing = User.findByEmail(email);
+    if (existing) {
+      ids.set(user.username, existing.id);
+      report.matchedUsers++;
+      return;
+    }
+
+    let username = user.username;
+    for (let n = 2; User.findByUsername(username); n++) {
+      username = `${user.username}-${n}`;
+    }
+    if (username !== user.username) {
+      report.renamedUsers.push({ from: user.username, to: username });
+    }
+
+    if (!user.password_hash && !unknownPassword) {
+      unknownPassword = bcrypt.hashSync(crypto.randomBytes(32).toString('hex'), 10);
+    }
+
+    ids.set(user.username, User.create({
+      username,
+      email,
+      password: user.password_hash || unknownPassword,
+      role: ROLES.includes(roleOf(user)) ? roleOf(user) : DEFAULT_ROLE,
+      email_verified_at: toSqlDateTime(user.email_verified_at),
+      display_name: user.display_name,
+      bio: user.bio,
+      links: Array.isArray(user.links) ? user.links.filter(link => link && /^https?:\/\//.test(link.url)) : null,
+      created_at: toSqlDateTime(user.created_at)
+    }));
+    report.created.users++;
+  });
+
+  return ids;
+};
+
+// Import a bundle in one transaction. Posts whose slug is already taken
+// (or repeated within the bundle) are skipped, or with onConflict "rename"
+// imported under the next free slug; either way they are listed in
+// report.conflicts, as are posts whose slug isn't URL-safe and is imported
+// slugified. Posts by authors the blog doesn't know are credited to
+// defaultAuthor (a username) when given. With dryRun nothing is saved.
+const importContent = (bundle, { onConflict = 'skip', defaultAuthor = null, dryRun = false } = {}) => {
+  if (!CONFLICT_POLICIES.includes(onConflict)) {
+    throw new Error(`Unknown conflict policy "${onConflict}"; use ${CONFLICT_POLICIES.join(' or ')}`);
+  }
+  const fallbackAuthor = defaultAuthor ? User.findByUsername(defaultAuthor) : null;
+  if (defaultAuthor && !fallbackAuthor) {
+    throw new Error(`No user named "${defaultAuthor}"`);
+  }
+
+  const report = {
+    dryRun,
+    created: { users: 0, categories: 0, tags: 0, posts: 0, comments: 0 },
+    matchedUsers: 0,
+    renamedUsers: [],
+    conflicts: [],
+    skipped: [...(bundle.skipped || [])]
+  };
+
+  const ensureCategory = (name) => {
+    const slug = slugify(name);
+    if (!slug) return null;
+    const existing = Category.findBySlug(slug);
+    if (existing) return existing.id;
+    report.created.categories++;
+    return Category.create({ name: String(name).trim(), slug });
+  };
+
+  const ensureTags = (input) => {
+    const names = Tag.parseNames(input);
+    names.forEach(name => {
+      if (!Tag.findBySlug(slugify(name))) {
+        Tag.findOrCreate(name);
+        report.created.tags++;
+      }
+    });
+    return names;
+  };
+
+  const run = db.transaction(() => {
+    const userIds = importUsers(bundle.users || [], report);
+    const userId = (username) => userIds.get(username) || (User.findByUsername(username || '') || {}).id || null;
+
+    (bundle.categories || []).forEach(category => ensureCategory(category.name));
+    ensureTags((bundle.tags || []).map(tag => tag.name));
+
+    const postIds = new Map();
+    const slugs = new Set();
+
+    (bundle.posts || []).forEach(post => {
+      const title = String(post.title || '').trim();
+      const source = post.source || `post ${post.id !== undefined ? post.id : post.slug}`;
+
+      if (!title || typeof post.content !== 'string') {
+        report.skipped.push({ source, title, reason: 'missing title or content' });
+        return;
+      }
+      const authorId = userId(post.author) || (fallbackAuthor && fallbackAuthor.id);
+      if (!authorId) {
+        const reason = post.author ? `unknown author "${post.author}"` : 'no author';
+        report.skipped.push({ source, title, reason: `${reason} and no default author given` });
+        return;
+      }
+
+      // Slugs from the bundle go through slugify like any other, so they
+      // can't hold slashes or dots; one that changes is a conflict too
+      const givenSlug = String(post.slug || '').trim();
+      const base = slugify(givenSlug) || slugify(title) || 'post';
+      const taken = (candidate) => slugs.has(candidate) || Boolean(Post.findBySlug(candidate));
+      const reasons = [];
+      if (givenSlug && givenSlug !== base) {
+        reasons.push('slug is not URL-safe');
+      }
+      if (taken(base)) {
+        reasons.push(slugs.has(base) ? 'slug appears more than once in the import' : 'a post with this slug already exists');
+      }
+
+      let slug = base;
+      if (reasons.length > 0) {
+        const conflict = { source, title, slug: givenSlug || base, reason: reasons.join(' and ') };
+        if (onConflict === 'skip' && taken(base)) {
+          report.conflicts.push({ ...conflict, action: 'skipped' });
+          return;
+        }
+        for (let n = 2; taken(slug); n++) {
+          slug = `${base}-${n}`;
+        }
+        report.conflicts.push({ ...conflict, action: 'renamed', newSlug: slug });
+      }
+      slugs.add(slug);
+
+      let status = Post.STATUSES.includes(post.status) ? post.status : 'draft';
+      const publishAt = toSqlDateTime(post.publish_at);
+      if (status === 'scheduled' && !publishAt) {
+        status = 'draft';
+      }
+
+      const id = Post.create({
+        title,
+        slug,
+        content: post.content,
+        excerpt: post.excerpt,
+        author_id: authorId,
+        status,
+        category_id: post.category ? ensureCategory(post.category) : null,
+        publish_at: publishAt,
+        created_at: toSqlDateTime(post.created_at),
+        updated_at: toSqlDateTime(post.updated_at)
+      });
+      Tag.setForPost(id, ensureTags(post.tags || []));
+      Post.setCoAuthors(id, (post.coauthors || []).map(userId).filter(Boolean));
+      postIds.set(String(post.id !== undefined ? post.id : post.slug), id);
+      report.created.posts++;
+    });
+
+    // Parents are imported before their replies wherever they appear
+    const comments = new Map((bundle.comments || []).map(comment => [String(comment.id), comment]));
+    const commentIds = new Map();
+    const missed = {};
+
+    const importComment = (key) => {
+      if (commentIds.has(key)) return commentIds.get(key);
+      commentIds.set(key, null);
+
+      const comment = comments.get(key);
+      const postId = postIds.get(String(comment.post));
+      const authorId = userId(comment.author);
+      let reason = null;
+      if (!postId) reason = 'on posts that were not imported';
+      else if (!authorId) reason = 'by unknown users';
+      else if (!String(comment.content || '').trim()) reason = 'with no text';
+      if (reason) {
+        missed[reason] = (missed[reason] || 0) + 1;
+        return null;
+      }
+
+      const hasParent = comment.parent !== null && comment.parent !== undefined && comments.has(String(comment.parent));
+      const id = Comment.create({
+        post_id: postId,
+        user_id: authorId,
+        parent_id: hasParent ? importComment(String(comment.parent)) : null,
+        content: String(comment.content),
+        status: Comment.STATUSES.includes(comment.status) ? comment.status : 'pending',
+        created_at: toSqlDateTime(comment.created_at)
+      });
+      commentIds.set(key, id);
+      report.created.comments++;
+      return id;
+    };
+
+    comments.forEach((comment, key) => importComment(key));
+    Object.entries(missed).forEach(([reason, count]) => {
+      report.skipped.push({ source: 'comments', reason: `${count} comment(s) ${reason}` });
+    });
+
+    if (dryRun) {
+      throw new DryRun();
+    }
+  });
+
+  try {
+    run();
+  } catch (error) {
+    if (!(error instanceof DryRun)) throw error;
+  }
+  return report;
+};
+
+module.exports = {
+  FORMAT_VERSION,
+  CONFLICT_POLICIES,
+  READERS,
+  exportContent,
+  readSource,
+  importContent
+};
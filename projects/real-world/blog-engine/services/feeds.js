@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const Post = require('../models/Post');
+const Tag = require('../models/Tag');
+const { FORMATS } = require('../utils/feeds');
+const { renderMarkdown } = require('../utils/markdown');
+const { parseSqlDateTime } = require('../utils/dates');
+
+const SITE_TITLE = 'Blog Engine';
+const FEED_SIZE = 20;
+
+// What each kind of feed contains. `path` is the page the feed mirrors.
+const siteFeed = () => ({
+  title: SITE_TITLE,
+  description: 'Latest posts',
+  path: '/',
+  filter: {}
+});
+
+const authorFeed = (author) => ({
+  title: `${SITE_TITLE}: posts by ${author.display_name || author.username}`,
+  description: `Latest posts by ${author.display_name || author.username}`,
+  path: `/authors/${encodeURIComponent(author.username)}`,
+  filter: { authorId: author.id }
+});
+
+const tagFeed = (tag) => ({
+  title: `${SITE_TITLE}: #${tag.name}`,
+  description: `Latest posts tagged ${tag.name}`,
+  path: `/tags/${tag.slug}`,
+  filter: { tag: tag.slug }
+});
+
+// The posts in a feed and when the newest change was made
+const loadFeed = (definition) => {
+  const posts = Post.getAll({ status: 'published', limit: FEED_SIZE, ...definition.filter });
+  const lastModified = posts.reduce((latest, post) => {
+    const updated = parseSqlDateTime(post.updated_at);
+    return updated > latest ? updated : latest;
+  }, new Date(0));
+  return { posts, lastModified };
+};
+
+// Validator for conditional GET; changes whenever a post in the feed does
+const feedEtag = (file, url, { posts }) => crypto.createHash('sha1')
+  .update(`${file}:${url}:${posts.map(post => `${post.id}@${post.updated_at}`).join(',')}`)
+  .digest('hex');
+
+// Serialize a loaded feed as `file` (feed.xml, atom.xml or feed.json).
+// `base` is the absolute site URL and `feedPath` where the feed lives.
+const renderFeed = (file, definition, { posts, lastModified }, { base, feedPath }) => {
+  const feed = {
+    title: definition.title,
+    description: definition.description,
+    siteUrl: base + definition.path,
+    feedUrl: base + feedPath,
+    updated: lastModified,
+    items: posts.map(post => {
+      const url = `${base}/posts/${post.slug}`;
+      return {
+        id: url,
+        url,
+        title: post.title,
+        summary: post.excerpt,
+        contentHtml: renderMarkdown(post.content),
+        author: post.author_display_name || post.author_name,
+        published: parseSqlDateTime(post.created_at),
+        updated: parseSqlDateTime(post.updated_at),
+        tags: Tag.getByPostId(post.id).map(tag => tag.name)
+      };
+    })
+  };
+
+  return FORMATS[file].build(feed);
+};
+
+module.exports = { SITE_TITLE, siteFeed, authorFeed, tagFeed, loadFeed, feedEtag, renderFeed };
@@ -0,0 +1,59 @@
+const User = require('../models/User');
+const settings = require('../config/security').login;
+const { parseSqlDateTime, toSqlDateTime } = require('../utils/dates');
+
+// Per-account brute-force protection for logins (passwords and 2FA codes).
+// Failure counts live on the user row so they survive restarts.
+
+// Seconds `user` must wait before the next attempt; 0 means go ahead
+const retryAfter = (user, now = new Date()) => {
+  const lockedUntil = parseSqlDateTime(user.locked_until);
+  if (lockedUntil && lockedUntil > now) {
+    return Math.ceil((lockedUntil - now) / 1000);
+  }
+
+  const lastFailure = parseSqlDateTime(user.last_failed_login_at);
+  const extraFailures = user.failed_login_count - settings.throttleAfter;
+  if (lastFailure && extraFailures >= 0) {
+    const nextAttempt = lastFailure.getTime() + settings.throttleSeconds * 1000 * 2 ** extraFailures;
+    if (nextAttempt > now) {
+      return Math.ceil((nextAttempt - now) / 1000);
+    }
+  }
+
+  return 0;
+};
+
+// Count a failed attempt. Returns true if it locked the account.
+const recordFailure = (user, now = new Date()) => {
+  const lastFailure = parseSqlDateTime(user.last_failed_login_at);
+  const inWindow = lastFailure && now - lastFailure < settings.windowMinutes * 60 * 1000;
+  const count = (inWindow ? user.failed_login_count : 0) + 1;
+
+  if (count >= settings.maxAttempts) {
+    const lockedUntil = new Date(now.getTime() + settings.lockMinutes * 60 * 1000);
+    User.recordLoginFailure(user.id, { count: 0, lockedUntil: toSqlDateTime(lockedUntil) });
+    return true;
+  }
+
+  User.recordLoginFailure(user.id, { count, lockedUntil: null });
+  return false;
+};
+
+const recordSuccess = (user) => {
+  if (user.failed_login_count > 0 || user.locked_until) {
+    User.clearLoginFailures(user.id);
+  }
+};
+
+const describeWait = (seconds) => seconds >= 60
+  ? `${Math.ceil(seconds / 60)} minute${Math.ceil(seconds / 60) === 1 ? '' : 's'}`
+  : `${seconds} second${seconds === 1 ? '' : 's'}`;
+
+const throttledMessage = (seconds) =>
+  `Too many failed login attempts. Try again in ${describeWait(seconds)}.`;
+
+const lockedMessage = () =>
+  `Too many failed login attempts. Your account is locked for ${settings.lockMinutes} minutes.`;
+
+module.exports = { retryAfter, recordFailure, recordSuccess, throttledMessage, lockedMessage };
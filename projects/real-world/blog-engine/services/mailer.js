@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Outgoing mail. A transport is any object with an async send(message)
+// method; pick a built-in one with MAIL_TRANSPORT or plug in your own
+// (SMTP, an HTTP mail API...) with setTransport().
+
+const formatMessage = (message) => [
+  `From: ${message.from}`,
+  `To: ${message.to}`,
+  `Subject: ${message.subject}`,
+  `Date: ${new Date().toUTCString()}`,
+  'Content-Type: text/plain; charset=utf-8',
+  '',
+  message.text
+].join('\n');
+
+const transports = {
+  // Print each message to the server log
+  console: () => ({
+    async send(message) {
+      console.log(`\n${formatMessage(message)}\n`);
+    }
+  }),
+
+  // Write each message to an .eml file in `dir`
+  file: ({ dir }) => ({
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+      await fs.promises.writeFile(file, formatMessage(message));
+    }
+  })
+};
+
+let transport = null;
+
+const createDefaultTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  if (!transports[name]) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected ${Object.keys(transports).join(' or ')})`);
+  }
+  return transports[name]({ dir: process.env.MAIL_DIR || path.join(__dirname, '..', 'mail') });
+};
+
+const setTransport = (custom) => {
+  transport = custom;
+};
+
+// Send { to, subject, text }
+const send = (message) => {
+  transport = transport || createDefaultTransport();
+  return transport.send({
+    from: process.env.MAIL_FROM || 'Blog Engine <no-reply@localhost>',
+    ...message
+  });
+};
+
+module.exports = { transports, setTransport, send };
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+const Media = require('../models/Media');
+const storage = require('./storage');
+const settings = require('../config/media');
+
+// Upload problems to show the user (wrong type, too big, unreadable...)
+class UploadError extends Error {}
+
+// Formats as reported by sharp after decoding the file, with the options
+// the original is re-encoded with
+const FORMATS = {
+  jpeg: { mime: 'image/jpeg', ext: 'jpg', options: { quality: 90 } },
+  png: { mime: 'image/png', ext: 'png', options: {} },
+  gif: { mime: 'image/gif', ext: 'gif', options: {}, animated: true },
+  webp: { mime: 'image/webp', ext: 'webp', options: { quality: 90 }, animated: true }
+};
+
+const allowedNames = () => settings.allowedTypes.map(type => type.replace('image/', '').toUpperCase()).join(', ');
+
+const parseUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: settings.maxFileSize, files: 1 },
+  // Cheap early check on the declared type; ingest() checks the real one
+  fileFilter: (req, file, cb) => {
+    if (settings.allowedTypes.includes(file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(new UploadError(`Only ${allowedNames()} images can be uploaded`));
+  }
+}).single('file');
+
+// Read a multipart request with one image in the "file" field into req.file
+const receiveUpload = (req, res) => new Promise((resolve, reject) => {
+  parseUpload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return reject(new UploadError(error.code === 'LIMIT_FILE_SIZE'
+        ? `Images can be at most ${Math.round(settings.maxFileSize / 1024 / 1024)} MB`
+        : error.message));
+    }
+    if (error) return reject(error);
+    if (!req.file) return reject(new UploadError('Choose an image to upload'));
+    resolve(req.file);
+  });
+});
+
+// Store an uploaded image and its resized copies, and record it in the
+// media table. `file` is a multer file held in memory.
+const ingest = async (file, { userId, altText }) => {
+  const image = (options) => sharp(file.buffer, { limitInputPixels: settings.maxPixels, ...options });
+
+  let metadata;
+  try {
+    metadata = await image().metadata();
+  } catch (error) {
+    throw new UploadError('That file is not an image we can read');
+  }
+
+  // Trust the decoded format, not the file name or the browser's Content-Type
+  const format = FORMATS[metadata.format];
+  if (!format || !settings.allowedTypes.includes(format.mime)) {
+    throw new UploadError(`Only ${allowedNames()} images can be uploaded`);
+  }
+
+  // EXIF orientations 5-8 are stored rotated by 90 degrees
+  const rotated = metadata.orientation >= 5;
+  const token = crypto.randomBytes(8).toString('hex');
+  const now = new Date();
+  const dir = `${now.getUTCFullYear()}/${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+  const storageKey = `${dir}/${token}.${format.ext}`;
+  const saved = [];
+
+  try {
+    // Everything stored is re-encoded, the original included, which drops
+    // EXIF data such as GPS position and camera serial numbers. The
+    // orientation is applied to the pixels first so nothing turns sideways.
+    const original = await image({ animated: Boolean(format.animated) })
+      .rotate()
+      .keepIccProfile()
+      .toFormat(metadata.format, format.options)
+      .toBuffer();
+    await storage.save(storageKey, original, format.mime);
+    saved.push(storageKey);
+
+    const variants = {};
+    for (const [name, size] of Object.entries(settings.sizes)) {
+      const buffer = await image()
+        .rotate()
+        .resize({ ...size, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+      const key = `${dir}/${token}-${name}.webp`;
+      await storage.save(key, buffer, 'image/webp');
+      saved.push(key);
+      variants[name] = key;
+    }
+
+    const id = Media.create({
+      user_id: userId,
+      token,
+      filename: file.originalname.slice(0, 255),
+      storage_key: storageKey,
+      mime_type: format.mime,
+      size: original.length,
+      width: rotated ? metadata.height : metadata.width,
+      height: rotated ? metadata.width : metadata.height,
+      alt_text: altText,
+      variants
+    });
+    return Media.findById(id);
+  } catch (error) {
+    await Promise.all(saved.map(key => storage.remove(key).catch(() => {})));
+    throw error;
+  }
+};
+
+// Media row plus the URLs views and the picker need. `embedUrl` is what
+// goes into posts: the medium copy, or the original for GIFs so
+// animations keep playing.
+const present = (media) => {
+  const urls = { original: storage.url(media.storage_key) };
+  Object.entries(media.variants).forEach(([name, key]) => {
+    urls[name] = storage.url(key);
+  });
+
+  return {
+    ...media,
+    urls,
+    embedUrl: media.mime_type === 'image/gif' ? urls.original : (urls.medium || urls.original)
+  };
+};
+
+// Delete an upload's files and its row
+const remove = async (media) => {
+  const keys = [media.storage_key, ...Object.values(media.variants)];
+  await Promise.all(keys.map(key => storage.remove(key)));
+  Media.delete(media.id);
+};
+
+module.exports = { UploadError, receiveUpload, ingest, present, remove };
@@ -0,0 +1,60 @@
+const Media = require('../models/Media');
+const User = require('../models/User');
+const { ingest, present, remove } = require('./media');
+
+// Limits on what authors put on their public profile
+const PROFILE_LIMITS = {
+  displayName: 80,
+  bio: 1000,
+  links: 5,
+  linkLabel: 40
+};
+
+const parseLinks = (value) => {
+  try {
+    return JSON.parse(value || '[]');
+  } catch (error) {
+    return [];
+  }
+};
+
+// What author pages and the settings form show of a user
+const presentProfile = (user) => {
+  const avatar = user.avatar_media_id ? Media.findById(user.avatar_media_id) : null;
+  const avatarUrls = avatar ? present(avatar).urls : null;
+
+  return {
+    id: user.id,
+    username: user.username,
+    display_name: user.display_name || '',
+    name: user.display_name || user.username,
+    bio: user.bio || '',
+    links: parseLinks(user.links),
+    avatarUrl: avatarUrls ? (avatarUrls.thumb || avatarUrls.original) : null,
+    created_at: user.created_at
+  };
+};
+
+// A replaced avatar is deleted, unless a post shows the same image
+const discardAvatar = async (mediaId) => {
+  const media = mediaId ? Media.findById(mediaId) : null;
+  if (media && media.usage_count === 0) {
+    await remove(media);
+  }
+};
+
+// Store an uploaded image (a multer file) in the media library and make
+// it the user's avatar
+const replaceAvatar = async (user, file) => {
+  const media = await ingest(file, { userId: user.id, altText: user.display_name || user.username });
+  User.setAvatar(user.id, media.id);
+  await discardAvatar(user.avatar_media_id);
+  return media;
+};
+
+const removeAvatar = async (user) => {
+  User.setAvatar(user.id, null);
+  await discardAvatar(user.avatar_media_id);
+};
+
+module.exports = { PROFILE_LIMITS, presentProfile, replaceAvatar, removeAvatar };
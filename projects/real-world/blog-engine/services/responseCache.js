@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const settings = require('../config/cache');
+const LruCache = require('../utils/lru');
+
+// In-memory cache for rendered pages and API responses. A route opts in
+// with the cacheResponse() middleware and, while building a response,
+// calls dependsOn() with tags naming the rows it read. Models call
+// invalidate() with the same tags when those rows change, which drops
+// exactly the responses built from them.
+
+// Tags: every listing of published posts, and everything showing one post
+// (its page, or a listing it appears in)
+const cacheTags = {
+  postLists: 'posts',
+  post: (id) => `post:${id}`
+};
+
+const stats = { hits: 0, misses: 0, bypassed: 0, notModified: 0, invalidated: 0 };
+
+// tag -> keys of the entries built from it
+const tagIndex = new Map();
+
+// Bumped by every invalidation, so a response that was being built while
+// its data changed is not stored
+let version = 0;
+
+const cache = new LruCache({
+  maxEntries: settings.maxEntries,
+  maxBytes: settings.maxBytes,
+  ttlMs: settings.ttlSeconds * 1000,
+  onRemove: (key, entry) => {
+    entry.tags.forEach(tag => {
+      const keys = tagIndex.get(tag);
+      if (!keys) return;
+      keys.delete(key);
+      if (keys.size === 0) tagIndex.delete(tag);
+    });
+  }
+});
+
+// Pages show who is signed in and what they may do, so each session (or
+// API token) gets its own copy
+const authState = (req) => {
+  if (req.apiToken) return `token:${req.apiToken.id}`;
+  return req.user ? `session:${req.sessionID}` : 'anonymous';
+};
+
+// API links are absolute, so the host is part of the key
+const cacheKey = (req) => `${authState(req)} ${req.get('host')}${req.originalUrl}`;
+
+// Flash messages show once, so pages carrying one skip the cache
+const hasFlash = (res) => ['success_msg', 'error_msg', 'error'].some(name => (res.locals[name] || []).length > 0);
+
+// A form token belongs to one session, so a page showing one can't be
+// shared between anonymous visitors
+const isPersonal = (req, res) => res.locals.usedCsrfToken && !req.user;
+
+// Response headers replayed on a hit
+const STORED_HEADERS = ['Content-Type', 'Link'];
+
+const etagFor = (body) => `W/"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+
+const sendEntry = (req, res, entry) => {
+  res.set(entry.headers);
+  res.set('ETag', entry.etag);
+  res.set('Cache-Control', 'private, no-cache');
+
+  if (req.fresh) {
+    stats.notModified++;
+    return res.status(304).end();
+  }
+  res.send(entry.body);
+};
+
+// Record what the response being built depends on. `meta` is handed to
+// the route's onHit when the cached copy is served.
+const dependsOn = (res, dependencyTags, meta = null) => {
+  res.locals.cacheDependencies = { tags: dependencyTags, meta };
+};
+
+// Serve GET requests from the cache, or store the response if the route
+// called dependsOn() and answered 200. onHit(req, meta) runs for every hit,
+// for work that must happen even when nothing is rendered.
+const cacheResponse = ({ onHit = null } = {}) => (req, res, next) => {
+  if (!settings.enabled || req.method !== 'GET') return next();
+  if (hasFlash(res)) {
+    stats.bypassed++;
+    return next();
+  }
+
+  const key = cacheKey(req);
+  const cached = cache.get(key);
+  if (cached) {
+    stats.hits++;
+    if (onHit) onHit(req, cached.meta);
+    return sendEntry(req, res, cached);
+  }
+
+  stats.misses++;
+  const startVersion = version;
+  const send = res.send;
+
+  res.send = function (body) {
+    res.send = send;
+    const dependencies = res.locals.cacheDependencies;
+    if (res.statusCode !== 200 || !dependencies || isPersonal(req, res) || !(typeof body === 'string' || Buffer.isBuffer(body))) {
+      return send.call(this, body);
+    }
+
+    if (!res.get('Content-Type')) {
+      res.type('html');
+    }
+    const entry = {
+      body,
+      etag: etagFor(body),
+      headers: Object.fromEntries(STORED_HEADERS.filter(name => res.get(name)).map(name => [name, res.get(name)])),
+      tags: dependencies.tags,
+      meta: dependencies.meta
+    };
+
+    if (version === startVersion && cache.set(key, entry, Buffer.byteLength(body))) {
+      entry.tags.forEach(tag => {
+        if (!tagIndex.has(tag)) tagIndex.set(tag, new Set());
+        tagIndex.get(tag).add(key);
+      });
+    }
+
+    res.set('ETag', entry.etag);
+    res.set('Cache-Control', 'private, no-cache');
+    if (req.fresh) {
+      stats.notModified++;
+      return res.status(304).end();
+    }
+    return send.call(this, body);
+  };
+
+  next();
+};
+
+// Drop every cached response built from any of `changed`
+const invalidate = (...changed) => {
+  version++;
+  changed.flat().forEach(tag => {
+    [...(tagIndex.get(tag) || [])].forEach(key => {
+      if (cache.delete(key, 'invalidated')) stats.invalidated++;
+    });
+  });
+};
+
+const clear = () => {
+  version++;
+  cache.clear();
+};
+
+const getStats = () => {
+  const lookups = stats.hits + stats.misses;
+  return {
+    ...stats,
+    enabled: settings.enabled,
+    hitRate: lookups > 0 ? stats.hits / lookups : null,
+    entries: cache.size,
+    maxEntries: settings.maxEntries,
+    bytes: cache.bytes,
+    maxBytes: settings.maxBytes,
+    evictions: cache.evictions
+  };
+};
+
+module.exports = { cacheTags, cacheResponse, dependsOn, invalidate, clear, getStats };
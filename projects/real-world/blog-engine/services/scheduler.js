@@ -0,0 +1,34 @@
+const Post = require('../models/Post');
+
+let timer = null;
+
+// Publish every scheduled post whose publish time has passed
+const runOnce = () => {
+  try {
+    const published = Post.publishDue();
+    if (published.length > 0) {
+      console.log(`Scheduler published ${published.length} post(s): ${published.join(', ')}`);
+    }
+    return published;
+  } catch (error) {
+    console.error('Scheduler error:', error);
+    return [];
+  }
+};
+
+// Runs immediately so posts that came due while the server was down are
+// published on boot, then checks again every `interval` milliseconds.
+const start = (interval = parseInt(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000) => {
+  if (timer) return;
+
+  runOnce();
+  timer = setInterval(runOnce, interval);
+  timer.unref();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { start, stop, runOnce };
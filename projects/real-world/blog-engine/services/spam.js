@@ -0,0 +1,53 @@
+const Comment = require('../models/Comment');
+const settings = require('../config/moderation');
+const { can } = require('../utils/permissions');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Local heuristic spam score for a new comment. Returns the score and the
+// reasons that contributed to it so moderators can see why it was held.
+const scoreComment = ({ content, userId }) => {
+  const { weights, blocklist, rateLimit } = settings;
+  const reasons = [];
+  let score = 0;
+
+  const links = (content.match(/https?:\/\/|www\./gi) || []).length;
+  if (links > 0) {
+    score += links * weights.link;
+    reasons.push(`${links} link${links === 1 ? '' : 's'}`);
+  }
+
+  const blocked = blocklist.filter(word => new RegExp(`\\b${escapeRegExp(word)}\\b`, 'i').test(content));
+  if (blocked.length > 0) {
+    score += blocked.length * weights.blocklistedWord;
+    reasons.push(`blocklisted: ${blocked.join(', ')}`);
+  }
+
+  const recent = Comment.countRecentByUser(userId, rateLimit.windowMinutes);
+  if (recent >= rateLimit.maxComments) {
+    score += weights.rateExceeded;
+    reasons.push(`${recent} comments in ${rateLimit.windowMinutes} minutes`);
+  }
+
+  return { score, reasons };
+};
+
+// Decide the initial status of a comment by `user`. Moderators are trusted.
+const moderate = ({ content, user }) => {
+  if (can(user, 'moderate-comments')) {
+    return { status: 'approved', score: 0, reasons: [] };
+  }
+
+  const { score, reasons } = scoreComment({ content, userId: user.id });
+  let status = 'approved';
+
+  if (score >= settings.spamThreshold) {
+    status = 'spam';
+  } else if (settings.mode === 'hold' || score >= settings.holdThreshold) {
+    status = 'pending';
+  }
+
+  return { status, score, reasons };
+};
+
+module.exports = { scoreComment, moderate };
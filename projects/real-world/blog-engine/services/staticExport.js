@@ -0,0 +1,301 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const sanitizeHtml = require('sanitize-html');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Tag = require('../models/Tag');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const configureViews = require('../config/views');
+const mediaSettings = require('../config/media');
+const { siteFeed, authorFeed, tagFeed, loadFeed, renderFeed } = require('./feeds');
+const { presentProfile } = require('./profiles');
+const { FORMATS } = require('../utils/feeds');
+const { renderMarkdown } = require('../utils/markdown');
+
+// Renders the public pages of the blog into a directory for static
+// hosting. Pages go through the same EJS views as the server, internal
+// links become relative, and files are only written when their content
+// changed. A manifest remembers what the last export wrote so pages that
+// no longer exist are removed.
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const MANIFEST = '.export-manifest.json';
+const HOME_SIZE = 10;
+
+// Root-relative URLs in these attributes are rewritten
+const LINK_ATTRIBUTE = /(\s(?:href|src|action|data-index)=")(\/(?!\/)[^"]*)"/g;
+
+// "/posts/hello" -> "posts/hello/index.html"
+const pageFile = (urlPath) => (urlPath === '/' ? '' : `${urlPath.slice(1)}/`) + 'index.html';
+
+const createRenderer = () => {
+  const app = express();
+  configureViews(app);
+  app.locals.staticSite = true;
+
+  // What the server's global middleware would add for a visitor
+  // (there are no sessions, so no form tokens)
+  const visitor = { user: null, success_msg: [], error_msg: [], error: [], csrfToken: () => '' };
+
+  return (view, locals) => new Promise((resolve, reject) => {
+    app.render(view, { ...visitor, ...locals }, (error, html) => (error ? reject(error) : resolve(html)));
+  });
+};
+
+// Every page to render as [{ path, view, locals }], mirroring the routes
+const collectPages = () => {
+  const published = Post.withAuthors(Post.getAll({ status: 'published' }));
+  const withCommentCount = post => ({ ...post, commentCount: Post.getCommentCount(post.id) });
+
+  const pages = [
+    { path: '/', view: 'index', locals: { title: 'Home', posts: published.slice(0, HOME_SIZE).map(withCommentCount) } },
+    { path: '/posts', view: 'posts/list', locals: { title: 'All Posts', posts: published } },
+    { path: '/about', view: 'about', locals: { title: 'About' } },
+    {
+      path: '/search',
+      view: 'search',
+      locals: { title: 'Search Results', posts: [], query: '', total: 0, page: 1, totalPages: 1 }
+    }
+  ];
+
+  // Archived posts are out of the listings but their links keep working
+  [...published, ...Post.getAll({ status: 'archived' })].forEach(post => {
+    pages.push({
+      path: `/posts/${post.slug}`,
+      view: 'posts/view',
+      locals: {
+        title: post.title,
+        post: { ...Post.withAuthors([post])[0], htmlContent: renderMarkdown(post.content) },
+        comments: Comment.getThreadByPostId(post.id),
+        commentCount: Post.getCommentCount(post.id),
+        tags: Tag.getByPostId(post.id)
+      }
+    });
+  });
+
+  Tag.getAll().forEach(tag => {
+    pages.push({
+      path: `/tags/${tag.slug}`,
+      view: 'posts/list',
+      locals: {
+        title: `Posts tagged "${tag.name}"`,
+        posts: Post.withAuthors(Post.getAll({ status: 'published', tag: tag.slug })),
+        feedPath: `/tags/${tag.slug}`
+      },
+      feed: tagFeed(tag)
+    });
+  });
+
+  Category.getAll().forEach(category => {
+    pages.push({
+      path: `/categories/${category.slug}`,
+      view: 'posts/list',
+      locals: {
+        title: `Posts in ${category.name}`,
+        posts: Post.withAuthors(Post.getAll({ status: 'published', category: category.slug }))
+      }
+    });
+  });
+
+  // Everyone credited on a published post gets an author page, with all
+  // their posts on one page
+  const authorIds = new Set(published.flatMap(post => post.authors.map(author => author.id)));
+  authorIds.forEach(id => {
+    const author = presentProfile(User.findById(id));
+    const feed = authorFeed(author);
+    const posts = published.filter(post => post.authors.some(credited => credited.id === id));
+    pages.push({
+      path: feed.path,
+      view: 'author',
+      locals: { title: author.name, author, posts, total: posts.length, page: 1, totalPages: 1, feedPath: feed.path },
+      feed
+    });
+  });
+
+  return pages;
+};
+
+// Feeds for the site and for every tag and author page, as { file: body }
+const collectFeeds = (pages, base) => {
+  const files = {};
+  const definitions = [siteFeed(), ...pages.filter(page => page.feed).map(page => page.feed)];
+
+  definitions.forEach(definition => {
+    const loaded = loadFeed(definition);
+    const dir = definition.path === '/' ? '' : definition.path.slice(1) + '/';
+    Object.keys(FORMATS).forEach(file => {
+      files[dir + file] = renderFeed(file, definition, loaded, { base, feedPath: `/${dir}${file}` });
+    });
+  });
+
+  return files;
+};
+
+// Plain-text index of published posts for the search page
+const buildSearchIndex = () => {
+  const posts = Post.getAll({ status: 'published' }).map(post => ({
+    title: post.title,
+    url: `posts/${post.slug}/`,
+    excerpt: post.excerpt || '',
+    author: post.author_name,
+    date: post.created_at,
+    tags: Tag.getByPostId(post.id).map(tag => tag.name),
+    text: sanitizeHtml(renderMarkdown(post.content), { allowedTags: [], allowedAttributes: {} })
+      .replace(/\s+/g, ' ')
+      .trim()
+  }));
+  return JSON.stringify({ posts }, null, 2) + '\n';
+};
+
+// Files under `dir` as paths relative to it, using forward slashes
+const listFiles = (dir, prefix = '') => {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const relative = prefix + entry.name;
+    if (entry.isDirectory()) return listFiles(path.join(dir, entry.name), `${relative}/`);
+    return entry.isFile() ? [relative] : [];
+  });
+};
+
+// Static assets and, with local storage, uploaded images as { file: source path }
+const collectAssets = () => {
+  const assets = {};
+  listFiles(PUBLIC_DIR).forEach(file => {
+    assets[file] = path.join(PUBLIC_DIR, file);
+  });
+
+  const { storage } = mediaSettings;
+  if (storage.adapter === 'local') {
+    const prefix = storage.baseUrl.replace(/^\/|\/$/g, '');
+    listFiles(storage.root).forEach(file => {
+      assets[`${prefix}/${file}`] = path.join(storage.root, file);
+    });
+  }
+
+  return assets;
+};
+
+// Point root-relative links in a page at files in the export, relative to
+// the page so the site works from any directory. Links to anything the
+// export doesn't contain are left alone and reported.
+const rewriteLinks = (html, fromFile, exists, unresolved) => {
+  const fromDir = path.posix.dirname(fromFile);
+
+  return html.replace(LINK_ATTRIBUTE, (match, attribute, url) => {
+    const [, pathname, rest] = /^([^?#]*)(.*)$/.exec(url);
+    const trimmed = pathname.length > 1 ? pathname.replace(/\/$/, '') : pathname;
+
+    let target = null;
+    if (exists(pageFile(trimmed))) {
+      target = path.posix.dirname(pageFile(trimmed));
+    } else if (exists(trimmed.slice(1))) {
+      target = trimmed.slice(1);
+    }
+
+    if (target === null) {
+      unresolved.add(pathname);
+      return match;
+    }
+
+    const isPage = target === '.' || exists(`${target}/index.html`);
+    let relative = path.posix.relative(fromDir, target === '.' ? '' : target) || '.';
+    if (isPage) relative += '/';
+    return `${attribute}${relative}${rest}"`;
+  });
+};
+
+// Write `content` unless the file already has exactly that content
+const writeIfChanged = (target, content) => {
+  try {
+    if (fs.readFileSync(target).equals(content)) return false;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, content);
+  return true;
+};
+
+const readManifest = (outDir) => {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(outDir, MANIFEST), 'utf8')).files || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// The absolute path of `file` in `outDir`, or null if it would land outside
+// it (a slug like "../about" from an old import)
+const outputPath = (outDir, file) => {
+  const target = path.resolve(outDir, file);
+  return target.startsWith(outDir + path.sep) ? target : null;
+};
+
+// Delete a file left by an earlier export, then any directories it leaves empty
+const removeStale = (outDir, file) => {
+  const target = outputPath(outDir, file);
+  if (!target) return false;
+
+  fs.rmSync(target, { force: true });
+  for (let dir = path.dirname(target); dir !== outDir && dir.startsWith(outDir); dir = path.dirname(dir)) {
+    if (fs.readdirSync(dir).length > 0) break;
+    fs.rmdirSync(dir);
+  }
+  return true;
+};
+
+// Export the site to `outDir`. `siteUrl` is where it will be published,
+// used for absolute links in feeds.
+const exportSite = async ({ outDir, siteUrl }) => {
+  const root = path.resolve(outDir);
+  const base = siteUrl.replace(/\/$/, '');
+  const render = createRenderer();
+
+  const pages = collectPages();
+  const generated = { ...collectFeeds(pages, base), 'search-index.json': buildSearchIndex() };
+  const assets = collectAssets();
+
+  const rendered = {};
+  for (const page of pages) {
+    rendered[pageFile(page.path)] = await render(page.view, page.locals);
+  }
+  rendered['404.html'] = await render('404', { title: 'Page Not Found' });
+
+  const names = new Set([...Object.keys(rendered), ...Object.keys(generated), ...Object.keys(assets)]);
+  const exists = file => names.has(file);
+  const unresolved = new Set();
+  const result = { written: [], unchanged: 0, removed: [], unresolved: [], refused: [] };
+
+  const save = (file, content) => {
+    const target = outputPath(root, file);
+    if (!target) {
+      result.refused.push(file);
+    } else if (writeIfChanged(target, content)) {
+      result.written.push(file);
+    } else {
+      result.unchanged++;
+    }
+  };
+
+  Object.entries(rendered).forEach(([file, html]) => {
+    save(file, Buffer.from(rewriteLinks(html, file, exists, unresolved)));
+  });
+  Object.entries(generated).forEach(([file, body]) => save(file, Buffer.from(body)));
+  Object.entries(assets).forEach(([file, source]) => save(file, fs.readFileSync(source)));
+
+  readManifest(root)
+    .filter(file => !names.has(file))
+    .forEach(file => {
+      if (removeStale(root, file)) result.removed.push(file);
+    });
+
+  const files = [...names].filter(file => !result.refused.includes(file)).sort();
+  writeIfChanged(path.join(root, MANIFEST), Buffer.from(JSON.stringify({ files }, null, 2) + '\n'));
+
+  result.unresolved = [...unresolved].sort();
+  return result;
+};
+
+module.exports = { exportSite };
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const settings = require('../config/media').storage;
+
+// Where uploaded files live. An adapter is any object with
+//   save(key, buffer, contentType)  async, stores a file under `key`
+//   remove(key)                     async, deletes it (missing is fine)
+//   url(key)                        public URL of the file
+// and optionally middleware() to serve the files from this app. Pick a
+// built-in adapter with MEDIA_STORAGE or plug in another (S3, a CDN...)
+// with setAdapter().
+
+const adapters = {
+  // Files on disk under `root`, served by Express at `baseUrl`
+  local: ({ root, baseUrl }) => {
+    const base = path.resolve(root);
+    const resolve = (key) => {
+      const file = path.resolve(base, key);
+      if (!file.startsWith(base + path.sep)) {
+        throw new Error(`Invalid storage key "${key}"`);
+      }
+      return file;
+    };
+
+    return {
+      async save(key, buffer) {
+        const file = resolve(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, buffer);
+      },
+
+      async remove(key) {
+        await fs.promises.rm(resolve(key), { force: true });
+      },
+
+      url: (key) => `${baseUrl}/${key}`,
+
+      // A key's contents never change, so browsers may cache for a year
+      middleware: () => express.static(base, { maxAge: '365d', immutable: true, index: false })
+    };
+  }
+};
+
+let adapter = null;
+
+const getAdapter = () => {
+  if (!adapter) {
+    const create = adapters[settings.adapter];
+    if (!create) {
+      throw new Error(`Unknown MEDIA_STORAGE "${settings.adapter}" (expected ${Object.keys(adapters).join(' or ')})`);
+    }
+    adapter = create(settings);
+  }
+  return adapter;
+};
+
+const setAdapter = (custom) => {
+  adapter = custom;
+};
+
+// Serves stored files when the adapter keeps them locally; otherwise a no-op
+const middleware = () => {
+  const current = getAdapter();
+  return current.middleware ? current.middleware() : (req, res, next) => next();
+};
+
+module.exports = {
+  adapters,
+  setAdapter,
+  middleware,
+  save: (key, buffer, contentType) => getAdapter().save(key, buffer, contentType),
+  remove: (key) => getAdapter().remove(key),
+  url: (key) => getAdapter().url(key)
+};
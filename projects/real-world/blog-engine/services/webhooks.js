@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const settings = require('../config/webhooks');
+const { toSqlDateTime } = require('../utils/dates');
+const { siteUrl } = require('../utils/url');
+
+// Events are queued as webhook_deliveries rows and sent by a worker in
+// the server process, so a slow or unreachable receiver never holds up a
+// request and nothing is lost across restarts.
+
+let timer = null;
+let running = false;
+let rerun = false;
+let lastPruned = 0;
+
+// Receivers recompute this with their copy of the secret to check that a
+// request came from us and was not replayed with a different timestamp
+const sign = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// What subscribers see of a post (a row from Post.findById)
+const postData = (post) => ({
+  id: post.id,
+  title: post.title,
+  slug: post.slug,
+  url: `${siteUrl()}/posts/${post.slug}`,
+  status: post.status,
+  excerpt: post.excerpt,
+  content: post.content,
+  author: post.author_name,
+  category: post.category_name || null,
+  publish_at: post.publish_at,
+  created_at: post.created_at,
+  updated_at: post.updated_at
+});
+
+// ...and of a comment (a row from Comment.findById)
+const commentData = (comment) => ({
+  id: comment.id,
+  post: {
+    id: comment.post_id,
+    title: comment.post_title,
+    slug: comment.post_slug,
+    url: `${siteUrl()}/posts/${comment.post_slug}`
+  },
+  parent_id: comment.parent_id,
+  author: comment.username,
+  content: comment.content,
+  status: comment.status,
+  created_at: comment.created_at
+});
+
+// Only the running server delivers; anything queued elsewhere (an import
+// from the command line) waits for its next poll
+const wake = () => {
+  if (timer) setImmediate(processDue);
+};
+
+// Queue `event` for every active webhook subscribed to it. Never throws,
+// so a webhook problem cannot fail the change that triggered it.
+const emit = (event, data) => {
+  try {
+    const hooks = Webhook.getActiveForEvent(event);
+    if (hooks.length === 0) return [];
+
+    const payload = JSON.stringify({ event, occurred_at: new Date().toISOString(), data });
+    const ids = hooks.map(hook => WebhookDelivery.create({ webhook_id: hook.id, event, payload }));
+    wake();
+    return ids;
+  } catch (error) {
+    console.error('Webhook error:', error);
+    return [];
+  }
+};
+
+// Send the same payload again as a new delivery. Returns its id, or null
+// if the original is gone.
+const redeliver = (deliveryId) => {
+  const original = WebhookDelivery.findById(deliveryId);
+  if (!original) return null;
+
+  const id = WebhookDelivery.create({
+    webhook_id: original.webhook_id,
+    event: original.event,
+    payload: original.payload,
+    redelivery_of: original.id
+  });
+  wake();
+  return id;
+};
+
+// 30s, 1m, 2m, 4m... with the default settings
+const retryDelaySeconds = (attempts) =>
+  Math.min(settings.retryBaseSeconds * 2 ** (attempts - 1), settings.retryMaxSeconds);
+
+// Read at most `limit` characters of a response without buffering the rest
+const readBody = async (response, limit) => {
+  if (!response.body) return '';
+
+  const decoder = new TextDecoder();
+  const reader = response.body.getReader();
+  let text = '';
+  while (text.length < limit) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    text += decoder.decode(value, { stream: true });
+  }
+  reader.cancel().catch(() => {});
+  return text.slice(0, limit);
+};
+
+const describeError = (error) => {
+  if (error.name === 'TimeoutError') return `Timed out after ${settings.timeoutMs} ms`;
+  const cause = error.cause && (error.cause.code || error.cause.message);
+  return cause ? `${error.message} (${cause})` : error.message;
+};
+
+// One attempt at a due delivery. Any 2xx answer counts as delivered;
+// redirects are not followed.
+const deliver = async (delivery) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const outcome = {};
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Blog-Engine-Webhooks',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${sign(delivery.secret, timestamp, delivery.payload)}`
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(settings.timeoutMs)
+    });
+    outcome.response_status = response.status;
+    outcome.response_body = await readBody(response, settings.maxResponseLength);
+    if (!response.ok) outcome.error = `Receiver answered HTTP ${response.status}`;
+  } catch (error) {
+    outcome.error = describeError(error);
+  }
+  outcome.duration_ms = Date.now() - started;
+
+  const attempts = delivery.attempts + 1;
+  if (!outcome.error) {
+    outcome.status = 'delivered';
+  } else if (attempts >= settings.maxAttempts) {
+    outcome.status = 'failed';
+  } else {
+    outcome.status = 'pending';
+    outcome.next_attempt_at = toSqlDateTime(new Date(Date.now() + retryDelaySeconds(attempts) * 1000));
+  }
+
+  WebhookDelivery.recordAttempt(delivery.id, outcome);
+  return outcome.status;
+};
+
+// Send everything that is due, one at a time. A call made while a run is
+// in progress makes that run look for more work before it finishes.
+const processDue = async () => {
+  if (running) {
+    rerun = true;
+    return;
+  }
+
+  running = true;
+  try {
+    do {
+      rerun = false;
+      const due = WebhookDelivery.getDue(settings.batchSize);
+      for (const delivery of due) {
+        await deliver(delivery);
+      }
+      if (due.length === settings.batchSize) rerun = true;
+    } while (rerun);
+
+    if (Date.now() - lastPruned > 24 * 60 * 60 * 1000) {
+      lastPruned = Date.now();
+      WebhookDelivery.prune(settings.logDays);
+    }
+  } catch (error) {
+    console.error('Webhook error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Sends whatever was queued while the server was down, then polls for
+// retries that have come due
+const start = (interval = settings.pollIntervalMs) => {
+  if (timer) return;
+
+  timer = setInterval(processDue, interval);
+  timer.unref();
+  processDue();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { sign, postData, commentData, emit, redeliver, processDue, start, stop };
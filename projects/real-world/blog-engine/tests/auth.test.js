@@ -0,0 +1,120 @@
+/**
+ * Tests for the password reset and email verification routes
+ */
+
+process.env.DATABASE_PATH = ':memory:';
+process.env.SITE_URL = 'https://blog.example.com';
+
+const http = require('http');
+const express = require('express');
+const { migrate } = require('../config/migrator');
+const mailer = require('../services/mailer');
+const User = require('../models/User');
+const UserToken = require('../models/UserToken');
+const { retryAfter } = require('../services/loginThrottle');
+const authRoutes = require('../routes/auth');
+
+migrate();
+
+const sent = [];
+mailer.setTransport({ async send(message) { sent.push(message); } });
+
+// The auth routes with just enough of the server around them: form bodies,
+// flash messages and an anonymous passport session
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+app.use((req, res, next) => {
+  req.isAuthenticated = () => false;
+  req.flash = () => {};
+  next();
+});
+app.use('/auth', authRoutes);
+
+let server;
+let port;
+
+beforeAll(done => {
+  server = app.listen(0, () => {
+    port = server.address().port;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  sent.length = 0;
+});
+
+// POST a form with any Host header (fetch won't let us set one)
+const postForm = (path, form, headers = {}) => new Promise((resolve, reject) => {
+  const body = new URLSearchParams(form).toString();
+  const req = http.request({
+    port,
+    path,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Content-Length': Buffer.byteLength(body),
+      ...headers
+    }
+  }, res => {
+    res.resume();
+    res.on('end', () => resolve(res));
+  });
+  req.on('error', reject);
+  req.end(body);
+});
+
+User.create({ username: 'alice', email: 'alice@example.com', password: 'x', role: 'author' });
+
+describe('emailed links', () => {
+  test('a spoofed Host header does not reach the password reset email', async () => {
+    await postForm('/auth/forgot', { email: 'alice@example.com' }, { Host: 'evil.example' });
+
+    expect(sent).toHaveLength(1);
+    expect(sent[0].text).toMatch(/https:\/\/blog\.example\.com\/auth\/reset\/\S+/);
+    expect(sent[0].text).not.toContain('evil.example');
+  });
+
+  test('a spoofed Host header does not reach the verification email', async () => {
+    await postForm('/auth/verify', { email: 'alice@example.com' }, { Host: 'evil.example' });
+
+    expect(sent).toHaveLength(1);
+    expect(sent[0].text).toMatch(/https:\/\/blog\.example\.com\/auth\/verify\/\S+/);
+    expect(sent[0].text).not.toContain('evil.example');
+  });
+
+  test('without SITE_URL no email is sent, rather than one linking to the request host', async () => {
+    const siteUrl = process.env.SITE_URL;
+    delete process.env.SITE_URL;
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      await postForm('/auth/forgot', { email: 'alice@example.com' }, { Host: 'evil.example' });
+    } finally {
+      process.env.SITE_URL = siteUrl;
+      error.mockRestore();
+    }
+
+    expect(sent).toHaveLength(0);
+  });
+});
+
+describe('password reset', () => {
+  test('lifts a login lockout', async () => {
+    const user = User.findByUsername('alice');
+    User.recordLoginFailure(user.id, { count: 4, lockedUntil: '2999-01-01 00:00:00' });
+    const token = UserToken.create(user.id, 'password_reset', 60);
+
+    const res = await postForm(`/auth/reset/${token}`, { password: 'new-password', password2: 'new-password' });
+
+    expect(res.statusCode).toBe(302);
+    const reset = User.findById(user.id);
+    expect(reset.failed_login_count).toBe(0);
+    expect(reset.locked_until).toBeNull();
+    expect(reset.last_failed_login_at).toBeNull();
+    expect(retryAfter(reset)).toBe(0);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Tests for storing uploaded images
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATABASE_PATH = ':memory:';
+process.env.MEDIA_STORAGE = 'local';
+process.env.MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'blog-media-'));
+
+const sharp = require('sharp');
+const { migrate } = require('../config/migrator');
+const User = require('../models/User');
+const { ingest } = require('../services/media');
+
+migrate();
+const userId = User.create({ username: 'alice', email: 'alice@example.com', password: 'x', role: 'author' });
+
+afterAll(() => {
+  fs.rmSync(process.env.MEDIA_DIR, { recursive: true, force: true });
+});
+
+// Whether an EXIF block (as sharp reports it) points to GPS data: tag
+// 0x8825 in the first IFD of the TIFF structure after "Exif\0\0"
+const hasGpsTag = (exif) => {
+  if (!exif) return false;
+  const tiff = exif.subarray(6);
+  const le = tiff.toString('latin1', 0, 2) === 'II';
+  const u16 = (offset) => (le ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const u32 = (offset) => (le ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+  const ifd = u32(4);
+  for (let i = 0; i < u16(ifd); i++) {
+    if (u16(ifd + 2 + i * 12) === 0x8825) return true;
+  }
+  return false;
+};
+
+const upload = (buffer, name) => ingest(
+  { buffer, originalname: name, size: buffer.length },
+  { userId, altText: name }
+);
+
+describe('ingest', () => {
+  test('strips EXIF data such as the GPS position from the stored original', async () => {
+    const photo = await sharp({ create: { width: 40, height: 20, channels: 3, background: 'blue' } })
+      .jpeg()
+      .withExifMerge({ IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 0/1' } })
+      .toBuffer();
+    expect(hasGpsTag((await sharp(photo).metadata()).exif)).toBe(true);
+
+    const media = await upload(photo, 'photo.jpg');
+    const stored = fs.readFileSync(path.join(process.env.MEDIA_DIR, media.storage_key));
+    const metadata = await sharp(stored).metadata();
+
+    expect(metadata.format).toBe('jpeg');
+    expect(hasGpsTag(metadata.exif)).toBe(false);
+    expect(media.size).toBe(stored.length);
+  });
+
+  test('applies the EXIF orientation to the stored original', async () => {
+    const photo = await sharp({ create: { width: 40, height: 20, channels: 3, background: 'red' } })
+      .jpeg()
+      .withMetadata({ orientation: 6 })
+      .toBuffer();
+
+    const media = await upload(photo, 'sideways.jpg');
+    const stored = fs.readFileSync(path.join(process.env.MEDIA_DIR, media.storage_key));
+    const metadata = await sharp(stored).metadata();
+
+    expect([metadata.width, metadata.height, metadata.orientation]).toEqual([20, 40, undefined]);
+    expect([media.width, media.height]).toEqual([20, 40]);
+  });
+});
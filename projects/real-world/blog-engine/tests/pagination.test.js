@@ -0,0 +1,53 @@
+/**
+ * Unit tests for list query parsing and cursors
+ */
+
+const { encodeCursor, decodeCursor, parseListQuery } = require('../utils/pagination');
+
+const LIST = {
+  sortable: ['created_at', 'views'],
+  defaultSort: '-created_at',
+  fields: ['id', 'title'],
+  includes: []
+};
+
+const cursorFor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+describe('decodeCursor', () => {
+  test('reads back a cursor made by encodeCursor', () => {
+    const cursor = encodeCursor({ id: 7, created_at: '2024-01-31 10:00:00' }, 'created_at');
+    expect(decodeCursor(cursor)).toEqual({ value: '2024-01-31 10:00:00', id: 7 });
+  });
+
+  test('accepts numeric sort values', () => {
+    expect(decodeCursor(cursorFor({ v: 42, id: 3 }))).toEqual({ value: 42, id: 3 });
+  });
+
+  test.each([
+    ['an object', { v: {}, id: 1 }],
+    ['an array', { v: [1], id: 1 }],
+    ['a boolean', { v: true, id: 1 }],
+    ['null', { v: null, id: 1 }],
+    ['a missing value', { id: 1 }]
+  ])('rejects %s as the sort value', (label, payload) => {
+    expect(decodeCursor(cursorFor(payload))).toBeNull();
+  });
+
+  test('rejects a non-integer id', () => {
+    expect(decodeCursor(cursorFor({ v: 'x', id: '1' }))).toBeNull();
+  });
+
+  test('rejects text that is not JSON', () => {
+    expect(decodeCursor('not-a-cursor')).toBeNull();
+  });
+});
+
+describe('parseListQuery', () => {
+  test('turns a hand-made cursor into a 400 error', () => {
+    expect(parseListQuery({ cursor: cursorFor({ v: { a: 1 }, id: 1 }) }, LIST)).toEqual({ error: 'Invalid cursor' });
+  });
+
+  test('returns the whitelisted fields when none are requested', () => {
+    expect(parseListQuery({}, LIST).options.fields).toEqual(['id', 'title']);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for which changes are sent to webhook subscribers
+ */
+
+process.env.DATABASE_PATH = ':memory:';
+
+const { migrate } = require('../config/migrator');
+const { db } = require('../config/database');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Webhook = require('../models/Webhook');
+
+migrate();
+const authorId = User.create({ username: 'alice', email: 'alice@example.com', password: 'x', role: 'author' });
+Webhook.create({ url: 'https://hooks.example.com/', events: Webhook.EVENTS });
+
+// [event, data] for every delivery queued so far, oldest first
+const queued = () => db.prepare('SELECT event, payload FROM webhook_deliveries ORDER BY id').all()
+  .map(row => [row.event, JSON.parse(row.payload).data]);
+
+beforeEach(() => {
+  db.prepare('DELETE FROM webhook_deliveries').run();
+});
+
+const createPost = (status) => Post.create({
+  title: 'Secret plans',
+  slug: `secret-plans-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+  content: 'Not for readers yet',
+  author_id: authorId,
+  status
+});
+
+describe('post events', () => {
+  test('edits to drafts and scheduled posts are not sent', () => {
+    const id = createPost('draft');
+    const post = Post.findById(id);
+    Post.update(id, { ...post, content: 'Still private' });
+    Post.updateStatus(id, 'scheduled', '2999-01-01 00:00:00');
+
+    expect(queued()).toEqual([]);
+  });
+
+  test('publishing and later edits are sent with the content', () => {
+    const id = createPost('draft');
+    Post.updateStatus(id, 'published');
+    Post.update(id, { ...Post.findById(id), content: 'Now public' });
+
+    const events = queued();
+    expect(events.map(([event]) => event)).toEqual(['post.published', 'post.updated']);
+    expect(events[1][1].post.content).toBe('Now public');
+  });
+
+  test('taking a post down is sent without its content', () => {
+    const id = createPost('published');
+    Post.updateStatus(id, 'draft');
+
+    const events = queued();
+    expect(events.map(([event]) => event)).toEqual(['post.published', 'post.updated']);
+    expect(events[1][1].post).toMatchObject({ status: 'draft', content: null, excerpt: null });
+  });
+});
+
+describe('comment events', () => {
+  const postId = createPost('published');
+
+  test('held and spam comments are not sent', () => {
+    Comment.create({ post_id: postId, user_id: authorId, content: 'buy now', status: 'spam' });
+    Comment.create({ post_id: postId, user_id: authorId, content: 'hmm', status: 'pending' });
+
+    expect(queued()).toEqual([]);
+  });
+
+  test('approved comments are sent, and held ones once a moderator approves them', () => {
+    Comment.create({ post_id: postId, user_id: authorId, content: 'Nice post', status: 'approved' });
+    const held = Comment.create({ post_id: postId, user_id: authorId, content: 'Held', status: 'pending' });
+    expect(queued()).toHaveLength(1);
+
+    Comment.updateStatus(held, 'approved');
+    Comment.updateStatus(held, 'approved');
+
+    expect(queued().map(([event, data]) => [event, data.comment.content]))
+      .toEqual([['comment.created', 'Nice post'], ['comment.created', 'Held']]);
+  });
+});
@@ -0,0 +1,23 @@
+// CSV per RFC 4180. Cells that a spreadsheet would read as a formula are
+// prefixed with a quote so exported titles can't run as formulas.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// toCsv([{ key: 'title', label: 'Title' }, ...], rows)
+const toCsv = (columns, rows) => {
+  const lines = [columns.map(column => escapeCell(column.label))];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCell(row[column.key])));
+  });
+  return lines.map(cells => cells.join(',')).join('\r\n') + '\r\n';
+};
+
+module.exports = { toCsv };
@@ -0,0 +1,61 @@
+// SQLite's CURRENT_TIMESTAMP stores UTC as "YYYY-MM-DD HH:MM:SS". These
+// helpers convert between that format, Date objects and the local
+// "YYYY-MM-DDTHH:MM" value used by <input type="datetime-local">.
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const parseSqlDateTime = (value) => {
+  if (!value) return null;
+  const date = new Date(String(value).replace(' ', 'T') + 'Z');
+  return isNaN(date) ? null : date;
+};
+
+const SQL_DATE_TIME = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+// Accepts a Date, an ISO string, a datetime-local value (server local time)
+// or a value already in SQLite format
+const toSqlDateTime = (value) => {
+  if (!value) return null;
+  if (SQL_DATE_TIME.test(value)) return value;
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date)) return null;
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+};
+
+const toDateTimeLocal = (value) => {
+  const date = parseSqlDateTime(value);
+  if (!date) return '';
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const formatDateTime = (value) => {
+  const date = parseSqlDateTime(value);
+  return date ? date.toLocaleString() : '';
+};
+
+// UTC calendar days as "YYYY-MM-DD", the format SQLite's date() returns
+const SQL_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const toSqlDate = (value = new Date()) => {
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date) ? null : date.toISOString().slice(0, 10);
+};
+
+const isSqlDate = (value) => SQL_DATE.test(value || '') && toSqlDate(`${value}T00:00:00Z`) === value;
+
+const addDays = (day, count) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + count);
+  return toSqlDate(date);
+};
+
+module.exports = {
+  parseSqlDateTime,
+  toSqlDateTime,
+  toDateTimeLocal,
+  formatDateTime,
+  toSqlDate,
+  isSqlDate,
+  addDays
+};
@@ -0,0 +1,58 @@
+// Line-based diff using the longest common subsequence of the two texts.
+// Returns a list of { type, line, oldNumber, newNumber } entries where type
+// is 'same', 'added' or 'removed'.
+const diffLines = (oldText, newText) => {
+  const a = (oldText || '').replace(/\r\n/g, '\n').split('\n');
+  const b = (newText || '').replace(/\r\n/g, '\n').split('\n');
+  const n = a.length;
+  const m = b.length;
+
+  // lcs[i][j] holds the LCS length of a[i..] and b[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      result.push({ type: 'same', line: a[i], oldNumber: i + 1, newNumber: j + 1 });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: 'removed', line: a[i], oldNumber: i + 1, newNumber: null });
+      i++;
+    } else {
+      result.push({ type: 'added', line: b[j], oldNumber: null, newNumber: j + 1 });
+      j++;
+    }
+  }
+
+  while (i < n) {
+    result.push({ type: 'removed', line: a[i], oldNumber: i + 1, newNumber: null });
+    i++;
+  }
+
+  while (j < m) {
+    result.push({ type: 'added', line: b[j], oldNumber: null, newNumber: j + 1 });
+    j++;
+  }
+
+  return result;
+};
+
+// Diff every field of two revisions that authors can change.
+const diffRevisions = (from, to) => ({
+  title: diffLines(from.title, to.title),
+  excerpt: diffLines(from.excerpt, to.excerpt),
+  content: diffLines(from.content, to.content)
+});
+
+module.exports = { diffLines, diffRevisions };
@@ -0,0 +1,93 @@
+// Serializers for RSS 2.0, Atom 1.0 and JSON Feed 1.1. Each takes the same
+// feed description:
+//   { title, description, siteUrl, feedUrl, updated,
+//     items: [{ id, url, title, summary, contentHtml, author, published, updated, tags }] }
+// Dates are Date objects.
+
+// Characters that are not allowed anywhere in an XML 1.0 document
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const escapeXml = (value) => String(value == null ? '' : value)
+  .replace(INVALID_XML_CHARS, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const buildRss = (feed) => {
+  const items = feed.items.map(item => `
+    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.url)}</guid>
+      <pubDate>${item.published.toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(item.author)}</dc:creator>
+${item.tags.map(tag => `      <category>${escapeXml(tag)}</category>\n`).join('')}      <description>${escapeXml(item.contentHtml)}</description>
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.siteUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>${items}
+  </channel>
+</rss>
+`;
+};
+
+const buildAtom = (feed) => {
+  const entries = feed.items.map(item => `
+  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link href="${escapeXml(item.url)}"/>
+    <id>${escapeXml(item.id)}</id>
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>
+    <author><name>${escapeXml(item.author)}</name></author>
+${item.tags.map(tag => `    <category term="${escapeXml(tag)}"/>\n`).join('')}    <summary>${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(item.contentHtml)}</content>
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link href="${escapeXml(feed.siteUrl)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>
+  <id>${escapeXml(feed.feedUrl)}</id>
+  <updated>${feed.updated.toISOString()}</updated>${entries}
+</feed>
+`;
+};
+
+const buildJsonFeed = (feed) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  description: feed.description,
+  home_page_url: feed.siteUrl,
+  feed_url: feed.feedUrl,
+  items: feed.items.map(item => ({
+    id: item.id,
+    url: item.url,
+    title: item.title,
+    summary: item.summary,
+    content_html: item.contentHtml,
+    date_published: item.published.toISOString(),
+    date_modified: item.updated.toISOString(),
+    authors: [{ name: item.author }],
+    tags: item.tags
+  }))
+}, null, 2);
+
+// File name -> serializer and content type
+const FORMATS = {
+  'feed.xml': { build: buildRss, type: 'application/rss+xml; charset=utf-8' },
+  'atom.xml': { build: buildAtom, type: 'application/atom+xml; charset=utf-8' },
+  'feed.json': { build: buildJsonFeed, type: 'application/feed+json; charset=utf-8' }
+};
+
+module.exports = { FORMATS, escapeXml, buildRss, buildAtom, buildJsonFeed };
@@ -0,0 +1,28 @@
+const yaml = require('js-yaml');
+
+// Markdown files with a YAML header, as used by Jekyll, Hugo and most
+// static site generators:
+//
+//   ---
+//   title: Hello
+//   tags: [node, express]
+//   ---
+//   Body in Markdown
+const FRONT_MATTER = /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+// { data, body } where data is {} for files without front-matter. Invalid
+// YAML throws.
+const parseFrontMatter = (text) => {
+  const match = FRONT_MATTER.exec(text);
+  if (!match) {
+    return { data: {}, body: text };
+  }
+
+  const data = yaml.load(match[1] || '') || {};
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Front-matter must be a set of key: value pairs');
+  }
+  return { data, body: text.slice(match[0].length) };
+};
+
+module.exports = { parseFrontMatter };
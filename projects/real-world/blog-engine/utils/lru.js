@@ -0,0 +1,64 @@
+// Least-recently-used cache bounded by entry count and total size, with an
+// optional time to live. A Map keeps keys in insertion order, so re-adding
+// a key on every read leaves the least recently used one first.
+class LruCache {
+  constructor({ maxEntries = 500, maxBytes = Infinity, ttlMs = 0, onRemove = null } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.ttlMs = ttlMs;
+    this.onRemove = onRemove;
+    this.entries = new Map();
+    this.bytes = 0;
+    this.evictions = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (this.ttlMs && Date.now() - entry.storedAt > this.ttlMs) {
+      this.delete(key, 'expired');
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  // `size` is the value's cost in bytes. Values bigger than the whole cache
+  // are not stored.
+  set(key, value, size = 0) {
+    this.delete(key, 'replaced');
+    if (size > this.maxBytes) return false;
+
+    this.entries.set(key, { value, size, storedAt: Date.now() });
+    this.bytes += size;
+
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this.delete(this.entries.keys().next().value, 'evicted');
+      this.evictions++;
+    }
+    return true;
+  }
+
+  delete(key, reason = 'deleted') {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    if (this.onRemove) this.onRemove(key, entry.value, reason);
+    return true;
+  }
+
+  clear() {
+    [...this.entries.keys()].forEach(key => this.delete(key, 'cleared'));
+  }
+}
+
+module.exports = LruCache;
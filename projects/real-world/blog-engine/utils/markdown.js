@@ -0,0 +1,68 @@
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+// Everything marked can produce for headings, code, tables, links and
+// images. Anything not listed here - <script>, <iframe>, on* handlers,
+// style attributes - is stripped.
+const sanitizeOptions = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat([
+    'img', 'h1', 'h2', 'del', 'input'
+  ]),
+  allowedAttributes: {
+    a: ['href', 'title', 'target', 'rel'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    th: ['align'],
+    td: ['align'],
+    ol: ['start'],
+    input: ['type', 'checked', 'disabled']
+  },
+  allowedClasses: {
+    code: ['language-*']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: {
+    img: ['http', 'https']
+  },
+  // Only task-list checkboxes survive, and only as read-only
+  exclusiveFilter: (frame) => frame.tag === 'input' && frame.attribs.type !== 'checkbox',
+  transformTags: {
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: attribs.target ? { ...attribs, rel: 'noopener noreferrer' } : attribs
+    }),
+    input: (tagName, attribs) => ({
+      tagName,
+      attribs: { ...attribs, disabled: '' }
+    })
+  }
+};
+
+const renderMarkdown = (markdown) => sanitizeHtml(marked.parse(markdown || '', { gfm: true }), sanitizeOptions);
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(code))
+  .replace(/&amp;/g, '&');
+
+const toPlainText = (html) => decodeEntities(sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} }))
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Plain-text summary built from the post's paragraphs (headings and code
+// blocks are skipped), cut at a word boundary.
+const createExcerpt = (markdown, length = 200) => {
+  const paragraphs = marked.lexer(markdown || '')
+    .filter(token => token.type === 'paragraph')
+    .map(token => toPlainText(marked.parseInline(token.text)));
+
+  const text = paragraphs.join(' ').trim() || toPlainText(marked.parse(markdown || ''));
+  if (text.length <= length) return text;
+
+  const cut = text.slice(0, length);
+  const lastSpace = cut.lastIndexOf(' ');
+  return (lastSpace > length / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:!?-]+$/, '') + '…';
+};
+
+module.exports = { renderMarkdown, createExcerpt, sanitizeOptions };
@@ -0,0 +1,314 @@
+const ApiToken = require('../models/ApiToken');
+const { DEFAULT_LIMIT, MAX_LIMIT } = require('./pagination');
+const { ROLES } = require('./permissions');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// `{ success: true, data: <schema> }` envelope used by every endpoint
+const success = (description, data) => ({
+  description,
+  content: {
+    'application/json': {
+      schema: {
+        type: 'object',
+        properties: { success: { type: 'boolean', example: true }, data }
+      }
+    }
+  }
+});
+
+const failure = (description) => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } }
+});
+
+// One page of a list endpoint, with the cursor for the next page
+const page = (description, items) => ({
+  description,
+  headers: {
+    Link: { schema: { type: 'string' }, description: 'RFC 8288 links with rel="first" and rel="next"' }
+  },
+  content: {
+    'application/json': {
+      schema: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean', example: true },
+          data: { type: 'array', items },
+          pagination: ref('Pagination')
+        }
+      }
+    }
+  }
+});
+
+// limit/cursor/sort/fields/include query parameters shared by list endpoints
+const listParams = ({ sortable, includes }) => [
+  {
+    name: 'limit',
+    in: 'query',
+    schema: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT }
+  },
+  {
+    name: 'cursor',
+    in: 'query',
+    schema: { type: 'string' },
+    description: '`next_cursor` from the previous page'
+  },
+  {
+    name: 'sort',
+    in: 'query',
+    schema: { type: 'string', enum: sortable.flatMap(field => [field, `-${field}`]), default: '-created_at' },
+    description: 'Prefix with - for descending'
+  },
+  {
+    name: 'fields',
+    in: 'query',
+    schema: { type: 'string' },
+    description: 'Comma-separated fields to return'
+  },
+  {
+    name: 'include',
+    in: 'query',
+    schema: { type: 'string' },
+    description: `Comma-separated expansions: ${includes.join(', ')}`
+  }
+];
+
+const idParam = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  schema: { type: 'integer' }
+};
+
+// Operation needing a bearer token (or session) with the given scope
+const secured = (scope, operation) => ({
+  ...operation,
+  description: `${operation.description || ''} Requires the \`${scope}\` scope.`.trim(),
+  security: [{ bearerAuth: [] }, { cookieAuth: [] }],
+  'x-required-scope': scope,
+  responses: {
+    ...operation.responses,
+    401: failure('Missing, invalid or revoked token'),
+    403: failure("Token lacks the required scope, or the user's role does not allow this")
+  }
+});
+
+const buildOpenApiSpec = ({ serverUrl }) => ({
+  openapi: '3.0.3',
+  info: {
+    title: 'Blog Engine API',
+    version: '1.0.0',
+    description: 'Create personal API tokens on the account settings page and send them as ' +
+      '`Authorization: Bearer <token>`. Token scopes: ' + ApiToken.SCOPES.join(', ') + '.'
+  },
+  servers: [{ url: serverUrl }],
+  paths: {
+    '/posts': {
+      get: {
+        summary: 'List published posts',
+        parameters: [
+          { name: 'tag', in: 'query', schema: { type: 'string' }, description: 'Tag slug' },
+          { name: 'category', in: 'query', schema: { type: 'string' }, description: 'Category slug' },
+          ...listParams({ sortable: ['created_at', 'updated_at', 'views'], includes: ['comments', 'author'] })
+        ],
+        responses: {
+          200: page('A page of published posts', ref('Post')),
+          400: failure('Invalid limit, cursor, sort, fields or include')
+        }
+      },
+      post: secured('posts:write', {
+        summary: 'Create a post',
+        description: 'Contributors may only create drafts.',
+        requestBody: { required: true, content: { 'application/json': { schema: ref('PostInput') } } },
+        responses: {
+          201: success('The created post', ref('Post')),
+          400: failure('Validation error')
+        }
+      })
+    },
+    '/posts/{id}': {
+      parameters: [idParam],
+      get: {
+        summary: 'Get a post with its tags and approved comments',
+        description: 'Unpublished posts are returned only to their author or an admin; tokens need the `read` scope.',
+        responses: {
+          200: success('The post', {
+            allOf: [ref('Post'), {
+              type: 'object',
+              properties: {
+                tags: { type: 'array', items: ref('Tag') },
+                comments: { type: 'array', items: ref('Comment') }
+              }
+            }]
+          }),
+          404: failure('Post not found')
+        }
+      },
+      put: secured('posts:write', {
+        summary: 'Update a post',
+        description: 'Authors may update their own posts; editors and admins may update any post. ' +
+          'Contributors may only edit their own drafts, and only as drafts.',
+        requestBody: { required: true, content: { 'application/json': { schema: ref('PostInput') } } },
+        responses: {
+          200: success('The updated post', ref('Post')),
+          400: failure('Validation error'),
+          404: failure('Post not found')
+        }
+      }),
+      delete: secured('posts:write', {
+        summary: 'Delete a post',
+        description: 'Authors may delete their own posts; editors and admins may delete any post.',
+        responses: {
+          200: {
+            description: 'Post deleted',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: { success: { type: 'boolean' }, message: { type: 'string' } }
+                }
+              }
+            }
+          },
+          404: failure('Post not found')
+        }
+      })
+    },
+    '/posts/{id}/comments': {
+      parameters: [idParam],
+      get: {
+        summary: 'List approved comments on a post',
+        parameters: listParams({ sortable: ['created_at'], includes: ['author'] }),
+        responses: {
+          200: page('A page of approved comments', ref('Comment')),
+          400: failure('Invalid limit, cursor, sort, fields or include'),
+          404: failure('Post not found')
+        }
+      },
+      post: secured('comments:write', {
+        summary: 'Comment on a post',
+        description: 'New comments may be held for moderation; check `status` in the response.',
+        requestBody: { required: true, content: { 'application/json': { schema: ref('CommentInput') } } },
+        responses: {
+          201: success('The created comment', ref('Comment')),
+          400: failure('Validation error'),
+          404: failure('Post not found')
+        }
+      })
+    },
+    '/openapi.json': {
+      get: {
+        summary: 'This document',
+        responses: { 200: { description: 'OpenAPI 3 document' } }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'Personal API token' },
+      cookieAuth: { type: 'apiKey', in: 'cookie', name: 'connect.sid', description: 'Browser session' }
+    },
+    schemas: {
+      Post: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          title: { type: 'string' },
+          slug: { type: 'string' },
+          content: { type: 'string', description: 'Markdown source' },
+          excerpt: { type: 'string' },
+          author_id: { type: 'integer' },
+          author_name: { type: 'string' },
+          author_display_name: { type: 'string', nullable: true },
+          status: { type: 'string', enum: Post.STATUSES },
+          publish_at: { type: 'string', nullable: true, description: 'UTC, YYYY-MM-DD HH:MM:SS' },
+          views: { type: 'integer' },
+          category_id: { type: 'integer', nullable: true },
+          category_name: { type: 'string', nullable: true },
+          category_slug: { type: 'string', nullable: true },
+          created_at: { type: 'string' },
+          updated_at: { type: 'string' },
+          author: ref('Author'),
+          comments: { type: 'array', items: ref('Comment'), description: 'Only with ?include=comments' }
+        }
+      },
+      PostInput: {
+        type: 'object',
+        required: ['title', 'content'],
+        properties: {
+          title: { type: 'string' },
+          content: { type: 'string' },
+          excerpt: { type: 'string', description: 'Generated from the content when blank' },
+          status: { type: 'string', enum: Post.STATUSES },
+          publish_at: { type: 'string', description: 'Required when status is scheduled' },
+          category: { type: 'string' },
+          tags: {
+            oneOf: [{ type: 'array', items: { type: 'string' } }, { type: 'string' }],
+            description: 'Array of names or a comma-separated string'
+          }
+        }
+      },
+      Tag: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          name: { type: 'string' },
+          slug: { type: 'string' }
+        }
+      },
+      Comment: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          post_id: { type: 'integer' },
+          user_id: { type: 'integer' },
+          parent_id: { type: 'integer', nullable: true },
+          username: { type: 'string' },
+          content: { type: 'string' },
+          status: { type: 'string', enum: Comment.STATUSES },
+          created_at: { type: 'string' },
+          author: ref('Author')
+        }
+      },
+      CommentInput: {
+        type: 'object',
+        required: ['content'],
+        properties: {
+          content: { type: 'string' },
+          parent_id: { type: 'integer', description: 'Comment being replied to' }
+        }
+      },
+      Author: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          username: { type: 'string' },
+          display_name: { type: 'string', nullable: true },
+          role: { type: 'string', enum: ROLES },
+          created_at: { type: 'string' }
+        }
+      },
+      Pagination: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer' },
+          sort: { type: 'string', example: '-created_at' },
+          next_cursor: { type: 'string', nullable: true, description: 'null on the last page' }
+        }
+      },
+      Error: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean', example: false },
+          error: { type: 'string' }
+        }
+      }
+    }
+  }
+});
+
+module.exports = { buildOpenApiSpec };
@@ -0,0 +1,127 @@
+const { siteUrl } = require('./url');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const list = (value) => String(value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Cursors are opaque to clients: base64url JSON holding the sort value and
+// id of the last item on the previous page.
+const encodeCursor = (item, sortField) => Buffer
+  .from(JSON.stringify({ v: item[sortField], id: item.id }))
+  .toString('base64url');
+
+// Sort values are dates (strings) or counts; anything else can't be bound
+// in a query
+const isSortValue = (v) => typeof v === 'string' || Number.isFinite(v);
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Number.isInteger(id) || !isSortValue(v)) return null;
+    return { value: v, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Parse limit/cursor/sort/fields/include from a list request.
+//   config.sortable  - fields allowed in ?sort= (prefix with - for descending)
+//   config.fields    - fields allowed in ?fields=, and all that is returned
+//                      when it is absent
+//   config.includes  - expansions allowed in ?include=
+// Returns { options } on success or { error } with a message for a 400.
+const parseListQuery = (query, config) => {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+  }
+
+  const sortParam = query.sort || config.defaultSort;
+  const direction = sortParam.startsWith('-') ? 'desc' : 'asc';
+  const sort = sortParam.replace(/^-/, '');
+  if (!config.sortable.includes(sort)) {
+    return { error: `sort must be one of: ${config.sortable.join(', ')} (prefix with - for descending)` };
+  }
+
+  let after = null;
+  if (query.cursor) {
+    after = decodeCursor(query.cursor);
+    if (!after) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  const requested = list(query.fields);
+  const unknownFields = requested.filter(field => !config.fields.includes(field));
+  if (unknownFields.length > 0) {
+    return { error: `Unknown fields: ${unknownFields.join(', ')}` };
+  }
+
+  const include = list(query.include);
+  const unknownIncludes = include.filter(name => !config.includes.includes(name));
+  if (unknownIncludes.length > 0) {
+    return { error: `include must be one of: ${config.includes.join(', ')}` };
+  }
+
+  const fields = requested.length > 0 ? requested : config.fields;
+
+  return { options: { limit, sort, direction, after, fields, include } };
+};
+
+// Trim a page fetched with limit + 1 rows and work out the next cursor
+const paginate = (rows, options) => {
+  const hasMore = rows.length > options.limit;
+  const items = hasMore ? rows.slice(0, options.limit) : rows;
+  const nextCursor = hasMore ? encodeCursor(items[items.length - 1], options.sort) : null;
+  return { items, nextCursor };
+};
+
+// Keep only the requested fields (plus any included expansions)
+const selectFields = (item, options) => {
+  const keep = options.fields.concat(options.include);
+  return Object.fromEntries(Object.entries(item).filter(([key]) => keep.includes(key)));
+};
+
+// RFC 8288 Link header with "first" and, when there is one, "next" pages
+const linkHeader = (req, nextCursor) => {
+  const base = `${siteUrl(req)}${req.baseUrl}${req.path}`;
+  const pageUrl = (cursor) => {
+    const params = new URLSearchParams(req.query);
+    params.delete('cursor');
+    if (cursor) params.set('cursor', cursor);
+    const qs = params.toString();
+    return qs ? `${base}?${qs}` : base;
+  };
+
+  const links = [`<${pageUrl(null)}>; rel="first"`];
+  if (nextCursor) {
+    links.push(`<${pageUrl(nextCursor)}>; rel="next"`);
+  }
+  return links.join(', ');
+};
+
+// SQL for "rows after the cursor" in the given sort order. The id breaks
+// ties so rows sharing a sort value are neither skipped nor repeated.
+const keysetCondition = (column, idColumn, options) => {
+  const op = options.direction === 'desc' ? '<' : '>';
+  return {
+    sql: `(${column} ${op} ? OR (${column} = ? AND ${idColumn} ${op} ?))`,
+    params: [options.after.value, options.after.value, options.after.id]
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  parseListQuery,
+  paginate,
+  selectFields,
+  linkHeader,
+  keysetCondition
+};
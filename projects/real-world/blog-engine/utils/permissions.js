@@ -0,0 +1,56 @@
+// Roles from most to least privileged
+const ROLES = ['admin', 'editor', 'author', 'contributor'];
+
+// Role given to new registrations
+const DEFAULT_ROLE = 'author';
+
+// What each role may do regardless of who owns the post
+const CAPABILITIES = {
+  admin: [
+    'create-post', 'publish-post', 'edit-any-post', 'delete-any-post',
+    'upload-media', 'manage-media', 'moderate-comments', 'access-admin', 'manage-users',
+    'manage-webhooks'
+  ],
+  editor: [
+    'create-post', 'publish-post', 'edit-any-post', 'delete-any-post',
+    'upload-media', 'manage-media', 'moderate-comments', 'access-admin'
+  ],
+  author: ['create-post', 'publish-post', 'upload-media'],
+  contributor: ['create-post', 'upload-media']
+};
+
+// Accounts created before roles existed have the role "user"
+const LEGACY_ROLES = { user: 'author' };
+
+const roleOf = (user) => LEGACY_ROLES[user.role] || user.role;
+
+const hasCapability = (user, capability) =>
+  Boolean(user) && (CAPABILITIES[roleOf(user)] || []).includes(capability);
+
+// Authors manage their own posts; contributors only while they are drafts,
+// so a post stays as an editor published it
+const ownsEditable = (user, post) =>
+  Boolean(user) &&
+  post.author_id === user.id &&
+  (hasCapability(user, 'publish-post') || post.status === 'draft');
+
+// Actions that depend on the resource as well as the role
+const RULES = {
+  'view-post': (user, post) =>
+    post.status === 'published' || post.status === 'archived' || RULES['edit-post'](user, post),
+  'edit-post': (user, post) => hasCapability(user, 'edit-any-post') || ownsEditable(user, post),
+  'delete-post': (user, post) => hasCapability(user, 'delete-any-post') || ownsEditable(user, post),
+  // Any status but draft puts a post in front of readers (now or later)
+  'set-status': (user, status) => status === 'draft' || hasCapability(user, 'publish-post')
+};
+
+// can(user, 'edit-post', post), can(user, 'set-status', 'published'),
+// can(user, 'moderate-comments'). `user` may be null for visitors.
+const can = (user, action, resource) => {
+  if (RULES[action]) {
+    return RULES[action](user, resource);
+  }
+  return hasCapability(user, action);
+};
+
+module.exports = { ROLES, DEFAULT_ROLE, CAPABILITIES, roleOf, can };
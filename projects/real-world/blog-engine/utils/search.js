@@ -0,0 +1,43 @@
+// Markers wrapped around matches by FTS5 highlight()/snippet(). Control
+// characters can't appear in post text, so they survive HTML escaping and
+// are swapped for <mark> tags afterwards.
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+// Build an FTS5 MATCH expression from what a visitor typed. Every term is
+// quoted so FTS5 operators in the input can't cause syntax errors:
+//   "exact phrase"  -> phrase query
+//   expr*           -> prefix query
+//   other words     -> all must match
+const buildMatchQuery = (input) => {
+  const parts = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(input || ''))) !== null) {
+    const phrase = match[1] !== undefined;
+    let term = phrase ? match[1] : match[2];
+    const prefix = !phrase && term.endsWith('*');
+
+    term = term.replace(/["*]/g, ' ').trim();
+    if (!/[\p{L}\p{N}]/u.test(term)) continue;
+
+    parts.push(`"${term}"${prefix ? '*' : ''}`);
+  }
+
+  return parts.join(' ');
+};
+
+const escapeHtml = (text) => String(text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Escape FTS5 highlighted text for HTML and turn match markers into <mark>
+const highlightHtml = (text) => escapeHtml(text)
+  .split(MATCH_START).join('<mark>')
+  .split(MATCH_END).join('</mark>');
+
+module.exports = { MATCH_START, MATCH_END, buildMatchQuery, escapeHtml, highlightHtml };
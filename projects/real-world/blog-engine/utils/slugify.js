@@ -0,0 +1,7 @@
+// Turn a title or name into a URL-safe slug, e.g. "Node.js Tips" -> "node-js-tips"
+const slugify = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/(^-|-$)/g, '');
+
+module.exports = slugify;
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// HMAC-SHA1, 6 digits, 30-second steps, base32-encoded secrets.
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of input.toUpperCase().replace(/[\s=-]/g, '')) {
+    const index = ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// 160-bit secret, the size RFC 4226 recommends for SHA-1
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const hotp = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, '0');
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// Check `token` against the steps within `window` of now. Returns the
+// matching step, or null. Steps at or before `lastStep` are refused so an
+// accepted code can't be replayed.
+const verifyTotp = (secret, token, { window = 1, lastStep = null, now = Date.now() } = {}) => {
+  const code = String(token).replace(/\s/g, '');
+  if (!/^\d{6}$/.test(code)) return null;
+
+  const step = currentStep(now);
+  for (let candidate = step - window; candidate <= step + window; candidate++) {
+    if (lastStep !== null && candidate <= lastStep) continue;
+    if (crypto.timingSafeEqual(Buffer.from(hotp(secret, candidate)), Buffer.from(code))) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+// Key URI understood by authenticator apps (and shown as a QR code by many)
+const otpauthUrl = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: STEP_SECONDS });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = { base32Encode, base32Decode, generateSecret, hotp, currentStep, verifyTotp, otpauthUrl };
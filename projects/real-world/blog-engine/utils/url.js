@@ -0,0 +1,20 @@
+// Absolute base URL of the site, without a trailing slash. SITE_URL wins so
+// links stay correct behind a proxy; otherwise it comes from the request,
+// or falls back to the local server for links built outside one.
+const siteUrl = (req) => {
+  const base = process.env.SITE_URL ||
+    (req ? `${req.protocol}://${req.get('host')}` : `http://localhost:${process.env.PORT || 3000}`);
+  return base.replace(/\/$/, '');
+};
+
+// Base URL for links sent out of band, such as in account emails. Never
+// taken from the request: its Host header is whatever the client sent, so
+// a reset link built from it could point at someone else's server.
+const publicSiteUrl = () => {
+  if (!process.env.SITE_URL) {
+    throw new Error('SITE_URL must be set to send emails with links to the site');
+  }
+  return process.env.SITE_URL.replace(/\/$/, '');
+};
+
+module.exports = { siteUrl, publicSiteUrl };
@@ -0,0 +1,178 @@
+const { XMLParser } = require('fast-xml-parser');
+const slugify = require('./slugify');
+const { toSqlDateTime } = require('./dates');
+
+// Reads a WordPress export (WXR, Tools > Export in wp-admin) into the
+// content bundle format of services/contentTransfer.js. Only posts are
+// imported; pages, attachments and menu items are listed as skipped.
+
+const POST_STATUSES = {
+  publish: 'published',
+  future: 'scheduled',
+  draft: 'draft',
+  pending: 'draft',
+  private: 'draft'
+};
+
+const COMMENT_STATUSES = {
+  1: 'approved',
+  0: 'pending',
+  spam: 'spam'
+};
+
+// Never used as this blog's category
+const DEFAULT_CATEGORY = 'uncategorized';
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  parseTagValue: false,
+  trimValues: false,
+  isArray: (name) => ['item', 'category', 'wp:author', 'wp:category', 'wp:tag', 'wp:comment'].includes(name)
+});
+
+// Element text whether or not it had attributes or CDATA sections
+const text = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return text(value['#text']);
+  return String(value).trim();
+};
+
+// Dates are "YYYY-MM-DD HH:MM:SS" in UTC (the _gmt fields) and in the
+// site's timezone. WordPress writes "0000-00-00 00:00:00" for dates it
+// never set.
+const wpDate = (gmt, local) => {
+  const value = [text(gmt), text(local)].find(date => date && !date.startsWith('0000'));
+  return value ? toSqlDateTime(value) : null;
+};
+
+// Post slugs are URL-encoded for non-ASCII titles
+const wpSlug = (value, title, id) => {
+  let slug = text(value);
+  try {
+    slug = decodeURIComponent(slug);
+  } catch (error) {
+    // keep it as it is
+  }
+  return slugify(slug) || slugify(title) || `post-${id}`;
+};
+
+// The block editor's <!-- wp:paragraph --> markers mean nothing here
+const cleanContent = (html) => text(html).replace(/<!--\s*\/?wp:[\s\S]*?-->\n?/g, '').trim();
+
+const parseWxr = (xml) => {
+  const document = parser.parse(xml);
+  const channel = document.rss && document.rss.channel;
+  if (!channel) {
+    throw new Error('Not a WordPress export: no <rss><channel> element');
+  }
+
+  const bundle = { users: [], categories: [], tags: [], posts: [], comments: [], skipped: [] };
+  const users = new Map();
+  const usernames = new Set();
+  const wpUserIds = new Map();
+
+  // One user per email address (or name, without one). Returns the
+  // username, made unique within the export.
+  const addUser = (user) => {
+    const key = (user.email || user.username).toLowerCase();
+    if (!users.has(key)) {
+      let username = user.username;
+      for (let n = 2; usernames.has(username.toLowerCase()); n++) {
+        username = `${user.username}-${n}`;
+      }
+      usernames.add(username.toLowerCase());
+      users.set(key, { ...user, username });
+      bundle.users.push(users.get(key));
+    }
+    return users.get(key).username;
+  };
+
+  (channel['wp:author'] || []).forEach(author => {
+    const username = addUser({
+      username: text(author['wp:author_login']),
+      email: text(author['wp:author_email']) || null
+    });
+    wpUserIds.set(text(author['wp:author_id']), username);
+  });
+
+  (channel['wp:category'] || []).forEach(category => {
+    if (text(category['wp:category_nicename']) === DEFAULT_CATEGORY) return;
+    bundle.categories.push({ name: text(category['wp:cat_name']), slug: text(category['wp:category_nicename']) });
+  });
+
+  (channel['wp:tag'] || []).forEach(tag => {
+    bundle.tags.push({ name: text(tag['wp:tag_name']), slug: text(tag['wp:tag_slug']) });
+  });
+
+  (channel.item || []).forEach(item => {
+    const id = text(item['wp:post_id']);
+    const title = text(item.title) || '(untitled)';
+    const type = text(item['wp:post_type']);
+    const wpStatus = text(item['wp:status']);
+    const source = `WordPress ${type || 'item'} ${id}`;
+
+    if (type !== 'post') {
+      bundle.skipped.push({ source, title, reason: `${type || 'unknown'} items are not imported` });
+      return;
+    }
+    if (!POST_STATUSES[wpStatus]) {
+      bundle.skipped.push({ source, title, reason: `status "${wpStatus}" is not imported` });
+      return;
+    }
+
+    const terms = item.category || [];
+    const termNames = (domain) => terms.filter(term => term.domain === domain).map(text);
+    const category = terms.find(term => term.domain === 'category' && term.nicename !== DEFAULT_CATEGORY);
+
+    const slug = wpSlug(item['wp:post_name'], title, id);
+    const createdAt = wpDate(item['wp:post_date_gmt'], item['wp:post_date']);
+    const status = POST_STATUSES[wpStatus];
+
+    bundle.posts.push({
+      id,
+      source,
+      slug,
+      title,
+      content: cleanContent(item['content:encoded']),
+      excerpt: text(item['excerpt:encoded']) || null,
+      status,
+      author: text(item['dc:creator']) || null,
+      category: category ? text(category) : null,
+      tags: termNames('post_tag'),
+      publish_at: status === 'scheduled' ? createdAt : null,
+      created_at: createdAt,
+      updated_at: wpDate(item['wp:post_modified_gmt'], item['wp:post_modified']) || createdAt
+    });
+
+    (item['wp:comment'] || []).forEach(comment => {
+      const type = text(comment['wp:comment_type']);
+      const status = COMMENT_STATUSES[text(comment['wp:comment_approved'])];
+      if ((type && type !== 'comment') || !status) return;
+
+      // Registered WordPress users keep their account; everyone else
+      // becomes a user identified by email (or name when there is none)
+      const name = text(comment['wp:comment_author']) || 'Anonymous';
+      const author = wpUserIds.get(text(comment['wp:comment_user_id'])) || addUser({
+        username: name,
+        email: text(comment['wp:comment_author_email']) || null,
+        role: 'contributor'
+      });
+
+      const parent = text(comment['wp:comment_parent']);
+      bundle.comments.push({
+        id: `${id}:${text(comment['wp:comment_id'])}`,
+        parent: parent && parent !== '0' ? `${id}:${parent}` : null,
+        post: id,
+        author,
+        content: text(comment['wp:comment_content']),
+        status,
+        created_at: wpDate(comment['wp:comment_date_gmt'], comment['wp:comment_date'])
+      });
+    });
+  });
+
+  return bundle;
+};
+
+module.exports = { parseWxr };
@@ -0,0 +1,98 @@
+const { db } = require('../server/database');
+
+class Conversation {
+  // Two-person conversations are unique per pair of users
+  static directKey(userIdA, userIdB) {
+    return [userIdA, userIdB].sort((a, b) => a - b).join(':');
+  }
+
+  static findOrCreateDirect(userIdA, userIdB) {
+    const key = Conversation.directKey(userIdA, userIdB);
+    const existing = db.prepare('SELECT * FROM conversations WHERE direct_key = ?').get(key);
+    if (existing) return existing;
+
+    const create = db.transaction(() => {
+      const result = db.prepare('INSERT INTO conversations (direct_key) VALUES (?)').run(key);
+      const addParticipant = db.prepare(`
+        INSERT INTO conversation_participants (conversation_id, user_id)
+        VALUES (?, ?)
+      `);
+      addParticipant.run(result.lastInsertRowid, userIdA);
+      addParticipant.run(result.lastInsertRowid, userIdB);
+      return result.lastInsertRowid;
+    });
+    return Conversation.findById(create());
+  }
+
+  static findById(id) {
+    const stmt = db.prepare('SELECT * FROM conversations WHERE id = ?');
+    return stmt.get(id);
+  }
+
+  static isParticipant(conversationId, userId) {
+    const stmt = db.prepare(`
+      SELECT 1 FROM conversation_participants
+      WHERE conversation_id = ? AND user_id = ?
+    `);
+    return Boolean(stmt.get(conversationId, userId));
+  }
+
+  // Everyone in the conversation except `userId`
+  static getOtherParticipants(conversationId, userId) {
+    const stmt = db.prepare(`
+      SELECT u.id, u.username
+      FROM conversation_participants cp
+      JOIN users u ON u.id = cp.user_id
+      WHERE cp.conversation_id = ? AND cp.user_id != ?
+      ORDER BY u.username
+    `);
+    return stmt.all(conversationId, userId);
+  }
+
+  // The user's inbox: most recently active first, with the other
+  // participant, the latest message and how many messages they haven't read
+  static getForUser(userId) {
+    const stmt = db.prepare(`
+      SELECT c.id, c.created_at, c.last_message_at,
+        (SELECT GROUP_CONCAT(u.username, ', ')
+         FROM conversation_participants other
+         JOIN users u ON u.id = other.user_id
+         WHERE other.conversation_id = c.id AND other.user_id != me.user_id) AS with_username,
+        (SELECT dm.message FROM direct_messages dm
+         WHERE dm.conversation_id = c.id
+         ORDER BY dm.id DESC LIMIT 1) AS last_message,
+        (SELECT COUNT(*) FROM direct_messages dm
+         WHERE dm.conversation_id = c.id
+           AND dm.id > me.last_read_message_id
+           AND dm.sender_id != me.user_id) AS unread_count
+      FROM conversation_participants me
+      JOIN conversations c ON c.id = me.conversation_id
+      WHERE me.user_id = ?
+      ORDER BY COALESCE(c.last_message_at, c.created_at) DESC
+    `);
+    return stmt.all(userId);
+  }
+
+  // Mark everything up to `messageId` (default: the latest message) read
+  static markRead(conversationId, userId, messageId = null) {
+    const stmt = db.prepare(`
+      UPDATE conversation_participants
+      SET last_read_message_id = MAX(last_read_message_id, COALESCE(?, (
+        SELECT COALESCE(MAX(id), 0) FROM direct_messages WHERE conversation_id = ?
+      )))
+      WHERE conversation_id = ? AND user_id = ?
+    `);
+    return stmt.run(messageId, conversationId, conversationId, userId);
+  }
+
+  static touch(id) {
+    const stmt = db.prepare(`
+      UPDATE conversations
+      SET last_message_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+    return stmt.run(id);
+  }
+}
+
+module.exports = Conversation;
@@ -0,0 +1,66 @@
+const { db } = require('../server/database');
+const Conversation = require('./Conversation');
+
+const SELECT_WITH_SENDER = `
+  SELECT dm.*, u.username
+  FROM direct_messages dm
+  JOIN users u ON u.id = dm.sender_id
+`;
+
+class DirectMessage {
+  static create(messageData) {
+    const stmt = db.prepare(`
+      INSERT INTO direct_messages (conversation_id, sender_id, message)
+      VALUES (?, ?, ?)
+    `);
+    const result = stmt.run(
+      messageData.conversation_id,
+      messageData.sender_id,
+      messageData.message
+    );
+    Conversation.touch(messageData.conversation_id);
+    // Senders have read their own messages
+    Conversation.markRead(messageData.conversation_id, messageData.sender_id, result.lastInsertRowid);
+    return result.lastInsertRowid;
+  }
+
+  static findById(id) {
+    const stmt = db.prepare(`${SELECT_WITH_SENDER} WHERE dm.id = ?`);
+    return stmt.get(id);
+  }
+
+  // A page of history, oldest first. Pass the id of the oldest message
+  // already shown as `before` to get the page preceding it.
+  static getByConversation(conversationId, { before = null, limit = 30 } = {}) {
+    const stmt = db.prepare(`
+      ${SELECT_WITH_SENDER}
+      WHERE dm.conversation_id = ? AND (? IS NULL OR dm.id < ?)
+      ORDER BY dm.id DESC
+      LIMIT ?
+    `);
+    return stmt.all(conversationId, before, before, limit).reverse();
+  }
+
+  // Messages sent to `userId` that haven't been pushed to them yet
+  static getUndelivered(userId) {
+    const stmt = db.prepare(`
+      ${SELECT_WITH_SENDER}
+      JOIN conversation_participants cp
+        ON cp.conversation_id = dm.conversation_id AND cp.user_id = ?
+      WHERE dm.sender_id != ? AND dm.delivered_at IS NULL
+      ORDER BY dm.id
+    `);
+    return stmt.all(userId, userId);
+  }
+
+  static markDelivered(ids) {
+    const stmt = db.prepare(`
+      UPDATE direct_messages
+      SET delivered_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND delivered_at IS NULL
+    `);
+    db.transaction(() => ids.forEach(id => stmt.run(id)))();
+  }
+}
+
+module.exports = DirectMessage;
@@ -1,34 +1,172 @@
-const { db } = require('../database');
+const { db } = require('../server/database');
+
+// Messages with how many (undeleted) replies their thread has
+const SELECT_WITH_REPLIES = `
+  SELECT m.*,
+    (SELECT COUNT(*) FROM messages r
+     WHERE r.parent_id = m.id AND r.deleted_at IS NULL) AS reply_count
+  FROM messages m
+`;
+
+// "deploy fail" -> '"deploy"* "fail"*': every word must appear, as a word
+// or the start of one. Anything but letters and digits is dropped, so user
+// input can't use (or break) the FTS5 query syntax.
+const toFtsQuery = (text) => (String(text || '').match(/[\p{L}\p{N}_]+/gu) || [])
+  .slice(0, 10)
+  .map(term => `"${term}"*`)
+  .join(' ');
 
 class Message {
   static create(messageData) {
     const stmt = db.prepare(`
-      INSERT INTO messages (room, user_id, username, message, type)
-      VALUES (?, ?, ?, ?, ?)
+      INSERT INTO messages (room, user_id, username, message, type, parent_id)
+      VALUES (?, ?, ?, ?, ?, ?)
     `);
     const result = stmt.run(
       messageData.room,
       messageData.user_id,
       messageData.username,
       messageData.message,
-      messageData.type || 'message'
+      messageData.type || 'message',
+      messageData.parent_id || null
     );
     return result.lastInsertRowid;
   }
 
+  // Messages come back with their reactions, so everyone who loads one
+  // sees the same state
   static findById(id) {
-    const stmt = db.prepare('SELECT * FROM messages WHERE id = ?');
-    return stmt.get(id);
+    const stmt = db.prepare(`${SELECT_WITH_REPLIES} WHERE m.id = ?`);
+    const message = stmt.get(id);
+    return message && Message.withReactions([message])[0];
   }
 
+  // The latest messages in the room's own timeline; replies only show in
+  // their thread
   static getByRoom(room, limit = 50) {
+    return Message.getRoomPage(room, { limit });
+  }
+
+  // A page of the room's timeline, oldest first, next to a message id: the
+  // messages `before` it (or the latest ones without a cursor), or the
+  // messages `after` it
+  static getRoomPage(room, { before = null, after = null, limit = 50 } = {}) {
+    if (after) {
+      const stmt = db.prepare(`
+        ${SELECT_WITH_REPLIES}
+        WHERE m.room = ? AND m.parent_id IS NULL AND m.id > ?
+        ORDER BY m.id
+        LIMIT ?
+      `);
+      return Message.withReactions(stmt.all(room, after, limit));
+    }
+
+    const stmt = db.prepare(`
+      ${SELECT_WITH_REPLIES}
+      WHERE m.room = ? AND m.parent_id IS NULL AND (? IS NULL OR m.id < ?)
+      ORDER BY m.id DESC
+      LIMIT ?
+    `);
+    return Message.withReactions(stmt.all(room, before, before, limit).reverse());
+  }
+
+  // Ranked full-text search of room messages. `snippet` is the matching
+  // part of the message with each match between \u0002 and \u0003.
+  // Every room is open to everyone, so every room's messages are searched.
+  static search(text, limit = 20) {
+    const query = toFtsQuery(text);
+    if (!query) return [];
+
+    const stmt = db.prepare(`
+      SELECT m.id, m.room, m.username, m.created_at, m.parent_id,
+        snippet(messages_fts, 0, char(2), char(3), '…', 16) AS snippet
+      FROM messages_fts
+      JOIN messages m ON m.id = messages_fts.rowid
+      WHERE messages_fts MATCH ?
+        AND m.deleted_at IS NULL
+        AND m.room IN (SELECT name FROM rooms)
+      ORDER BY bm25(messages_fts), m.id DESC
+      LIMIT ?
+    `);
+    return stmt.all(query, limit);
+  }
+
+  // A page of replies to `parentId`, oldest first. Pass the id of the
+  // oldest reply already shown as `before` to get the page preceding it.
+  static getThread(parentId, { before = null, limit = 30 } = {}) {
     const stmt = db.prepare(`
-      SELECT * FROM messages 
-      WHERE room = ? 
-      ORDER BY created_at DESC 
+      ${SELECT_WITH_REPLIES}
+      WHERE m.parent_id = ? AND (? IS NULL OR m.id < ?)
+      ORDER BY m.id DESC
       LIMIT ?
     `);
-    return stmt.all(room, limit).reverse();
+    return Message.withReactions(stmt.all(parentId, before, before, limit).reverse());
+  }
+
+  static update(id, message) {
+    const stmt = db.prepare(`
+      UPDATE messages
+      SET message = ?, edited_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND deleted_at IS NULL
+    `);
+    return stmt.run(message, id);
+  }
+
+  // Deleted messages stay as tombstones, without their text or reactions,
+  // so the conversation around them still makes sense
+  static softDelete(id) {
+    return db.transaction(() => {
+      db.prepare('DELETE FROM message_reactions WHERE message_id = ?').run(id);
+      return db.prepare(`
+        UPDATE messages
+        SET message = '', deleted_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND deleted_at IS NULL
+      `).run(id);
+    })();
+  }
+
+  // Add the user's reaction, or take it back if they already reacted with
+  // that emoji. Returns true when the reaction was added.
+  static toggleReaction(messageId, userId, emoji) {
+    const removed = db.prepare(`
+      DELETE FROM message_reactions
+      WHERE message_id = ? AND user_id = ? AND emoji = ?
+    `).run(messageId, userId, emoji);
+    if (removed.changes > 0) return false;
+
+    db.prepare(`
+      INSERT INTO message_reactions (message_id, user_id, emoji)
+      VALUES (?, ?, ?)
+    `).run(messageId, userId, emoji);
+    return true;
+  }
+
+  // [{ emoji, count, users }] per message, in the order each emoji was
+  // first used
+  static getReactions(messageId) {
+    return Message.withReactions([{ id: messageId }])[0].reactions;
+  }
+
+  static withReactions(messages) {
+    if (messages.length === 0) return messages;
+
+    const ids = messages.map(message => message.id);
+    const rows = db.prepare(`
+      SELECT r.message_id, r.emoji, COUNT(*) AS count,
+        GROUP_CONCAT(u.username, ',') AS users, MIN(r.rowid) AS first_used
+      FROM message_reactions r
+      JOIN users u ON u.id = r.user_id
+      WHERE r.message_id IN (${ids.map(() => '?').join(', ')})
+      GROUP BY r.message_id, r.emoji
+      ORDER BY first_used
+    `).all(...ids);
+
+    return messages.map(message => ({
+      ...message,
+      reactions: rows
+        .filter(row => row.message_id === message.id)
+        .map(row => ({ emoji: row.emoji, count: row.count, users: row.users.split(',') }))
+    }));
   }
 
   static getAll(limit = 100) {
@@ -45,4 +183,7 @@ class Message {
   }
 }
 
+// Emoji that can be used as reactions
+Message.REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🎉'];
+
 module.exports = Message;
@@ -3,13 +3,18 @@ const { db } = require('../server/database');
 class User {
   static create(userData) {
     const stmt = db.prepare(`
-      INSERT INTO users (username)
-      VALUES (?)
+      INSERT INTO users (username, password_hash)
+      VALUES (?, ?)
     `);
-    const result = stmt.run(userData.username);
+    const result = stmt.run(userData.username, userData.password_hash || null);
     return result.lastInsertRowid;
   }
 
+  static setPassword(id, passwordHash) {
+    const stmt = db.prepare('UPDATE users SET password_hash = ? WHERE id = ?');
+    return stmt.run(passwordHash, id);
+  }
+
   static findById(id) {
     const stmt = db.prepare('SELECT * FROM users WHERE id = ?');
     return stmt.get(id);
@@ -1,16 +1,25 @@
-// Socket.IO connection
-const socket = io();
+// Socket.IO connection, opened once the user has a session token
+const socket = io({ autoConnect: false });
+
+// Where the session ({ token, username }) is kept between visits
+const SESSION_KEY = 'chatSession';
 
 // DOM Elements
 const loginScreen = document.getElementById('login-screen');
 const chatScreen = document.getElementById('chat-screen');
 const loginForm = document.getElementById('login-form');
 const usernameInput = document.getElementById('username-input');
+const passwordInput = document.getElementById('password-input');
+const loginError = document.getElementById('login-error');
+const loginSubmit = document.getElementById('login-submit');
+const loginSwitchText = document.getElementById('login-switch-text');
+const loginSwitchLink = document.getElementById('login-switch-link');
 const messagesContainer = document.getElementById('messages-container');
 const messageInput = document.getElementById('message-input');
 const sendBtn = document.getElementById('send-btn');
 const roomsList = document.getElementById('rooms-list');
 const usersList = document.getElementById('users-list');
+const conversationsList = document.getElementById('conversations-list');
 const currentRoomElement = document.getElementById('current-room');
 const currentUserElement = document.getElementById('current-user');
 const userCountElement = document.getElementById('user-count');
@@ -22,43 +31,175 @@ const createRoomForm = document.getElementById('create-room-form');
 const closeModalBtn = document.querySelector('.close');
 const toggleSidebarBtn = document.getElementById('toggle-sidebar');
 const sidebar = document.querySelector('.sidebar');
+const threadPanel = document.getElementById('thread-panel');
+const threadParent = document.getElementById('thread-parent');
+const threadReplies = document.getElementById('thread-replies');
+const threadInput = document.getElementById('thread-input');
+const threadSendBtn = document.getElementById('thread-send-btn');
+const threadCloseBtn = document.getElementById('thread-close-btn');
+const searchForm = document.getElementById('search-form');
+const searchInput = document.getElementById('search-input');
+const searchResults = document.getElementById('search-results');
+
+// Emoji that can be used as reactions (the server's Message.REACTIONS)
+const REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🎉'];
 
 // State
 let currentUsername = '';
 let currentRoom = 'General';
+let registering = false;
 let typingTimeout = null;
+let currentConversation = null; // { id, with } while a direct message conversation is open
+let conversationHasMore = false;
+let loadingHistory = false;
+let roomHasMore = false; // older messages than those shown
+let roomHasNewer = false; // newer ones, after jumping back to a search result
+let pendingThreadFocus = null; // reply to highlight once its thread loads
+let currentThread = null; // id of the message whose thread is open
+let threadHasMore = false;
+let loadingThread = false;
 
-// Login
-loginForm.addEventListener('submit', (e) => {
+// Login and registration
+loginForm.addEventListener('submit', async (e) => {
   e.preventDefault();
-  const username = usernameInput.value.trim();
-  
-  if (username.length >= 3) {
-    currentUsername = username;
-    joinRoom(currentRoom);
-    loginScreen.classList.remove('active');
-    chatScreen.classList.add('active');
-    currentUserElement.textContent = currentUsername;
-    messageInput.disabled = false;
-    sendBtn.disabled = false;
-    
-    // Load rooms
-    socket.emit('get-rooms');
+  loginError.textContent = '';
+
+  try {
+    const response = await fetch(registering ? '/api/register' : '/api/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: usernameInput.value.trim(), password: passwordInput.value })
+    });
+    const data = await response.json();
+    if (!data.success) {
+      loginError.textContent = data.error;
+      return;
+    }
+
+    const session = { token: data.token, username: data.username };
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    passwordInput.value = '';
+    startSession(session);
+  } catch (error) {
+    loginError.textContent = 'Could not reach the server';
   }
 });
 
+loginSwitchLink.addEventListener('click', (e) => {
+  e.preventDefault();
+  registering = !registering;
+  loginSubmit.textContent = registering ? 'Create Account' : 'Log In';
+  loginSwitchText.textContent = registering ? 'Already have an account?' : 'No account yet?';
+  loginSwitchLink.textContent = registering ? 'Log in' : 'Create one';
+  passwordInput.autocomplete = registering ? 'new-password' : 'current-password';
+  loginError.textContent = '';
+});
+
+function startSession({ token, username }) {
+  currentUsername = username;
+  socket.auth = { token };
+  socket.connect();
+}
+
+// Also runs after reconnecting, when the server has forgotten which room
+// this socket was in
+socket.on('connect', () => {
+  loginScreen.classList.remove('active');
+  chatScreen.classList.add('active');
+  currentUserElement.textContent = currentUsername;
+  messageInput.disabled = false;
+  sendBtn.disabled = false;
+  joinRoom(currentRoom);
+
+  // Load rooms
+  socket.emit('get-rooms');
+});
+
+// The server turned the token down (it expired, or the secret changed)
+socket.on('connect_error', (error) => {
+  if (error.message !== 'Authentication required') return;
+
+  localStorage.removeItem(SESSION_KEY);
+  chatScreen.classList.remove('active');
+  loginScreen.classList.add('active');
+  loginError.textContent = 'Your session has ended. Please log in again.';
+});
+
+// Pick up the session from the last visit
+const savedSession = JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+if (savedSession) {
+  usernameInput.value = savedSession.username;
+  startSession(savedSession);
+}
+
 // Join room
-function joinRoom(room) {
+// `aroundMessageId` shows the part of the room around that message
+// instead of the latest messages
+function joinRoom(room, aroundMessageId = null) {
   currentRoom = room;
-  socket.emit('join-room', { username: currentUsername, room });
+  currentConversation = null;
+  closeThread();
+  socket.emit('join-room', { room, aroundMessageId });
   currentRoomElement.textContent = room;
   messagesContainer.innerHTML = '';
+  highlightConversation(null);
+  document.querySelectorAll('.room-item').forEach(r => r.classList.toggle('active', r.textContent === room));
+}
+
+// Open the thread of replies to a room message
+function openThread(messageId) {
+  currentThread = messageId;
+  threadHasMore = false;
+  loadingThread = false;
+  threadParent.innerHTML = '';
+  threadReplies.innerHTML = '';
+  threadPanel.classList.add('active');
+  socket.emit('get-thread', { messageId });
+  threadInput.focus();
+}
+
+function closeThread() {
+  currentThread = null;
+  threadPanel.classList.remove('active');
+}
+
+function sendReply() {
+  const message = threadInput.value.trim();
+
+  if (message && currentThread) {
+    socket.emit('chat-message', { message, parentId: currentThread });
+    threadInput.value = '';
+  }
+}
+
+threadSendBtn.addEventListener('click', sendReply);
+threadInput.addEventListener('keypress', (e) => {
+  if (e.key === 'Enter') {
+    sendReply();
+  }
+});
+threadCloseBtn.addEventListener('click', closeThread);
+
+// Open a direct message conversation: { conversationId } or { username }
+function openConversation(target) {
+  socket.emit('open-conversation', target);
+
+  // Close sidebar on mobile
+  if (window.innerWidth <= 768) {
+    sidebar.classList.remove('active');
+  }
 }
 
 // Send message
 function sendMessage() {
   const message = messageInput.value.trim();
   
+  if (message && currentConversation) {
+    socket.emit('private-message', { to: currentConversation.with[0], message });
+    messageInput.value = '';
+    return;
+  }
+
   if (message) {
     // Check for private message format: @username message
     if (message.startsWith('@')) {
@@ -85,8 +226,10 @@ messageInput.addEventListener('keypress', (e) => {
   }
 });
 
-// Typing indicator
+// Typing indicator (rooms only)
 messageInput.addEventListener('input', () => {
+  if (currentConversation) return;
+
   socket.emit('typing', { isTyping: true });
   
   clearTimeout(typingTimeout);
@@ -96,8 +239,11 @@ messageInput.addEventListener('input', () => {
 });
 
 // Socket events
-socket.on('room-joined', ({ room, users, messages }) => {
+socket.on('room-joined', ({ room, users, messages, hasMore, hasNewer, focusMessageId, threadId }) => {
   messagesContainer.innerHTML = '';
+  roomHasMore = hasMore;
+  roomHasNewer = hasNewer;
+  loadingHistory = false;
   
   // Display history
   messages.forEach(msg => {
@@ -107,34 +253,338 @@ socket.on('room-joined', ({ room, users, messages }) => {
   // Update users list
   updateUsersList(users);
   
-  // Scroll to bottom
+  // Scroll to bottom, or to the message jumped to
   scrollToBottom();
+  if (threadId) {
+    highlightMessage(messagesContainer, threadId);
+    pendingThreadFocus = focusMessageId;
+    openThread(threadId);
+  } else if (focusMessageId) {
+    highlightMessage(messagesContainer, focusMessageId);
+  }
+});
+
+// A page of the room's older (or, after a jump, newer) messages
+socket.on('history', ({ room, messages, hasMore, direction }) => {
+  loadingHistory = false;
+  if (room !== currentRoom || currentConversation) return;
+
+  if (direction === 'newer') {
+    roomHasNewer = hasMore;
+    messages.forEach(msg => {
+      displayMessage(msg);
+    });
+    return;
+  }
+
+  roomHasMore = hasMore;
+  const previousHeight = messagesContainer.scrollHeight;
+  const firstMessage = messagesContainer.firstChild;
+  messages.forEach(msg => {
+    messagesContainer.insertBefore(createMessageElement(msg), firstMessage);
+  });
+  messagesContainer.scrollTop += messagesContainer.scrollHeight - previousHeight;
 });
 
 socket.on('chat-message', (message) => {
+  // Replies only show in their thread
+  if (message.parent_id) {
+    if (message.parent_id === currentThread) {
+      threadReplies.appendChild(createMessageElement(message, { inThread: true }));
+      threadReplies.scrollTop = threadReplies.scrollHeight;
+    }
+    return;
+  }
+  // While looking at older messages the newest aren't loaded yet, so new
+  // ones wait until the user scrolls down to them
+  if (currentConversation || roomHasNewer) return;
+
   displayMessage(message);
   scrollToBottom();
 });
 
+// A page of the open thread: the first page shows the message it started
+// from, later pages (`before`) go above the replies already shown
+socket.on('thread', ({ parent, replies, hasMore, before }) => {
+  loadingThread = false;
+  if (parent.id !== currentThread) return;
+
+  threadHasMore = hasMore;
+  if (!before) {
+    threadParent.innerHTML = '';
+    threadParent.appendChild(createMessageElement(parent, { inThread: true }));
+    threadReplies.innerHTML = '';
+    replies.forEach(reply => {
+      threadReplies.appendChild(createMessageElement(reply, { inThread: true }));
+    });
+    threadReplies.scrollTop = threadReplies.scrollHeight;
+    if (pendingThreadFocus) {
+      highlightMessage(threadReplies, pendingThreadFocus);
+      pendingThreadFocus = null;
+    }
+    return;
+  }
+
+  const previousHeight = threadReplies.scrollHeight;
+  const firstReply = threadReplies.firstChild;
+  replies.forEach(reply => {
+    threadReplies.insertBefore(createMessageElement(reply, { inThread: true }), firstReply);
+  });
+  threadReplies.scrollTop += threadReplies.scrollHeight - previousHeight;
+});
+
+// Scrolling to the top of a thread loads the replies before it
+threadReplies.addEventListener('scroll', () => {
+  if (!currentThread || !threadHasMore || loadingThread) return;
+  if (threadReplies.scrollTop > 50) return;
+
+  const oldest = threadReplies.querySelector('.message[data-message-id]');
+  if (!oldest) return;
+
+  loadingThread = true;
+  socket.emit('get-thread', { messageId: currentThread, before: Number(oldest.dataset.messageId) });
+});
+
+socket.on('thread-updated', ({ messageId, replyCount }) => {
+  findMessageElements(messageId).forEach(messageDiv => {
+    if (!threadPanel.contains(messageDiv)) {
+      setThreadLink(messageDiv, messageId, replyCount);
+    }
+  });
+});
+
 socket.on('private-message', (message) => {
-  displayPrivateMessage(message);
+  if (currentConversation && message.conversationId === currentConversation.id) {
+    displayMessage({ id: message.id, username: message.from, message: message.message, created_at: message.timestamp });
+    scrollToBottom();
+    socket.emit('mark-conversation-read', { conversationId: message.conversationId, messageId: message.id });
+    return;
+  }
+
+  if (!currentConversation) {
+    displayPrivateMessage(message);
+    scrollToBottom();
+  }
+  socket.emit('get-conversations');
+});
+
+// Direct messages that arrived while we were offline
+socket.on('offline-messages', ({ messages }) => {
+  const senders = [...new Set(messages.map(message => message.from))];
+  displaySystemMessage(
+    `${messages.length} direct message${messages.length === 1 ? '' : 's'} arrived while you were away, from ${senders.join(', ')}`
+  );
+  scrollToBottom();
+});
+
+socket.on('conversations-list', (conversations) => {
+  conversationsList.innerHTML = '';
+
+  conversations.forEach(conversation => {
+    const conversationElement = document.createElement('div');
+    conversationElement.className = 'conversation-item';
+    conversationElement.dataset.conversationId = conversation.id;
+    if (currentConversation && currentConversation.id === conversation.id) {
+      conversationElement.classList.add('active');
+    }
+
+    const nameSpan = document.createElement('span');
+    nameSpan.textContent = conversation.with_username;
+    conversationElement.appendChild(nameSpan);
+
+    if (conversation.unread_count > 0) {
+      const badge = document.createElement('span');
+      badge.className = 'unread-badge';
+      badge.textContent = conversation.unread_count;
+      conversationElement.appendChild(badge);
+    }
+
+    conversationElement.title = conversation.last_message || '';
+    conversationElement.addEventListener('click', () => {
+      openConversation({ conversationId: conversation.id });
+    });
+    conversationsList.appendChild(conversationElement);
+  });
+});
+
+socket.on('conversation-opened', ({ conversation, messages, hasMore }) => {
+  currentConversation = conversation;
+  closeThread();
+  conversationHasMore = hasMore;
+  currentRoomElement.textContent = `@ ${conversation.with.join(', ')}`;
+  typingIndicator.textContent = '';
+  messagesContainer.innerHTML = '';
+
+  messages.forEach(msg => {
+    displayMessage(msg);
+  });
   scrollToBottom();
+
+  document.querySelectorAll('.room-item').forEach(r => r.classList.remove('active'));
+  highlightConversation(conversation.id);
+  socket.emit('mark-conversation-read', { conversationId: conversation.id });
+});
+
+// An older page of the open conversation, added above what's shown
+socket.on('conversation-history', ({ conversationId, messages, hasMore }) => {
+  loadingHistory = false;
+  if (!currentConversation || currentConversation.id !== conversationId) return;
+
+  conversationHasMore = hasMore;
+  const previousHeight = messagesContainer.scrollHeight;
+  const firstMessage = messagesContainer.firstChild;
+  messages.forEach(msg => {
+    messagesContainer.insertBefore(createMessageElement(msg), firstMessage);
+  });
+  messagesContainer.scrollTop += messagesContainer.scrollHeight - previousHeight;
+});
+
+// Scrolling to the top of a room or conversation loads the page before
+// it; scrolling to the bottom of a room loads newer messages if some
+// aren't shown
+messagesContainer.addEventListener('scroll', () => {
+  if (loadingHistory) return;
+
+  const shown = messagesContainer.querySelectorAll('.message[data-message-id]');
+  if (shown.length === 0) return;
+  const oldestId = Number(shown[0].dataset.messageId);
+  const newestId = Number(shown[shown.length - 1].dataset.messageId);
+  const nearTop = messagesContainer.scrollTop <= 50;
+  const nearBottom = messagesContainer.scrollHeight - messagesContainer.scrollTop - messagesContainer.clientHeight <= 50;
+
+  if (currentConversation) {
+    if (nearTop && conversationHasMore) {
+      loadingHistory = true;
+      socket.emit('get-conversation-history', { conversationId: currentConversation.id, before: oldestId });
+    }
+  } else if (nearTop && roomHasMore) {
+    loadingHistory = true;
+    socket.emit('load-history', { before: oldestId });
+  } else if (nearBottom && roomHasNewer) {
+    loadingHistory = true;
+    socket.emit('load-history', { after: newestId });
+  }
+});
+
+// Search
+searchForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const query = searchInput.value.trim();
+
+  if (query) {
+    socket.emit('search-messages', { query });
+  } else {
+    closeSearch();
+  }
 });
 
+socket.on('search-results', ({ query, results }) => {
+  if (query !== searchInput.value.trim()) return;
+
+  searchResults.innerHTML = '';
+  searchResults.classList.add('active');
+
+  if (results.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'search-empty';
+    empty.textContent = `No messages match "${query}"`;
+    searchResults.appendChild(empty);
+    return;
+  }
+
+  results.forEach(result => {
+    const resultElement = document.createElement('div');
+    resultElement.className = 'search-result';
+
+    const headerDiv = document.createElement('div');
+    headerDiv.className = 'message-header';
+    const roomSpan = document.createElement('span');
+    roomSpan.className = 'search-result-room';
+    roomSpan.textContent = result.parent_id ? `#${result.room} (thread)` : `#${result.room}`;
+    const usernameSpan = document.createElement('span');
+    usernameSpan.className = 'message-username';
+    usernameSpan.textContent = result.username;
+    const timeSpan = document.createElement('span');
+    timeSpan.className = 'message-time';
+    timeSpan.textContent = formatTime(result.created_at);
+    headerDiv.append(roomSpan, usernameSpan, timeSpan);
+
+    const snippetDiv = document.createElement('div');
+    snippetDiv.className = 'search-result-snippet';
+    appendSnippet(snippetDiv, result.snippet);
+
+    resultElement.append(headerDiv, snippetDiv);
+    resultElement.addEventListener('click', () => jumpToMessage(result));
+    searchResults.appendChild(resultElement);
+  });
+});
+
+function closeSearch() {
+  searchResults.classList.remove('active');
+  searchResults.innerHTML = '';
+}
+
+// Matches in a snippet are marked with \u0002 ... \u0003
+function appendSnippet(element, snippet) {
+  snippet.split(/(\u0002[^\u0003]*\u0003)/).forEach(part => {
+    if (part.startsWith('\u0002')) {
+      const mark = document.createElement('mark');
+      mark.textContent = part.slice(1, -1);
+      element.appendChild(mark);
+    } else if (part) {
+      element.appendChild(document.createTextNode(part));
+    }
+  });
+}
+
+// Show a search result where it was said: its room scrolled to it, or
+// for a thread reply, the thread it's in
+function jumpToMessage(result) {
+  closeSearch();
+
+  const roomMessageId = result.parent_id || result.id;
+  const inView = !currentConversation && result.room === currentRoom &&
+    messagesContainer.querySelector(`.message[data-message-id="${roomMessageId}"]`);
+
+  if (!inView) {
+    joinRoom(result.room, result.id);
+    return;
+  }
+
+  highlightMessage(messagesContainer, roomMessageId);
+  if (result.parent_id) {
+    pendingThreadFocus = result.id;
+    openThread(result.parent_id);
+  }
+}
+
+function highlightMessage(container, messageId) {
+  const messageDiv = container.querySelector(`.message[data-message-id="${messageId}"]`);
+  if (!messageDiv) return;
+
+  messageDiv.scrollIntoView({ block: 'center' });
+  messageDiv.classList.add('highlighted');
+  setTimeout(() => messageDiv.classList.remove('highlighted'), 3000);
+}
+
 socket.on('user-joined', ({ username, users }) => {
-  displaySystemMessage(`${username} joined the room`);
   updateUsersList(users);
+  if (currentConversation) return;
+
+  displaySystemMessage(`${username} joined the room`);
   scrollToBottom();
 });
 
 socket.on('user-left', ({ username, users }) => {
-  displaySystemMessage(`${username} left the room`);
   updateUsersList(users);
+  if (currentConversation) return;
+
+  displaySystemMessage(`${username} left the room`);
   scrollToBottom();
 });
 
 socket.on('user-typing', ({ username, isTyping }) => {
-  if (isTyping) {
+  if (isTyping && !currentConversation) {
     typingIndicator.textContent = `${username} is typing...`;
   } else {
     typingIndicator.textContent = '';
@@ -147,7 +597,7 @@ socket.on('rooms-list', (rooms) => {
   rooms.forEach(room => {
     const roomElement = document.createElement('div');
     roomElement.className = 'room-item';
-    if (room.name === currentRoom) {
+    if (room.name === currentRoom && !currentConversation) {
       roomElement.classList.add('active');
     }
     roomElement.textContent = room.name;
@@ -171,14 +621,40 @@ socket.on('room-created', ({ name }) => {
   createRoomForm.reset();
 });
 
+// Edits and deletions replace the message where it is
+socket.on('message-edited', (message) => {
+  replaceMessageElement(message);
+});
+
+socket.on('message-deleted', (message) => {
+  replaceMessageElement(message);
+});
+
+socket.on('reactions-updated', ({ messageId, reactions }) => {
+  findMessageElements(messageId).forEach(messageDiv => {
+    messageDiv.querySelector('.message-reactions').replaceWith(createReactionsElement(messageId, reactions));
+  });
+});
+
 socket.on('error-message', ({ message }) => {
+  // Whatever failed, a page of history isn't coming
+  loadingHistory = false;
   alert(message);
 });
 
 // Display functions
 function displayMessage(message) {
+  messagesContainer.appendChild(createMessageElement(message));
+}
+
+// `inThread` for messages shown in the thread panel, which can't start
+// threads of their own
+function createMessageElement(message, { inThread = false } = {}) {
   const messageDiv = document.createElement('div');
   messageDiv.className = 'message';
+  if (message.id) {
+    messageDiv.dataset.messageId = message.id;
+  }
   
   if (message.username === currentUsername) {
     messageDiv.classList.add('own');
@@ -197,14 +673,134 @@ function displayMessage(message) {
   
   headerDiv.appendChild(usernameSpan);
   headerDiv.appendChild(timeSpan);
+
+  if (message.edited_at && !message.deleted_at) {
+    const editedSpan = document.createElement('span');
+    editedSpan.className = 'message-edited';
+    editedSpan.textContent = '(edited)';
+    editedSpan.title = `Edited ${formatTime(message.edited_at)}`;
+    headerDiv.appendChild(editedSpan);
+  }
   
   const contentDiv = document.createElement('div');
   contentDiv.className = 'message-content';
   contentDiv.textContent = message.message;
+
+  if (message.deleted_at) {
+    messageDiv.classList.add('deleted');
+    contentDiv.textContent = 'This message was deleted';
+  }
   
   messageDiv.appendChild(headerDiv);
   messageDiv.appendChild(contentDiv);
-  messagesContainer.appendChild(messageDiv);
+
+  // Room messages (not direct messages) can be replied to in a thread,
+  // reacted to, and edited or deleted by whoever wrote them
+  const startsThreads = message.room && !message.parent_id && !inThread;
+  if (message.room && !message.deleted_at) {
+    if (startsThreads) {
+      headerDiv.appendChild(createActionButton('Reply', () => openThread(message.id)));
+    }
+    if (message.username === currentUsername) {
+      headerDiv.appendChild(createActionButton('Edit', () => editMessage(message)));
+      headerDiv.appendChild(createActionButton('Delete', () => deleteMessage(message)));
+    }
+    messageDiv.appendChild(createReactionsElement(message.id, message.reactions || []));
+  }
+  if (startsThreads) {
+    setThreadLink(messageDiv, message.id, message.reply_count || 0);
+  }
+  return messageDiv;
+}
+
+// "3 replies" under a message, opening its thread
+function setThreadLink(messageDiv, messageId, replyCount) {
+  const existing = messageDiv.querySelector('.thread-link');
+  if (existing) {
+    existing.remove();
+  }
+  if (replyCount === 0) return;
+
+  const link = createActionButton(`${replyCount} ${replyCount === 1 ? 'reply' : 'replies'}`, () => openThread(messageId));
+  link.classList.add('thread-link');
+  messageDiv.insertBefore(link, messageDiv.querySelector('.message-reactions'));
+}
+
+function createActionButton(label, onClick) {
+  const button = document.createElement('button');
+  button.className = 'message-action';
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// Reaction counts (highlighting the user's own) and a picker to add one
+function createReactionsElement(messageId, reactions) {
+  const reactionsDiv = document.createElement('div');
+  reactionsDiv.className = 'message-reactions';
+
+  reactions.forEach(({ emoji, count, users }) => {
+    const button = document.createElement('button');
+    button.className = 'reaction';
+    if (users.includes(currentUsername)) {
+      button.classList.add('mine');
+    }
+    button.textContent = `${emoji} ${count}`;
+    button.title = users.join(', ');
+    button.addEventListener('click', () => {
+      socket.emit('toggle-reaction', { messageId, emoji });
+    });
+    reactionsDiv.appendChild(button);
+  });
+
+  const picker = document.createElement('div');
+  picker.className = 'reaction-picker';
+  REACTIONS.forEach(emoji => {
+    const option = document.createElement('button');
+    option.textContent = emoji;
+    option.addEventListener('click', () => {
+      picker.classList.remove('active');
+      socket.emit('toggle-reaction', { messageId, emoji });
+    });
+    picker.appendChild(option);
+  });
+
+  const addButton = document.createElement('button');
+  addButton.className = 'reaction add-reaction';
+  addButton.textContent = '+';
+  addButton.title = 'Add reaction';
+  addButton.addEventListener('click', () => {
+    picker.classList.toggle('active');
+  });
+
+  reactionsDiv.appendChild(addButton);
+  reactionsDiv.appendChild(picker);
+  return reactionsDiv;
+}
+
+function editMessage(message) {
+  const text = prompt('Edit message', message.message);
+  if (text === null || text.trim() === '' || text.trim() === message.message) return;
+
+  socket.emit('edit-message', { messageId: message.id, message: text.trim() });
+}
+
+function deleteMessage(message) {
+  if (confirm('Delete this message?')) {
+    socket.emit('delete-message', { messageId: message.id });
+  }
+}
+
+// A message can be on screen twice: in the room and at the top of its
+// open thread
+function findMessageElements(messageId) {
+  return document.querySelectorAll(`.message[data-message-id="${messageId}"]`);
+}
+
+function replaceMessageElement(message) {
+  findMessageElements(message.id).forEach(messageDiv => {
+    messageDiv.replaceWith(createMessageElement(message, { inThread: threadPanel.contains(messageDiv) }));
+  });
 }
 
 function displayPrivateMessage(message) {
@@ -261,15 +857,20 @@ function updateUsersList(users) {
     const userElement = document.createElement('div');
     userElement.className = 'user-item';
     userElement.textContent = username;
-    userElement.title = 'Click to send private message';
+    userElement.title = 'Click to open a direct conversation';
     userElement.addEventListener('click', () => {
-      messageInput.value = `@${username} `;
-      messageInput.focus();
+      openConversation({ username });
     });
     usersList.appendChild(userElement);
   });
 }
 
+function highlightConversation(conversationId) {
+  document.querySelectorAll('.conversation-item').forEach(item => {
+    item.classList.toggle('active', Number(item.dataset.conversationId) === conversationId);
+  });
+}
+
 function formatTime(timestamp) {
   const date = new Date(timestamp);
   return date.toLocaleTimeString('en-US', { 
@@ -284,6 +885,7 @@ function scrollToBottom() {
 
 // Logout
 logoutBtn.addEventListener('click', () => {
+  localStorage.removeItem(SESSION_KEY);
   socket.disconnect();
   location.reload();
 });
@@ -321,7 +923,7 @@ toggleSidebarBtn.addEventListener('click', () => {
 // Auto-focus message input
 messageInput.addEventListener('blur', () => {
   setTimeout(() => {
-    if (chatScreen.classList.contains('active')) {
+    if (chatScreen.classList.contains('active') && !threadPanel.contains(document.activeElement)) {
       messageInput.focus();
     }
   }, 100);
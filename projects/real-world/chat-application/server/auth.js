@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+// Sessions are signed tokens rather than server-side state: the client
+// keeps the token and sends it when the socket connects.
+//
+// SESSION_SECRET signs them. Without it a random secret is used, so every
+// token stops working when the server restarts (the server warns about
+// this when it starts).
+const secret = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+const TOKEN_TTL_HOURS = parseInt(process.env.TOKEN_TTL_HOURS, 10) || 24 * 7;
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+const hashPassword = (password) => bcrypt.hash(password, 10);
+
+const verifyPassword = (password, hash) => bcrypt.compare(password, hash);
+
+const sign = (data) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+// "<payload>.<signature>", the payload being base64url JSON with the user
+// id and an expiry time
+const createToken = (user) => {
+  const payload = Buffer.from(JSON.stringify({
+    sub: user.id,
+    exp: Math.floor(Date.now() / 1000) + TOKEN_TTL_HOURS * 60 * 60
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+};
+
+// The user id in a token, or null if it is malformed, forged or expired
+const verifyToken = (token) => {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  try {
+    const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return exp > Date.now() / 1000 ? sub : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Problems with a password, as a message, or null
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Problems with a registration form, as a message, or null
+const validateCredentials = ({ username, password }) => {
+  if (!USERNAME_PATTERN.test(username || '')) {
+    return 'Usernames are 3-20 letters, digits, dots, dashes or underscores';
+  }
+  return validatePassword(password);
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  createToken,
+  verifyToken,
+  validatePassword,
+  validateCredentials
+};
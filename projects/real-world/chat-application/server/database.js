@@ -6,11 +6,21 @@ const db = new Database(dbPath);
 
 db.pragma('foreign_keys = ON');
 
+// CREATE TABLE IF NOT EXISTS leaves existing tables alone, so columns added
+// after a table was first created are added here
+const addColumnIfMissing = (table, column, definition) => {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(existing => existing.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+};
+
 const initDB = () => {
   const users = `
     CREATE TABLE IF NOT EXISTS users (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       username TEXT UNIQUE NOT NULL,
+      password_hash TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       last_seen DATETIME DEFAULT CURRENT_TIMESTAMP
     )
@@ -34,15 +44,179 @@ const initDB = () => {
       message TEXT NOT NULL,
       type TEXT DEFAULT 'message',
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      edited_at DATETIME,
+      deleted_at DATETIME,
+      parent_id INTEGER,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (parent_id) REFERENCES messages(id) ON DELETE CASCADE
+    )
+  `;
+
+  // One row per user per emoji per message
+  const messageReactions = `
+    CREATE TABLE IF NOT EXISTS message_reactions (
+      message_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      emoji TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (message_id, user_id, emoji),
+      FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
       FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
     )
   `;
 
+  // Direct messages live in conversations between participants rather
+  // than in a room. A two-person conversation is found again by its
+  // direct_key ("<lower user id>:<higher user id>").
+  const conversations = `
+    CREATE TABLE IF NOT EXISTS conversations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      direct_key TEXT UNIQUE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_message_at DATETIME
+    )
+  `;
+
+  // last_read_message_id drives each participant's unread count
+  const conversationParticipants = `
+    CREATE TABLE IF NOT EXISTS conversation_participants (
+      conversation_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      last_read_message_id INTEGER NOT NULL DEFAULT 0,
+      joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (conversation_id, user_id),
+      FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `;
+
+  // delivered_at stays NULL until the recipient has had the message pushed
+  // to them, so messages sent while they were offline go out on reconnect
+  const directMessages = `
+    CREATE TABLE IF NOT EXISTS direct_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      conversation_id INTEGER NOT NULL,
+      sender_id INTEGER NOT NULL,
+      message TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      delivered_at DATETIME,
+      FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+      FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `;
+
   db.exec(users);
+  // NULL for nicknames created before accounts had passwords
+  addColumnIfMissing('users', 'password_hash', 'TEXT');
   db.exec(rooms);
   db.exec(messages);
-  
+  addColumnIfMissing('messages', 'edited_at', 'DATETIME');
+  addColumnIfMissing('messages', 'deleted_at', 'DATETIME');
+  addColumnIfMissing('messages', 'parent_id', 'INTEGER REFERENCES messages(id) ON DELETE CASCADE');
+  db.exec(messageReactions);
+  createMessageSearchIndex();
+  db.exec(conversations);
+  db.exec(conversationParticipants);
+  db.exec(directMessages);
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_participants_user ON conversation_participants(user_id);
+    CREATE INDEX IF NOT EXISTS idx_direct_messages_conversation ON direct_messages(conversation_id, id);
+    CREATE INDEX IF NOT EXISTS idx_messages_parent ON messages(parent_id, id);
+  `);
+
+  migratePrivateRoomMessages();
+
   console.log('Database initialized successfully');
 };
 
+// Full-text index over room messages, kept in step with the messages table
+// by triggers. Edits replace a message's entry; deleted messages have no
+// text left to match.
+const createMessageSearchIndex = () => {
+  const exists = db.prepare(`
+    SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'messages_fts'
+  `).get();
+
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+      message,
+      content = 'messages',
+      content_rowid = 'id',
+      tokenize = 'unicode61 remove_diacritics 2'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+      INSERT INTO messages_fts (rowid, message) VALUES (new.id, new.message);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+      INSERT INTO messages_fts (messages_fts, rowid, message) VALUES ('delete', old.id, old.message);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF message ON messages BEGIN
+      INSERT INTO messages_fts (messages_fts, rowid, message) VALUES ('delete', old.id, old.message);
+      INSERT INTO messages_fts (rowid, message) VALUES (new.id, new.message);
+    END;
+  `);
+
+  // Index the messages that were there before the index
+  if (!exists) {
+    db.exec("INSERT INTO messages_fts (messages_fts) VALUES ('rebuild')");
+  }
+};
+
+// Earlier versions saved direct messages to the messages table as room
+// 'private' with a "[To name] " prefix. Move them into conversations so
+// they show up in the inbox (and can't be read by joining a room called
+// "private").
+const migratePrivateRoomMessages = () => {
+  const rows = db.prepare("SELECT * FROM messages WHERE room = 'private' AND type = 'private' ORDER BY id").all();
+  if (rows.length === 0) return;
+
+  const findUser = db.prepare('SELECT id FROM users WHERE username = ?');
+  const findConversation = db.prepare('SELECT id FROM conversations WHERE direct_key = ?');
+  const createConversation = db.prepare('INSERT INTO conversations (direct_key) VALUES (?)');
+  const addParticipant = db.prepare(`
+    INSERT OR IGNORE INTO conversation_participants (conversation_id, user_id) VALUES (?, ?)
+  `);
+  const insertMessage = db.prepare(`
+    INSERT INTO direct_messages (conversation_id, sender_id, message, created_at, delivered_at)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  const touchConversation = db.prepare(`
+    UPDATE conversations SET last_message_at = MAX(COALESCE(last_message_at, ''), ?) WHERE id = ?
+  `);
+  // They were delivered live, so they start out read
+  const markRead = db.prepare(`
+    UPDATE conversation_participants
+    SET last_read_message_id = (SELECT MAX(id) FROM direct_messages WHERE conversation_id = ?)
+    WHERE conversation_id = ?
+  `);
+  const deleteRow = db.prepare('DELETE FROM messages WHERE id = ?');
+
+  const touched = new Set();
+  let moved = 0;
+  db.transaction(() => {
+    rows.forEach(row => {
+      const match = row.message.match(/^\[To (.+?)\] ([\s\S]*)$/);
+      const recipient = match && findUser.get(match[1]);
+      if (recipient) {
+        const key = [row.user_id, recipient.id].sort((a, b) => a - b).join(':');
+        const existing = findConversation.get(key);
+        const conversationId = existing ? existing.id : createConversation.run(key).lastInsertRowid;
+        addParticipant.run(conversationId, row.user_id);
+        addParticipant.run(conversationId, recipient.id);
+        insertMessage.run(conversationId, row.user_id, match[2], row.created_at, row.created_at);
+        touchConversation.run(row.created_at, conversationId);
+        touched.add(conversationId);
+        moved++;
+      }
+      deleteRow.run(row.id);
+    });
+    touched.forEach(conversationId => markRead.run(conversationId, conversationId));
+  })();
+
+  console.log(`Moved ${moved} direct message(s) into conversations`);
+};
+
 module.exports = { db, initDB };
@@ -3,9 +3,12 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
-const Message = require('./models/Message');
-const User = require('./models/User');
-const Room = require('./models/Room');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const Room = require('../models/Room');
+const Conversation = require('../models/Conversation');
+const DirectMessage = require('../models/DirectMessage');
+const { hashPassword, verifyPassword, createToken, verifyToken, validateCredentials } = require('./auth');
 
 const app = express();
 const server = http.createServer(app);
@@ -13,8 +16,17 @@ const io = new Server(server);
 
 const PORT = process.env.PORT || 3001;
 
+// History is sent in pages of this many messages
+const ROOM_PAGE_SIZE = 50;
+const CONVERSATION_PAGE_SIZE = 30;
+const THREAD_PAGE_SIZE = 30;
+
+// Messages shown either side of one jumped to from search
+const CONTEXT_SIZE = 25;
+
 // Serve static files
 app.use(express.static(path.join(__dirname, '..', 'public')));
+app.use(express.json());
 
 // In-memory store for active users
 const activeUsers = new Map(); // socketId -> { username, room, userId }
@@ -28,17 +40,37 @@ defaultRooms.forEach(roomName => {
   }
 });
 
+// Only signed-in users get a socket: the token from /api/login or
+// /api/register must come with the connection (`auth: { token }`), and
+// the user it names is who every event on the socket acts as
+io.use((socket, next) => {
+  const userId = verifyToken(socket.handshake.auth && socket.handshake.auth.token);
+  const user = userId && User.findById(userId);
+  if (!user) {
+    next(new Error('Authentication required'));
+    return;
+  }
+
+  socket.data.user = { id: user.id, username: user.username };
+  next();
+});
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-
-  // Join room
-  socket.on('join-room', ({ username, room }) => {
-    // Create or get user
-    let user = User.findByUsername(username);
-    if (!user) {
-      const userId = User.create({ username });
-      user = User.findById(userId);
+  console.log('User connected:', socket.id, socket.data.user.username);
+
+  // Join room. With `aroundMessageId` (a search result), the history sent
+  // is the part of the room around that message instead of the latest.
+  socket.on('join-room', (payload) => {
+    const { room, aroundMessageId } = payload || {};
+    const { user } = socket.data;
+    const { username } = user;
+
+    // Only rooms from the rooms list: anything else could be another
+    // user's direct message channel
+    if (typeof room !== 'string' || isUserChannel(room) || !Room.findByName(room)) {
+      socket.emit('error-message', { message: 'Room not found' });
+      return;
     }
 
     // Leave previous room if any
@@ -50,6 +82,10 @@ io.on('connection', (socket) => {
         username: previousData.username,
         users: getRoomUsers(previousData.room)
       });
+    } else {
+      // First join on this connection: direct messages for this user go to
+      // the user's own Socket.IO room
+      socket.join(userChannel(user.id));
     }
 
     // Join new room
@@ -57,14 +93,11 @@ io.on('connection', (socket) => {
     activeUsers.set(socket.id, { username, room, userId: user.id });
     addUserToRoom(room, username);
 
-    // Get room history
-    const messages = Message.getByRoom(room, 50);
-
     // Send room info to user
     socket.emit('room-joined', {
       room,
       users: getRoomUsers(room),
-      messages
+      ...roomHistory(room, toId(aroundMessageId))
     });
 
     // Notify others
@@ -73,82 +106,304 @@ io.on('connection', (socket) => {
       users: getRoomUsers(room)
     });
 
+    // Deliver direct messages sent while the user was offline
+    if (!previousData) {
+      deliverPendingDirectMessages(socket, user.id);
+    }
+
     // Update user's last seen
     User.updateLastSeen(user.id);
   });
 
-  // Handle chat message
-  socket.on('chat-message', ({ message }) => {
+  // Handle chat message. With `parentId` it is a reply in that message's
+  // thread.
+  socket.on('chat-message', (payload) => {
+    const { message, parentId } = payload || {};
     const userData = activeUsers.get(socket.id);
     if (!userData) return;
 
+    if (typeof message !== 'string' || !message.trim()) {
+      socket.emit('error-message', { message: 'Message cannot be empty' });
+      return;
+    }
+
     const { username, room, userId } = userData;
 
+    let parent = null;
+    if (parentId) {
+      parent = findRoomMessage(socket, userData, parentId);
+      if (!parent) return;
+      if (parent.parent_id) {
+        socket.emit('error-message', { message: 'Replies can only be made to messages in the room' });
+        return;
+      }
+    }
+
     // Save message to database
     const messageId = Message.create({
       room,
       user_id: userId,
       username,
       message,
-      type: 'message'
+      type: 'message',
+      parent_id: parent && parent.id
     });
 
     const savedMessage = Message.findById(messageId);
 
     // Broadcast to room
     io.to(room).emit('chat-message', savedMessage);
+    if (parent) {
+      emitThreadUpdated(parent.id);
+    }
   });
 
-  // Handle private message
-  socket.on('private-message', ({ to, message }) => {
+  // Scrolling through the current room: the page of messages `before` the
+  // oldest one the client has, or `after` the newest
+  socket.on('load-history', (payload) => {
+    const { before: beforeId, after: afterId } = payload || {};
     const userData = activeUsers.get(socket.id);
     if (!userData) return;
 
+    // A bad cursor would silently give the latest page instead
+    const before = toId(beforeId);
+    const after = toId(afterId);
+    if ((beforeId != null && !before) || (afterId != null && !after)) {
+      socket.emit('error-message', { message: 'Invalid history cursor' });
+      return;
+    }
+
+    const messages = Message.getRoomPage(userData.room, {
+      before,
+      after,
+      limit: ROOM_PAGE_SIZE + 1
+    });
+    const hasMore = messages.length > ROOM_PAGE_SIZE;
+    let page = messages;
+    if (hasMore) {
+      page = after ? messages.slice(0, -1) : messages.slice(1);
+    }
+
+    socket.emit('history', {
+      room: userData.room,
+      messages: page,
+      hasMore,
+      direction: after ? 'newer' : 'older'
+    });
+  });
+
+  // Full-text search across the rooms
+  socket.on('search-messages', (payload) => {
+    const { query: text } = payload || {};
+    const userData = activeUsers.get(socket.id);
+    if (!userData) return;
+
+    const query = typeof text === 'string' ? text : '';
+
+    socket.emit('search-results', { query, results: Message.search(query) });
+  });
+
+  // A page of a thread: the message it started from and its replies. With
+  // `before` (the id of the oldest reply the client has), the page before.
+  socket.on('get-thread', (payload) => {
+    const { messageId, before: beforeId } = payload || {};
+    const userData = activeUsers.get(socket.id);
+    if (!userData) return;
+
+    const id = toId(messageId);
+    const before = toId(beforeId);
+    const parent = id && Message.findById(id);
+    if (!parent || parent.room !== userData.room || parent.parent_id) {
+      socket.emit('error-message', { message: 'Thread not found' });
+      return;
+    }
+
+    const replies = Message.getThread(parent.id, { before, limit: THREAD_PAGE_SIZE + 1 });
+    const hasMore = replies.length > THREAD_PAGE_SIZE;
+    socket.emit('thread', {
+      parent,
+      replies: hasMore ? replies.slice(1) : replies,
+      hasMore,
+      before
+    });
+  });
+
+  // Edit one of your own messages
+  socket.on('edit-message', (payload) => {
+    const { messageId, message } = payload || {};
+    const userData = activeUsers.get(socket.id);
+    if (!userData) return;
+
+    const existing = findRoomMessage(socket, userData, messageId, { own: true });
+    if (!existing) return;
+
+    const text = typeof message === 'string' ? message.trim() : '';
+    if (!text) {
+      socket.emit('error-message', { message: 'Message cannot be empty' });
+      return;
+    }
+
+    Message.update(existing.id, text);
+    io.to(existing.room).emit('message-edited', Message.findById(existing.id));
+  });
+
+  // Delete one of your own messages, leaving a tombstone in its place
+  socket.on('delete-message', (payload) => {
+    const { messageId } = payload || {};
+    const userData = activeUsers.get(socket.id);
+    if (!userData) return;
+
+    const existing = findRoomMessage(socket, userData, messageId, { own: true });
+    if (!existing) return;
+
+    Message.softDelete(existing.id);
+    io.to(existing.room).emit('message-deleted', Message.findById(existing.id));
+    if (existing.parent_id) {
+      emitThreadUpdated(existing.parent_id);
+    }
+  });
+
+  // Add or take back a reaction on a message in the current room
+  socket.on('toggle-reaction', (payload) => {
+    const { messageId, emoji } = payload || {};
+    const userData = activeUsers.get(socket.id);
+    if (!userData) return;
+
+    if (!Message.REACTIONS.includes(emoji)) {
+      socket.emit('error-message', { message: 'Unknown reaction' });
+      return;
+    }
+
+    const existing = findRoomMessage(socket, userData, messageId);
+    if (!existing) return;
+
+    Message.toggleReaction(existing.id, userData.userId, emoji);
+    io.to(existing.room).emit('reactions-updated', {
+      messageId: existing.id,
+      reactions: Message.getReactions(existing.id)
+    });
+  });
+
+  // Handle private message. It is saved to the conversation between the
+  // two users and delivered now if the recipient is online, or when they
+  // next connect.
+  socket.on('private-message', (payload) => {
+    const { to, message } = payload || {};
+    const userData = activeUsers.get(socket.id);
+    if (!userData) return;
+
+    if (typeof message !== 'string' || !message.trim()) {
+      socket.emit('error-message', { message: 'Message cannot be empty' });
+      return;
+    }
+
     const { username, userId } = userData;
 
-    // Find recipient socket
-    let recipientSocketId = null;
-    for (const [socketId, data] of activeUsers.entries()) {
-      if (data.username === to) {
-        recipientSocketId = socketId;
-        break;
+    const recipient = typeof to === 'string' && User.findByUsername(to);
+    if (!recipient) {
+      socket.emit('error-message', { message: 'User not found' });
+      return;
+    }
+    if (recipient.id === userId) {
+      socket.emit('error-message', { message: "You can't send a direct message to yourself" });
+      return;
+    }
+
+    const conversation = Conversation.findOrCreateDirect(userId, recipient.id);
+    const messageId = DirectMessage.create({
+      conversation_id: conversation.id,
+      sender_id: userId,
+      message
+    });
+    const messageData = privateMessageData(DirectMessage.findById(messageId), username, recipient.username);
+
+    if (isOnline(recipient.id)) {
+      DirectMessage.markDelivered([messageId]);
+      io.to(userChannel(recipient.id)).emit('private-message', messageData);
+    }
+    // Every tab the sender has open
+    io.to(userChannel(userId)).emit('private-message', messageData);
+  });
+
+  // DM inbox with unread counts
+  socket.on('get-conversations', () => {
+    const userData = activeUsers.get(socket.id);
+    if (!userData) return;
+
+    socket.emit('conversations-list', Conversation.getForUser(userData.userId));
+  });
+
+  // Open a conversation, by id or with a user (starting it if needed), and
+  // send its latest page of history
+  socket.on('open-conversation', (payload) => {
+    const { conversationId, username } = payload || {};
+    const userData = activeUsers.get(socket.id);
+    if (!userData) return;
+
+    const id = toId(conversationId);
+    let conversation;
+    if (username) {
+      const other = typeof username === 'string' && User.findByUsername(username);
+      if (!other || other.id === userData.userId) {
+        socket.emit('error-message', { message: 'User not found' });
+        return;
       }
+      conversation = Conversation.findOrCreateDirect(userData.userId, other.id);
+    } else if (id && Conversation.isParticipant(id, userData.userId)) {
+      conversation = Conversation.findById(id);
+    }
+    if (!conversation) {
+      socket.emit('error-message', { message: 'Conversation not found' });
+      return;
     }
 
-    if (recipientSocketId) {
-      const messageData = {
-        from: username,
-        to,
-        message,
-        timestamp: new Date().toISOString(),
-        type: 'private'
-      };
-
-      // Send to recipient
-      io.to(recipientSocketId).emit('private-message', messageData);
-      // Send back to sender
-      socket.emit('private-message', messageData);
-
-      // Save to database (optional - using room as 'private')
-      Message.create({
-        room: 'private',
-        user_id: userId,
-        username,
-        message: `[To ${to}] ${message}`,
-        type: 'private'
-      });
-    } else {
-      socket.emit('error-message', { message: 'User not found or offline' });
+    const page = conversationPage(conversation.id);
+    socket.emit('conversation-opened', {
+      conversation: {
+        id: conversation.id,
+        with: Conversation.getOtherParticipants(conversation.id, userData.userId).map(u => u.username)
+      },
+      ...page
+    });
+  });
+
+  // Older messages in a conversation: `before` is the id of the oldest
+  // message the client has
+  socket.on('get-conversation-history', (payload) => {
+    const { conversationId, before } = payload || {};
+    const userData = activeUsers.get(socket.id);
+    if (!userData) return;
+
+    const id = toId(conversationId);
+    if (!id || !Conversation.isParticipant(id, userData.userId)) {
+      socket.emit('error-message', { message: 'Conversation not found' });
+      return;
     }
+
+    socket.emit('conversation-history', { conversationId: id, ...conversationPage(id, toId(before)) });
+  });
+
+  // The user has seen the conversation up to `messageId` (or its end)
+  socket.on('mark-conversation-read', (payload) => {
+    const { conversationId, messageId } = payload || {};
+    const userData = activeUsers.get(socket.id);
+    if (!userData) return;
+
+    const id = toId(conversationId);
+    if (!id) return;
+
+    Conversation.markRead(id, userData.userId, toId(messageId));
+    io.to(userChannel(userData.userId)).emit('conversations-list', Conversation.getForUser(userData.userId));
   });
 
   // Handle typing indicator
-  socket.on('typing', ({ isTyping }) => {
+  socket.on('typing', (payload) => {
+    const { isTyping } = payload || {};
     const userData = activeUsers.get(socket.id);
     if (!userData) return;
 
     const { username, room } = userData;
-    socket.to(room).emit('user-typing', { username, isTyping });
+    socket.to(room).emit('user-typing', { username, isTyping: Boolean(isTyping) });
   });
 
   // Get room list
@@ -158,15 +413,21 @@ io.on('connection', (socket) => {
   });
 
   // Create new room
-  socket.on('create-room', ({ name, description }) => {
+  socket.on('create-room', (payload) => {
+    const { name, description } = payload || {};
+    if (typeof name !== 'string' || !name.trim() || isUserChannel(name)) {
+      socket.emit('error-message', { message: 'Invalid room name' });
+      return;
+    }
+
     const existing = Room.findByName(name);
     if (existing) {
       socket.emit('error-message', { message: 'Room already exists' });
       return;
     }
 
-    Room.create({ name, description: description || '' });
-    io.emit('room-created', { name, description });
+    const roomId = Room.create({ name, description: typeof description === 'string' ? description : '' });
+    io.emit('room-created', Room.findById(roomId));
   });
 
   // Disconnect
@@ -188,6 +449,116 @@ io.on('connection', (socket) => {
 });
 
 // Helper functions
+
+// An id sent by the client as a positive integer, or null
+function toId(value) {
+  if (typeof value !== 'number' && typeof value !== 'string') return null;
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// A message in the room the user is in that hasn't been deleted (and, with
+// `own`, that they wrote), or null after telling them why not
+function findRoomMessage(socket, userData, messageId, { own = false } = {}) {
+  const id = toId(messageId);
+  const message = id && Message.findById(id);
+  if (!message || message.room !== userData.room || message.deleted_at) {
+    socket.emit('error-message', { message: 'Message not found' });
+    return null;
+  }
+  if (own && message.user_id !== userData.userId) {
+    socket.emit('error-message', { message: 'You can only change your own messages' });
+    return null;
+  }
+  return message;
+}
+
+// The room's latest messages, or those around `aroundMessageId`. A reply
+// is found in the thread of the message it answers, so the room is shown
+// around that message and `threadId` tells the client to open its thread.
+function roomHistory(room, aroundMessageId) {
+  const target = aroundMessageId && Message.findById(aroundMessageId);
+  if (!target || target.room !== room) {
+    const messages = Message.getRoomPage(room, { limit: ROOM_PAGE_SIZE + 1 });
+    const hasMore = messages.length > ROOM_PAGE_SIZE;
+    return { messages: hasMore ? messages.slice(1) : messages, hasMore, hasNewer: false };
+  }
+
+  const anchorId = target.parent_id || target.id;
+  // Up to and including the anchor, then after it
+  const earlier = Message.getRoomPage(room, { before: anchorId + 1, limit: CONTEXT_SIZE + 2 });
+  const later = Message.getRoomPage(room, { after: anchorId, limit: CONTEXT_SIZE + 1 });
+  const hasMore = earlier.length > CONTEXT_SIZE + 1;
+  const hasNewer = later.length > CONTEXT_SIZE;
+
+  return {
+    messages: [...(hasMore ? earlier.slice(1) : earlier), ...later.slice(0, CONTEXT_SIZE)],
+    hasMore,
+    hasNewer,
+    focusMessageId: target.id,
+    threadId: target.parent_id || null
+  };
+}
+
+// Tell the room a thread's reply count changed
+function emitThreadUpdated(parentId) {
+  const parent = Message.findById(parentId);
+  io.to(parent.room).emit('thread-updated', { messageId: parent.id, replyCount: parent.reply_count });
+}
+
+// Each user's own Socket.IO room, for their direct messages. Rooms named
+// like this can't be created or joined from the client.
+function userChannel(userId) {
+  return `user:${userId}`;
+}
+
+function isUserChannel(name) {
+  return name.startsWith('user:');
+}
+
+function isOnline(userId) {
+  return io.sockets.adapter.rooms.has(userChannel(userId));
+}
+
+function privateMessageData(directMessage, from, to) {
+  return {
+    id: directMessage.id,
+    conversationId: directMessage.conversation_id,
+    from,
+    to,
+    message: directMessage.message,
+    timestamp: directMessage.created_at,
+    type: 'private'
+  };
+}
+
+// Fetch one more than a page to know whether there is anything older
+function conversationPage(conversationId, before = null) {
+  const messages = DirectMessage.getByConversation(conversationId, {
+    before: before || null,
+    limit: CONVERSATION_PAGE_SIZE + 1
+  });
+  const hasMore = messages.length > CONVERSATION_PAGE_SIZE;
+  return { messages: hasMore ? messages.slice(1) : messages, hasMore };
+}
+
+function deliverPendingDirectMessages(socket, userId) {
+  const pending = DirectMessage.getUndelivered(userId);
+  if (pending.length > 0) {
+    DirectMessage.markDelivered(pending.map(message => message.id));
+    socket.emit('offline-messages', {
+      messages: pending.map(message => ({
+        id: message.id,
+        conversationId: message.conversation_id,
+        from: message.username,
+        message: message.message,
+        timestamp: message.created_at
+      }))
+    });
+  }
+  socket.emit('conversations-list', Conversation.getForUser(userId));
+}
+
 function addUserToRoom(room, username) {
   if (!roomUsers.has(room)) {
     roomUsers.set(room, new Set());
@@ -209,6 +580,54 @@ function getRoomUsers(room) {
 }
 
 // Routes
+
+// Create an account. Nicknames used before accounts had passwords are
+// taken too: only `npm run set-password` can give one of them a password.
+app.post('/api/register', async (req, res) => {
+  const { username, password } = req.body;
+
+  const problem = validateCredentials({ username, password });
+  if (problem) {
+    return res.status(400).json({ success: false, error: problem });
+  }
+
+  try {
+    if (User.findByUsername(username)) {
+      return res.status(409).json({ success: false, error: 'That username is taken' });
+    }
+
+    const passwordHash = await hashPassword(password);
+    const userId = User.create({ username, password_hash: passwordHash });
+
+    res.status(201).json({ success: true, token: createToken({ id: userId }), username });
+  } catch (error) {
+    // Someone else registered the name while the password was hashing
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({ success: false, error: 'That username is taken' });
+    }
+    console.error(error);
+    res.status(500).json({ success: false, error: 'Error creating account' });
+  }
+});
+
+app.post('/api/login', async (req, res) => {
+  const { username, password } = req.body;
+
+  try {
+    const user = User.findByUsername(String(username || ''));
+    const valid = user && user.password_hash && typeof password === 'string' &&
+      await verifyPassword(password, user.password_hash);
+    if (!valid) {
+      return res.status(401).json({ success: false, error: 'Invalid username or password' });
+    }
+
+    res.json({ success: true, token: createToken(user), username: user.username });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, error: 'Error logging in' });
+  }
+});
+
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '..', 'public', 'index.html'));
 });
@@ -224,4 +643,7 @@ app.get('/health', (req, res) => {
 // Start server
 server.listen(PORT, () => {
   console.log(`Chat application running on http://localhost:${PORT}`);
+  if (!process.env.SESSION_SECRET) {
+    console.warn('SESSION_SECRET is not set; sessions will not survive a restart.');
+  }
 });
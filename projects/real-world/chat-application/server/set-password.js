@@ -0,0 +1,35 @@
+require('dotenv').config();
+const readline = require('readline');
+const User = require('../models/User');
+const { hashPassword, validatePassword } = require('./auth');
+
+// Give a user a password, e.g. a nickname from before accounts had
+// passwords, which registration won't hand out. The password is read from
+// standard input so it stays out of the shell history:
+//
+//   npm run set-password -- <username>
+const username = process.argv[2];
+if (!username) {
+  console.error('Usage: npm run set-password -- <username>');
+  process.exit(1);
+}
+
+const user = User.findByUsername(username);
+if (!user) {
+  console.error(`No user named "${username}"`);
+  process.exit(1);
+}
+
+const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+rl.question(`New password for ${user.username}: `, async (password) => {
+  rl.close();
+
+  const problem = validatePassword(password);
+  if (problem) {
+    console.error(problem);
+    process.exit(1);
+  }
+
+  User.setPassword(user.id, await hashPassword(password));
+  console.log(`Password set for ${user.username}.`);
+});